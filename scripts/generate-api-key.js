@@ -2,58 +2,114 @@ require('dotenv').config({ path: process.env.DOTENV_CONFIG_PATH });
 
 const crypto = require('crypto');
 
-async function generateApiKey(expiry = '2025-12-31') {
-    const MASTER_KEY = process.env.MASTER_KEY;
-    if (!MASTER_KEY) {
-        console.error('MASTER_KEY environment variable is not set');
-        process.exit(1);
-    }
-
-    console.log('Generating key with:');
-    console.log('- Environment:', process.env.NODE_ENV || 'development');
-    console.log('- MASTER_KEY:', MASTER_KEY);
-    console.log('- Expiry:', expiry);
-
-    // Use current timestamp instead of random bytes
-    const timestamp = Date.now().toString(16); // Convert to hex
-    const prefix = 'stucal';
-    
-    // Create the key content
-    const keyContent = `${prefix}_${timestamp}_${expiry}`;
-    
-    // Generate signature using Web Crypto API
+async function hmac(secret, message) {
     const encoder = new TextEncoder();
-    const keyData = encoder.encode(MASTER_KEY.slice(0, 3));
-    const messageData = encoder.encode(keyContent);
-    
     const key = await crypto.subtle.importKey(
         'raw',
-        keyData,
+        encoder.encode(secret),
         { name: 'HMAC', hash: 'SHA-256' },
         false,
         ['sign']
     );
-    
-    const signature = await crypto.subtle.sign(
-        'HMAC',
-        key,
-        messageData
-    );
-    
+    return Buffer.from(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+// v1 key: stucal_<id>_<expiry>_<8 hex characters of the HMAC under the first 3 characters of MASTER_KEY>.
+// A redacted key only ever gets "Busy" events, whatever the request asks for
+async function generateV1Key(MASTER_KEY, expiry, { redact }) {
+    // Use current timestamp instead of random bytes
+    const timestamp = Date.now().toString(16); // Convert to hex
+    const prefix = 'stucal';
+
+    // Create the key content; scopes follow the ID so the signature covers them
+    const keyId = redact ? `${timestamp}.redact` : timestamp;
+    const keyContent = `${prefix}_${keyId}_${expiry}`;
+
     // Convert to hex and take first 8 characters
-    const signatureHex = Array.from(new Uint8Array(signature))
-        .map(b => b.toString(16).padStart(2, '0'))
-        .join('')
-        .slice(0, 8);
-    
+    const signatureHex = (await hmac(MASTER_KEY.slice(0, 3), keyContent)).toString('hex').slice(0, 8);
+
     // Combine everything into the final key
     return `${keyContent}_${signatureHex}`;
 }
 
+// v2 key: stucal2.<base64url JSON claims>.<base64url HMAC-SHA256 under the whole MASTER_KEY>
+async function generateV2Key(MASTER_KEY, expiry, { redact, calendars, formats, tier }) {
+    const claims = {
+        id: crypto.randomBytes(8).toString('hex'),
+        exp: expiry,
+        ...(calendars ? { calendars } : {}),
+        ...(formats ? { formats } : {}),
+        ...(redact ? { redact: true } : {}),
+        ...(tier ? { tier } : {})
+    };
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = (await hmac(MASTER_KEY, `stucal2.${payload}`)).toString('base64url');
+
+    console.log('- Key ID:', claims.id, '(revoke it with: wrangler kv key put --binding=API_KEYS "revoked:' + claims.id + '" "reason")');
+    return `stucal2.${payload}.${signature}`;
+}
+
+// A month from today, as the shell wrapper offers
+function defaultExpiry() {
+    const date = new Date();
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Mints an API key. Options: `version` (2 by default, 1 for screens that still need the old format),
+ * `redact`, and for v2 keys the `calendars` (hosts, *.domains or feed URLs), `formats` and rate `tier`
+ * the key is limited to. The expiry defaults to a month from today.
+ */
+async function generateApiKey(expiry = defaultExpiry(), options = {}) {
+    const MASTER_KEY = process.env.MASTER_KEY;
+    if (!MASTER_KEY) {
+        console.error('MASTER_KEY environment variable is not set');
+        process.exit(1);
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(expiry) || expiry <= new Date().toISOString().slice(0, 10)) {
+        throw new Error(`Invalid expiry "${expiry}", expected a future date as YYYY-MM-DD`);
+    }
+
+    const { version = 2, redact = false, calendars = null, formats = null, tier = null } = options;
+    if (version === 1 && (calendars || formats || tier)) {
+        throw new Error('v1 keys cannot be limited to calendars, formats or a tier');
+    }
+
+    console.log('Generating key with:');
+    console.log('- Environment:', process.env.NODE_ENV || 'development');
+    console.log('- Version:', version);
+    console.log('- Expiry:', expiry);
+    console.log('- Redacted:', redact ? 'yes' : 'no');
+    console.log('- Calendars:', calendars ? calendars.join(', ') : 'any');
+    console.log('- Formats:', formats ? formats.join(', ') : 'any');
+    console.log('- Tier:', tier || 'default');
+
+    return version === 1
+        ? generateV1Key(MASTER_KEY, expiry, { redact })
+        : generateV2Key(MASTER_KEY, expiry, { redact, calendars, formats, tier });
+}
+
+// --name=a,b as a list, or null when not given
+function listOption(args, name) {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    if (!arg) return null;
+    const values = arg.slice(name.length + 3).split(',').map(value => value.trim()).filter(Boolean);
+    return values.length ? values : null;
+}
+
 // If running directly (not imported)
 if (require.main === module) {
-    const expiry = process.argv[2] || '2025-12-31';
-    generateApiKey(expiry).then(key => {
+    const args = process.argv.slice(2);
+    const expiry = args.find(arg => !arg.startsWith('--')) || defaultExpiry();
+    generateApiKey(expiry, {
+        version: args.includes('--v1') ? 1 : 2,
+        redact: args.includes('--redact'),
+        calendars: listOption(args, 'calendars'),
+        formats: listOption(args, 'formats'),
+        tier: (listOption(args, 'tier') || [])[0] || null
+    }).then(key => {
         console.log('\nGenerated API Key:', key);
     }).catch(error => {
         console.error('Error generating key:', error);
@@ -61,4 +117,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = generateApiKey; 
\ No newline at end of file
+module.exports = generateApiKey;
@@ -1,7 +1,7 @@
 #!/bin/bash
 
 # This is a wrapper script for the generate-api-key.js script
-# It prompts for the expiry date and runs the Node.js script with the expiry date
+# It prompts for the expiry date and the claims of the key, and runs the Node.js script with them
 
 set -e  # Exit on error
 
@@ -32,8 +32,35 @@ if [ -z "$expiry" ]; then
     expiry=$default_expiry
 fi
 
+# Only the options that are set are passed on
+args=("$expiry")
+
+# Prompt for redaction: a redacted key only ever sees "Busy" events
+read -p "Limit the key to redacted output? (y/N): " redact
+if [[ "$redact" =~ ^[Yy] ]]; then
+    args+=("--redact")
+fi
+
+# Prompt for the calendars the key may read: hosts, *.domains or feed URLs
+read -p "Allowed calendars (comma-separated, blank for any): " calendars
+if [ -n "$calendars" ]; then
+    args+=("--calendars=$calendars")
+fi
+
+# Prompt for the output formats the key may ask for
+read -p "Allowed formats (comma-separated, e.g. json,html; blank for any): " formats
+if [ -n "$formats" ]; then
+    args+=("--formats=$formats")
+fi
+
+# Prompt for the rate limit tier
+read -p "Rate limit tier (e.g. standard or premium; blank for default): " tier
+if [ -n "$tier" ]; then
+    args+=("--tier=$tier")
+fi
+
 echo "Generating key..."
 
-# Run the Node.js script with the expiry date
+# Run the Node.js script with the expiry date and options
 DOTENV_CONFIG_PATH=".env" \
-node -r dotenv/config scripts/generate-api-key.js "$expiry" 
\ No newline at end of file
+node -r dotenv/config scripts/generate-api-key.js "${args[@]}"
@@ -0,0 +1,71 @@
+// Stand-in webhook receiver for trying change notifications locally: it checks each delivery's signature and
+// prints the changes. Point a calendar's webhooks at it, e.g. ["http://127.0.0.1:8788/"] with FEED_ALLOW_PRIVATE
+// set to "true" in development, then trigger the cron with `wrangler dev --test-scheduled`.
+//
+//   WEBHOOK_SECRET=<the calendar's webhookSecret> node scripts/webhook-receiver.js [port] [--fail=N]
+//
+// --fail=N answers the first N deliveries with 503, to watch the worker retry.
+
+const crypto = require('crypto');
+const http = require('http');
+
+// How old a signed timestamp may be, in seconds
+const TOLERANCE = 300;
+
+function verify(secret, header, body) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const expected = crypto.createHmac('sha256', secret).update(`${parts.t}.${body}`).digest('hex');
+    const fresh = Math.abs(Date.now() / 1000 - Number(parts.t)) <= TOLERANCE;
+    return fresh && typeof parts.v1 === 'string' && parts.v1.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected));
+}
+
+function describe(change) {
+    const event = change.after || change.before;
+    const when = change.type === 'updated' && change.before.start !== change.after.start
+        ? `${change.before.start} -> ${change.after.start}`
+        : event.start;
+    return `${change.type.padEnd(8)} ${event.title || event.uid} (${when}${event.status ? ', ' + event.status : ''})`;
+}
+
+function startReceiver({ port = 8788, secret, fail = 0 } = {}) {
+    let failures = fail;
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            if (!secret || !verify(secret, request.headers['x-stucal-signature'], body)) {
+                console.log(`Refused delivery ${request.headers['x-stucal-delivery']}: bad or missing signature`);
+                response.writeHead(401).end();
+                return;
+            }
+            if (failures > 0) {
+                failures--;
+                console.log(`Failing delivery ${request.headers['x-stucal-delivery']} on purpose`);
+                response.writeHead(503).end();
+                return;
+            }
+
+            const payload = JSON.parse(body);
+            console.log(`\n${payload.detectedAt} calendar ${payload.calendar.id}: ${payload.changes.length} change(s)`);
+            payload.changes.forEach(change => console.log('  ' + describe(change)));
+            response.writeHead(204).end();
+        });
+    });
+    return new Promise(resolve => server.listen(port, () => resolve(server)));
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const port = Number(args.find(arg => !arg.startsWith('--'))) || 8788;
+    const fail = Number((args.find(arg => arg.startsWith('--fail=')) || '').slice(7)) || 0;
+    if (!process.env.WEBHOOK_SECRET) {
+        console.error('WEBHOOK_SECRET environment variable is not set');
+        process.exit(1);
+    }
+    startReceiver({ port, secret: process.env.WEBHOOK_SECRET, fail }).then(() => {
+        console.log(`Listening for webhooks on http://127.0.0.1:${port}/`);
+    });
+}
+
+module.exports = { startReceiver, verify };
@@ -0,0 +1,179 @@
+/**
+ * Alarms (VALARM components, RFC 5545 section 3.6.6): parsing them onto events, and finding the alerts they raise.
+ */
+
+import { DateTime } from 'luxon';
+import { parseICSDate, parseICSDuration } from './dates.js';
+import { createEventFilter } from './filters.js';
+import { getProperties, getProperty } from './ics.js';
+import { expandEvents } from './recurrence.js';
+
+const ACTIONS = ['AUDIO', 'DISPLAY', 'EMAIL'];
+const DEFAULT_ALERT_MINUTES = 60;
+const MAX_ALERT_MINUTES = 7 * 24 * 60;
+// REPEAT comes from the feed, so it is capped before it sizes lists of alert times or the expansion window
+const MAX_REPEAT = 100;
+
+/**
+ * Parses a VALARM into `{ action, trigger, related, at, repeat, interval, description, summary, attendees }`.
+ * A relative alarm has `trigger` (a duration such as -PT15M) and `related` (START or END); an absolute one has
+ * `at`. Returns null, with a warning, for an alarm without a usable TRIGGER.
+ */
+export function parseAlarm(component, { timezone = 'UTC', warnings = [] } = {}) {
+	const text = name => getProperty(component, name)?.value || '';
+	const triggerProperty = getProperty(component, 'TRIGGER');
+	const action = text('ACTION').toUpperCase() || 'DISPLAY';
+
+	let trigger = null;
+	let related = null;
+	let at = null;
+	if (triggerProperty?.params.VALUE?.toUpperCase() === 'DATE-TIME') {
+		at = parseICSDate(triggerProperty.value, { floatingZone: timezone })?.dateTime.toISO() || null;
+	} else if (triggerProperty && parseICSDuration(triggerProperty.value)) {
+		trigger = triggerProperty.value.trim().toUpperCase();
+		related = (triggerProperty.params.RELATED || 'START').toUpperCase() === 'END' ? 'END' : 'START';
+	}
+	if (!trigger && !at) {
+		warnings.push(`Could not parse alarm trigger "${triggerProperty?.value || ''}"`);
+		return null;
+	}
+
+	// REPEAT and DURATION only count together
+	let repeat = parseInt(text('REPEAT')) || 0;
+	const interval = parseICSDuration(text('DURATION')) ? text('DURATION').trim().toUpperCase() : null;
+	if (repeat > 0 && !interval) {
+		warnings.push('Alarm REPEAT without DURATION, ignoring the repeats');
+		repeat = 0;
+	}
+	if (repeat > MAX_REPEAT) {
+		warnings.push(`Alarm REPEAT ${repeat} is more than ${MAX_REPEAT}, repeating ${MAX_REPEAT} times`);
+		repeat = MAX_REPEAT;
+	}
+	if (!ACTIONS.includes(action)) {
+		warnings.push(`Unknown alarm action "${action}"`);
+	}
+
+	return {
+		action,
+		trigger,
+		related,
+		at,
+		repeat,
+		interval: repeat > 0 ? interval : null,
+		description: text('DESCRIPTION'),
+		summary: text('SUMMARY'),
+		attendees: getProperties(component, 'ATTENDEE').map(attendee => attendee.value.replace(/^mailto:/i, ''))
+	};
+}
+
+/**
+ * The times an alarm goes off for one occurrence: its trigger, then every repeat.
+ */
+export function alarmTimes(alarm, occurrence) {
+	let first;
+	if (alarm.at) {
+		first = DateTime.fromISO(alarm.at);
+	} else {
+		const anchor = alarm.related === 'END' && occurrence.end ? occurrence.end : occurrence.start;
+		first = DateTime.fromISO(anchor).plus(parseICSDuration(alarm.trigger));
+	}
+	const repeat = Math.min(alarm.repeat, MAX_REPEAT);
+	const interval = repeat > 0 ? parseICSDuration(alarm.interval) : null;
+	return Array.from({ length: repeat + 1 }, (_, index) => (index === 0 ? first : first.plus(interval.mapUnits(x => x * index))));
+}
+
+/**
+ * Reads the /alerts parameters: `minutes`, how far ahead to look (default 60, up to a week), and `action`, the
+ * alarm actions to include (default all).
+ */
+export function parseAlertOptions(searchParams) {
+	const minutesParam = searchParams.get('minutes');
+	const minutes = minutesParam === null || minutesParam === '' ? DEFAULT_ALERT_MINUTES : Number(minutesParam);
+	if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ALERT_MINUTES) {
+		throw new Error(`Invalid minutes "${minutesParam}", expected a whole number from 1 to ${MAX_ALERT_MINUTES}`);
+	}
+
+	const actions = searchParams
+		.getAll('action')
+		.flatMap(value => value.split(','))
+		.map(action => action.trim().toUpperCase())
+		.filter(Boolean);
+	const unknown = actions.find(action => !ACTIONS.includes(action));
+	if (unknown) {
+		throw new Error(`Invalid action "${unknown}", expected one of: ${ACTIONS.join(', ').toLowerCase()}`);
+	}
+	return { minutes, actions: actions.length ? actions : null };
+}
+
+// How long before and after an occurrence's start its relative alarms can go off, in milliseconds
+function alarmReach(events) {
+	let before = 0;
+	let after = 0;
+	events.forEach(event => {
+		const length = event.end ? DateTime.fromISO(event.end) - DateTime.fromISO(event.start) : 0;
+		(event.alarms || [])
+			.filter(alarm => alarm.trigger)
+			.forEach(alarm => {
+				const offset = parseICSDuration(alarm.trigger).toMillis() + (alarm.related === 'END' ? length : 0);
+				const repeats = alarm.repeat > 0 ? parseICSDuration(alarm.interval).toMillis() * Math.min(alarm.repeat, MAX_REPEAT) : 0;
+				before = Math.max(before, -offset);
+				after = Math.max(after, offset + repeats);
+			});
+	});
+	return { before, after };
+}
+
+/**
+ * The alerts that go off from `now` for the next `minutes`, earliest first, as `{ at, minutesUntil, action,
+ * description, summary, attendees, repeat, event }`; `repeat` counts the alarm's repeats (0 for the trigger itself)
+ * and `event` is the occurrence it belongs to. Times are given in `timezone`. Cancelled events raise no alerts.
+ */
+export function findAlerts(events, { now, minutes, timezone, actions = null, filters = null }) {
+	const from = now.setZone(timezone);
+	const to = from.plus({ minutes });
+	const keep = createEventFilter(filters);
+	const wanted = alarm => !actions || actions.includes(alarm.action);
+	const alerts = [];
+
+	const collect = (alarm, occurrence) => {
+		alarmTimes(alarm, occurrence).forEach((time, repeat) => {
+			if (time < from || time >= to) return;
+			alerts.push({
+				at: time.setZone(timezone).toISO(),
+				minutesUntil: Math.round(time.diff(from, 'minutes').minutes),
+				action: alarm.action,
+				description: alarm.description,
+				summary: alarm.summary,
+				attendees: alarm.attendees,
+				repeat,
+				event: {
+					uid: occurrence.uid,
+					title: occurrence.title,
+					start: DateTime.fromISO(occurrence.start).setZone(timezone).toISO(),
+					end: occurrence.end ? DateTime.fromISO(occurrence.end).setZone(timezone).toISO() : null,
+					location: occurrence.location,
+					isFullDay: occurrence.isAllDay,
+					occurrenceDate: occurrence.occurrenceDate || null,
+					source: occurrence.source || null,
+					color: occurrence.color || null
+				}
+			});
+		});
+	};
+
+	// Relative alarms follow each occurrence, so expand far enough around the window to reach every trigger
+	const scheduled = events.filter(event => event.start);
+	const reach = alarmReach(scheduled);
+	expandEvents(scheduled, from.minus(reach.after), to.plus(reach.before))
+		.filter(keep)
+		.forEach(occurrence => {
+			(occurrence.alarms || []).filter(alarm => alarm.trigger && wanted(alarm)).forEach(alarm => collect(alarm, occurrence));
+		});
+
+	// An absolute alarm goes off once, whichever occurrence it is attached to
+	scheduled
+		.filter(event => event.status !== 'CANCELLED' && keep(event))
+		.forEach(event => (event.alarms || []).filter(alarm => alarm.at && wanted(alarm)).forEach(alarm => collect(alarm, event)));
+
+	return alerts.sort((a, b) => DateTime.fromISO(a.at) - DateTime.fromISO(b.at));
+}
@@ -0,0 +1,236 @@
+/**
+ * API keys: validating them, and what the claims they carry allow.
+ *
+ * v2 keys are `stucal2.<claims>.<signature>`: base64url JSON claims and the full HMAC-SHA256 of
+ * `stucal2.<claims>` under MASTER_KEY. v1 keys (`stucal_<id>_<expiry>_<signature>`, signed with a truncated HMAC)
+ * are still accepted, so existing screens keep working while they are re-keyed, until V1_KEYS_UNTIL ends that window.
+ */
+
+import { DateTime } from 'luxon';
+import { getCalendarDomain } from './feeds.js';
+import { matchesHost } from './upstream.js';
+
+const V2_PREFIX = 'stucal2';
+
+// Scopes a v1 key can carry after its ID, e.g. stucal_18c9f0a1b2c.redact_2025-12-31_1a2b3c4d. They are covered by
+// the signature, so the holder of a limited key cannot remove them
+const V1_SCOPES = ['redact'];
+
+const encoder = new TextEncoder();
+
+export class AuthError extends Error {
+	constructor(message, status = 403) {
+		super(message);
+		this.name = 'AuthError';
+		this.status = status;
+	}
+}
+
+async function hmac(secret, message) {
+	const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+/**
+ * Compares two strings or byte arrays in time that depends only on their length, so a signature cannot be
+ * guessed byte by byte from response times.
+ */
+export function timingSafeEqual(a, b) {
+	const left = typeof a === 'string' ? encoder.encode(a) : a;
+	const right = typeof b === 'string' ? encoder.encode(b) : b;
+	if (left.length !== right.length) return false;
+	let difference = 0;
+	for (let i = 0; i < left.length; i++) {
+		difference |= left[i] ^ right[i];
+	}
+	return difference === 0;
+}
+
+function base64UrlEncode(bytes) {
+	return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+	if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new AuthError('Invalid API key encoding');
+	const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '='));
+	return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Keys expire when their expiry date starts
+function checkExpiry(expiry) {
+	const expiryDate = DateTime.fromFormat(String(expiry), 'yyyy-MM-dd');
+	if (!expiryDate.isValid) {
+		throw new AuthError('Invalid expiry date format in API key');
+	}
+	if (expiryDate < DateTime.now()) {
+		throw new AuthError('API key has expired');
+	}
+}
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Mints a v2 key for claims `{ id, exp, calendars, formats, redact, tier }`; scripts/generate-api-key.js does the
+ * same from the command line.
+ */
+export async function createApiKey(claims, masterKey) {
+	const payload = base64UrlEncode(encoder.encode(JSON.stringify(claims)));
+	return `${V2_PREFIX}.${payload}.${base64UrlEncode(await hmac(masterKey, `${V2_PREFIX}.${payload}`))}`;
+}
+
+async function validateV2Key(apiKey, env) {
+	const [, payload, signature] = apiKey.split('.');
+	if (!payload || !signature || apiKey.split('.').length !== 3) {
+		throw new AuthError('Invalid API key format');
+	}
+
+	const expected = await hmac(env.MASTER_KEY, `${V2_PREFIX}.${payload}`);
+	if (!timingSafeEqual(base64UrlDecode(signature), expected)) {
+		throw new AuthError('Invalid API key signature');
+	}
+
+	let claims;
+	try {
+		claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+	} catch (e) {
+		throw new AuthError('Invalid API key claims');
+	}
+	if (
+		typeof claims?.id !== 'string' ||
+		(claims.calendars !== undefined && !isStringList(claims.calendars)) ||
+		(claims.formats !== undefined && !isStringList(claims.formats)) ||
+		(claims.tier !== undefined && typeof claims.tier !== 'string')
+	) {
+		throw new AuthError('Invalid API key claims');
+	}
+	checkExpiry(claims.exp);
+
+	return {
+		version: 2,
+		keyId: claims.id,
+		expires: claims.exp,
+		calendars: claims.calendars || null,
+		formats: claims.formats || null,
+		redact: claims.redact === true,
+		tier: claims.tier || null
+	};
+}
+
+async function validateV1Key(apiKey, env) {
+	// The v1 signature is weak, so a deployment can end the migration window with V1_KEYS_UNTIL; until then v1 keys work
+	const until = env.V1_KEYS_UNTIL ? DateTime.fromISO(env.V1_KEYS_UNTIL) : null;
+	if (until && (!until.isValid || until <= DateTime.now())) {
+		throw new AuthError('v1 API keys are no longer accepted, please request a new key');
+	}
+
+	// Split the key into its components
+	const parts = apiKey.split('_');
+	if (parts.length !== 4) {
+		throw new AuthError('Invalid API key format');
+	}
+
+	const [prefix, random, expiry, providedSignature] = parts;
+
+	// Validate prefix
+	if (prefix !== 'stucal') {
+		throw new AuthError('Invalid API key prefix');
+	}
+
+	checkExpiry(expiry);
+
+	// v1 keys are signed with the first three characters of MASTER_KEY and keep 8 hex characters of the HMAC
+	const signature = await hmac(env.MASTER_KEY.slice(0, 3), `${prefix}_${random}_${expiry}`);
+	const expectedSignature = Array.from(signature)
+		.map(b => b.toString(16).padStart(2, '0'))
+		.join('')
+		.slice(0, 8);
+
+	if (!timingSafeEqual(expectedSignature, providedSignature)) {
+		throw new AuthError('Invalid API key signature');
+	}
+
+	const [keyId, ...scopes] = random.split('.');
+	const unknownScope = scopes.find(scope => !V1_SCOPES.includes(scope));
+	if (unknownScope) {
+		throw new AuthError(`Unsupported API key scope "${unknownScope}"`);
+	}
+
+	return { version: 1, keyId, expires: expiry, calendars: null, formats: null, redact: scopes.includes('redact'), tier: null };
+}
+
+/**
+ * Checks the API key from the X-API-Key header or `key` parameter, and returns its claims:
+ * `{ version, keyId, expires, calendars, formats, redact, tier }`. `calendars` and `formats` are null when the
+ * key is not limited to some; `redact` forces redaction mode. Keys listed as `revoked:<keyId>` in the API_KEYS KV
+ * namespace are refused. Throws an AuthError (401 when no key was given, 403 otherwise) when the key is not valid.
+ */
+export async function validateApiKey(apiKey, env, request) {
+	try {
+		// Skip validation if running locally
+		if (env.ENVIRONMENT === 'development' || env.NODE_ENV === 'development') {
+			console.log('Development environment detected, skipping validation');
+			return { version: null, keyId: null, expires: null, calendars: null, formats: null, redact: false, tier: null };
+		}
+
+		// Require MASTER_KEY to be set in environment for production
+		if (!env.MASTER_KEY) {
+			console.error('MASTER_KEY environment variable is not set in production');
+			throw new AuthError('Server configuration error: Authentication is not properly configured');
+		}
+
+		// Check for API key in header first, then URL parameter
+		if (!apiKey) {
+			if (!request) {
+				console.error('Request object is undefined in validateApiKey');
+				throw new AuthError('Request object is required for URL parameter validation');
+			}
+
+			const url = new URL(request.url);
+			apiKey = url.searchParams.get('key');
+
+			if (!apiKey) {
+				throw new AuthError('No API key provided in header or URL parameters', 401);
+			}
+		}
+
+		const claims = apiKey.startsWith(`${V2_PREFIX}.`) ? await validateV2Key(apiKey, env) : await validateV1Key(apiKey, env);
+
+		if (env.API_KEYS && (await env.API_KEYS.get(`revoked:${claims.keyId}`)) !== null) {
+			throw new AuthError('API key has been revoked');
+		}
+
+		return claims;
+	} catch (error) {
+		console.error('Validation error:', error.message);
+		throw error;  // Re-throw with specific message
+	}
+}
+
+// A calendar entry is a feed URL, a host name, or "*." and a domain for any host below it
+function calendarAllowed(entry, feedUrl) {
+	try {
+		const url = new URL(feedUrl);
+		if (entry.includes('://')) {
+			return new URL(entry.replace(/^webcal:\/\//i, 'https://')).href === url.href;
+		}
+		return matchesHost(entry, url.hostname);
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * Checks that the key's claims allow every requested feed and the output format, when one is given. Throws an
+ * AuthError (403) when they do not.
+ */
+export function authorizeRequest(claims, { sources, format }) {
+	if (claims.calendars) {
+		const refused = sources.find(source => !claims.calendars.some(entry => calendarAllowed(entry, source.url)));
+		if (refused) {
+			throw new AuthError(`This API key is not allowed to read calendars from ${getCalendarDomain(refused.url)}`);
+		}
+	}
+	if (format && claims.formats && !claims.formats.includes(format)) {
+		throw new AuthError(`This API key is not allowed to use the ${format} format`);
+	}
+}
@@ -0,0 +1,165 @@
+/**
+ * Caching of upstream feeds, so polling dashboards do not refetch every feed on every request.
+ *
+ * Raw feed bytes are stored in a KV namespace bound as FEED_CACHE, or in the Workers Cache API when there is no
+ * binding. A copy younger than the TTL is served as is; an older one is served stale while it is revalidated in the
+ * background with If-None-Match/If-Modified-Since, until it is older than TTL + max-stale.
+ */
+
+import { DateTime } from 'luxon';
+import { fetchFeed } from './feeds.js';
+
+export const DEFAULT_TTL = 300;
+export const DEFAULT_MAX_STALE = 86400;
+
+// Synthetic URL the Cache API stores feeds under; it is never fetched
+const CACHE_API_ORIGIN = 'https://feed-cache.invalid/';
+
+// KV keys are limited to 512 bytes, so key feeds by a hash of their URL
+async function cacheKey(url) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(url));
+	const hash = Array.from(new Uint8Array(digest))
+		.map(b => b.toString(16).padStart(2, '0'))
+		.join('');
+	return `feed:${hash}`;
+}
+
+export function kvStore(namespace) {
+	return {
+		async get(url) {
+			const { value, metadata } = await namespace.getWithMetadata(await cacheKey(url), { type: 'arrayBuffer' });
+			return value && metadata ? { ...metadata, body: new Uint8Array(value) } : null;
+		},
+		async put(url, { body, ...metadata }, expirationTtl) {
+			// KV rejects expirations shorter than a minute
+			await namespace.put(await cacheKey(url), body, { metadata, expirationTtl: Math.max(60, expirationTtl) });
+		}
+	};
+}
+
+export function cacheApiStore(cache) {
+	const cacheRequest = async url => new Request(CACHE_API_ORIGIN + (await cacheKey(url)));
+
+	return {
+		async get(url) {
+			const response = await cache.match(await cacheRequest(url));
+			if (!response) return null;
+			return {
+				body: new Uint8Array(await response.arrayBuffer()),
+				etag: response.headers.get('X-Feed-ETag') || null,
+				lastModified: response.headers.get('X-Feed-Last-Modified') || null,
+				fetchedAt: Number(response.headers.get('X-Feed-Fetched-At'))
+			};
+		},
+		async put(url, { body, etag, lastModified, fetchedAt }, expirationTtl) {
+			// Validators go in custom headers so the Cache API does not answer conditional matches itself
+			const headers = { 'Cache-Control': `max-age=${expirationTtl}`, 'X-Feed-Fetched-At': String(fetchedAt) };
+			if (etag) headers['X-Feed-ETag'] = etag;
+			if (lastModified) headers['X-Feed-Last-Modified'] = lastModified;
+			await cache.put(await cacheRequest(url), new Response(body, { headers }));
+		}
+	};
+}
+
+/**
+ * The cache configured for this deployment: `{ store, ttl, maxStale }`. `store` is null, and feeds are always
+ * fetched, when FEED_CACHE_TTL is 0 or no cache is available.
+ */
+export function getFeedCacheConfig(env = {}) {
+	const ttl = parseInt(env.FEED_CACHE_TTL ?? DEFAULT_TTL);
+	const maxStale = parseInt(env.FEED_CACHE_MAX_STALE ?? DEFAULT_MAX_STALE);
+	const config = { ttl: isNaN(ttl) ? DEFAULT_TTL : ttl, maxStale: isNaN(maxStale) ? DEFAULT_MAX_STALE : maxStale, store: null };
+
+	if (config.ttl > 0) {
+		if (env.FEED_CACHE) {
+			config.store = kvStore(env.FEED_CACHE);
+		} else if (typeof caches !== 'undefined') {
+			config.store = cacheApiStore(caches.default);
+		}
+	}
+	return config;
+}
+
+function cacheInfo(status, fetchedAt, now) {
+	return {
+		status,
+		fetchedAt: DateTime.fromMillis(fetchedAt, { zone: 'utc' }).toISO(),
+		age: Math.max(0, Math.round((now - fetchedAt) / 1000))
+	};
+}
+
+// A broken cache should cost a refetch, not the request
+async function readEntry(store, url) {
+	try {
+		return await store.get(url);
+	} catch (error) {
+		console.error('Feed cache read failed:', error.message);
+		return null;
+	}
+}
+
+async function writeEntry(store, url, entry, expirationTtl) {
+	try {
+		await store.put(url, entry, expirationTtl);
+	} catch (error) {
+		console.error('Feed cache write failed:', error.message);
+	}
+}
+
+// Fetch the feed, conditionally when there is a cached copy, and store the result
+async function refresh(url, entry, { store, ttl, maxStale, policy }) {
+	let result = await fetchFeed(url, { ...entry, policy });
+	// Without a cached body to keep, a 304 is no answer, so the feed is fetched in full
+	if (result.notModified && !entry?.body) {
+		result = await fetchFeed(url, { policy });
+	}
+	const fetchedAt = Date.now();
+	const updated = result.notModified
+		? { ...entry, etag: result.etag, lastModified: result.lastModified, fetchedAt }
+		: { body: result.body, etag: result.etag, lastModified: result.lastModified, fetchedAt };
+
+	await writeEntry(store, url, updated, ttl + maxStale);
+	return { entry: updated, status: result.notModified ? 'revalidated' : 'miss' };
+}
+
+/**
+ * Returns `{ body, cache }` for a feed, where `body` holds its raw bytes and `cache` says how it was served:
+ * - fresh: from the cache, younger than the TTL
+ * - stale: from the cache, past the TTL; it is revalidated in the background through `waitUntil`, or the
+ *   upstream failed and `cache.error` says why
+ * - revalidated: the upstream answered a conditional request with 304 Not Modified
+ * - miss: fetched in full from the upstream
+ * - bypass: caching is turned off
+ * `cache.fetchedAt` is when the upstream last confirmed the copy, and `cache.age` how many seconds ago that was.
+ * Upstream fetches follow `policy`, as in fetchFeed.
+ */
+export async function getCachedFeed(url, { store = null, ttl = DEFAULT_TTL, maxStale = DEFAULT_MAX_STALE, waitUntil = null, policy } = {}) {
+	if (!store) {
+		const { body } = await fetchFeed(url, { policy });
+		const now = Date.now();
+		return { body, cache: cacheInfo('bypass', now, now) };
+	}
+
+	const entry = await readEntry(store, url);
+	const now = Date.now();
+	const age = entry ? (now - entry.fetchedAt) / 1000 : Infinity;
+
+	if (age < ttl) {
+		return { body: entry.body, cache: cacheInfo('fresh', entry.fetchedAt, now) };
+	}
+
+	if (age < ttl + maxStale && waitUntil) {
+		const revalidation = refresh(url, entry, { store, ttl, maxStale, policy });
+		waitUntil(revalidation.catch(error => console.error('Feed revalidation failed:', error.message)));
+		return { body: entry.body, cache: cacheInfo('stale', entry.fetchedAt, now) };
+	}
+
+	try {
+		const { entry: updated, status } = await refresh(url, entry, { store, ttl, maxStale, policy });
+		return { body: updated.body, cache: cacheInfo(status, updated.fetchedAt, Date.now()) };
+	} catch (error) {
+		if (!entry) throw error;
+		console.error('Feed fetch failed, serving cached copy:', error.message);
+		return { body: entry.body, cache: { ...cacheInfo('stale', entry.fetchedAt, now), error: error.message } };
+	}
+}
@@ -0,0 +1,261 @@
+/**
+ * Named calendars: feeds saved server-side in the CALENDARS KV namespace, so consumers ask for
+ * /calendars/{id}/agenda instead of putting private feed URLs in query strings (and so in logs and browser history).
+ *
+ * A calendar is `{ id, label, color, timezone, sources, filters, webhooks, createdAt, updatedAt }`, stored as
+ * `calendar:<id>` along with the ID of the key that created it, which alone may change or delete it. Calendars with
+ * webhooks also get the secret their notifications are signed with (see webhooks.js).
+ */
+
+import { IANAZone } from 'luxon';
+import { AuthError, authorizeRequest } from './auth.js';
+import { FeedError, getCalendarDomain, MAX_FEEDS, normalizeColor, toSource } from './feeds.js';
+import { parseFilters } from './filters.js';
+import { checkFeedUrl } from './upstream.js';
+
+// Lower case letters, digits and dashes, so IDs are safe in paths and KV keys
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const MAX_BODY_LENGTH = 16 * 1024;
+const MAX_LABEL_LENGTH = 100;
+const MAX_WEBHOOKS = 5;
+
+// Filter parameters a calendar can set defaults for
+export const FILTER_PARAMS = ['include', 'exclude', 'allDay', 'status', 'status!', 'transparent'];
+
+// What each /calendars/{id}/<view> path serves, as the route it stands for
+const VIEWS = { agenda: '', view: '/view', freebusy: '/freebusy', alerts: '/alerts', now: '/now', stats: '/stats' };
+
+export class CalendarError extends Error {
+	constructor(message, status = 400) {
+		super(message);
+		this.name = 'CalendarError';
+		this.status = status;
+	}
+}
+
+const storageKey = id => `calendar:${id}`;
+
+/**
+ * Splits a /calendars path into `{ id, view }`: `view` is the route a /calendars/{id}/<view> path stands for, null
+ * for /calendars and /calendars/{id} themselves, and undefined for an unknown view. Returns null for other paths.
+ */
+export function parseCalendarPath(route) {
+	const match = route.match(/^\/calendars(?:\/([^/]+)(?:\/([^/]+))?)?$/);
+	if (!match) return null;
+
+	const [, id = null, view] = match;
+	return {
+		id: id && id.toLowerCase(),
+		view: view === undefined ? null : Object.hasOwn(VIEWS, view) ? VIEWS[view] : undefined
+	};
+}
+
+function filterParams(filters) {
+	const params = new URLSearchParams();
+	Object.entries(filters).forEach(([name, values]) => [].concat(values).forEach(value => params.append(name, value)));
+	return params;
+}
+
+/**
+ * Checks a calendar given in a request body, and returns its fields. Feeds are given as `sources`, a list of feed
+ * URLs or `{ url, label, color }` objects, and default filters as `filters`, an object of filter parameters.
+ * Throws a CalendarError (400) when it is not valid, or an AuthError when the key may not read one of its feeds.
+ */
+export function validateCalendar(input, { claims, policy }) {
+	if (!input || typeof input !== 'object' || Array.isArray(input)) {
+		throw new CalendarError('Expected a JSON calendar object');
+	}
+
+	const { label = null, color = null, timezone = null, sources, filters = {}, webhooks = [] } = input;
+	if (label !== null && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+		throw new CalendarError(`Invalid label: expected text of up to ${MAX_LABEL_LENGTH} characters`);
+	}
+	if (timezone !== null && (typeof timezone !== 'string' || !IANAZone.isValidZone(timezone))) {
+		throw new CalendarError(`Invalid timezone "${timezone}"`);
+	}
+
+	if (!Array.isArray(sources) || sources.length === 0) {
+		throw new CalendarError('A calendar needs a list of sources');
+	}
+	if (sources.length > MAX_FEEDS) {
+		throw new CalendarError(`Too many sources: at most ${MAX_FEEDS} can be merged`);
+	}
+	const feeds = sources.map(source => toSource(typeof source === 'string' ? { url: source } : source || {}));
+	const refused = feeds.map(feed => checkFeedUrl(feed.url, policy)).find(Boolean);
+	if (refused) throw new CalendarError(refused);
+	authorizeRequest(claims, { sources: feeds });
+
+	if (typeof filters !== 'object' || Array.isArray(filters) || filters === null) {
+		throw new CalendarError('Invalid filters: expected an object of filter parameters');
+	}
+	const unknown = Object.keys(filters).find(name => !FILTER_PARAMS.includes(name));
+	if (unknown) {
+		throw new CalendarError(`Unknown filter "${unknown}", expected one of ${FILTER_PARAMS.join(', ')}`);
+	}
+	if (Object.values(filters).some(values => ![].concat(values).every(value => typeof value === 'string'))) {
+		throw new CalendarError('Invalid filters: expected text values');
+	}
+	try {
+		parseFilters(filterParams(filters));
+	} catch (filterError) {
+		throw new CalendarError(filterError.message);
+	}
+
+	if (!Array.isArray(webhooks) || webhooks.length > MAX_WEBHOOKS || !webhooks.every(webhook => typeof webhook === 'string')) {
+		throw new CalendarError(`Invalid webhooks: expected a list of up to ${MAX_WEBHOOKS} URLs`);
+	}
+	const refusedWebhook = webhooks.map(webhook => checkFeedUrl(webhook, policy)).find(Boolean);
+	if (refusedWebhook) throw new CalendarError(`Invalid webhook: ${refusedWebhook}`);
+
+	return { label: label?.trim() || null, color: normalizeColor(color), timezone, sources: feeds, filters, webhooks };
+}
+
+/**
+ * The saved calendar with this ID, or null.
+ */
+export async function getCalendar(env, id) {
+	if (!env.CALENDARS || !ID_PATTERN.test(id || '')) return null;
+	return env.CALENDARS.get(storageKey(id), 'json');
+}
+
+/**
+ * The feeds of a calendar, coloured with its colour where they have none of their own.
+ */
+export function calendarSources(calendar) {
+	return calendar.sources.map(source => ({ ...source, color: source.color || calendar.color }));
+}
+
+/**
+ * The query parameters of a request for a calendar: the request's own, with the calendar's timezone and
+ * filters filled in where the request does not give them. Feeds always come from the calendar.
+ */
+export function withCalendarDefaults(calendar, searchParams) {
+	const params = new URLSearchParams(searchParams);
+	['url', 'feeds', 'label', 'color'].forEach(name => params.delete(name));
+	if (calendar.timezone && !params.has('timezone')) {
+		params.set('timezone', calendar.timezone);
+	}
+	filterParams(calendar.filters || {}).forEach((value, name) => {
+		if (!searchParams.has(name)) params.append(name, value);
+	});
+	return params;
+}
+
+// A calendar as returned to a key; only its owner sees the feed URLs and webhooks
+function describeCalendar(calendar, claims) {
+	const { owner, ...fields } = calendar;
+	if (owner === claims.keyId) return fields;
+	const { webhooks, webhookSecret, ...shared } = fields;
+	return {
+		...shared,
+		sources: calendar.sources.map(source => ({ label: source.label, color: source.color, calendar: getCalendarDomain(source.url) }))
+	};
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+	return new Response(body === null ? null : JSON.stringify(body), {
+		status,
+		headers: {
+			...(body === null ? {} : { 'Content-Type': 'application/json' }),
+			'Cache-Control': 'no-store',
+			'Access-Control-Allow-Origin': '*',
+			...headers
+		}
+	});
+}
+
+async function readCalendarBody(request) {
+	const text = await request.text();
+	if (text.length > MAX_BODY_LENGTH) {
+		throw new CalendarError(`Calendar is too large: at most ${MAX_BODY_LENGTH} bytes`, 413);
+	}
+	try {
+		return JSON.parse(text);
+	} catch (e) {
+		throw new CalendarError('Invalid JSON body');
+	}
+}
+
+async function findOwnCalendar(env, id, claims) {
+	const calendar = await getCalendar(env, id);
+	if (!calendar) throw new CalendarError(`Calendar "${id}" not found`, 404);
+	if (calendar.owner !== claims.keyId) {
+		throw new CalendarError(`Calendar "${id}" can only be changed with the API key that created it`, 403);
+	}
+	return calendar;
+}
+
+function randomHex(bytes) {
+	return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Answers the management routes: POST /calendars creates a calendar (with the `id` given in the body, or a random
+ * one), GET /calendars/{id} describes it, PUT /calendars/{id} replaces it and DELETE /calendars/{id} removes it.
+ */
+export async function handleCalendarRequest(request, env, claims, { id, view }, policy) {
+	try {
+		if (view === undefined) {
+			throw new CalendarError('Not found, expected /calendars/{id}/agenda, /view, /freebusy, /alerts, /now or /stats', 404);
+		}
+
+		if (!id) {
+			if (request.method !== 'POST') {
+				return jsonResponse({ error: `Method ${request.method} not allowed on /calendars` }, 405, { Allow: 'POST, OPTIONS' });
+			}
+			const input = await readCalendarBody(request);
+			const calendarId = input?.id === undefined ? randomHex(8) : String(input.id).toLowerCase();
+			if (!ID_PATTERN.test(calendarId)) {
+				throw new CalendarError('Invalid id: expected up to 64 lower case letters, digits and dashes');
+			}
+			const fields = validateCalendar(input, { claims, policy });
+			if (await env.CALENDARS.get(storageKey(calendarId))) {
+				throw new CalendarError(`Calendar "${calendarId}" already exists`, 409);
+			}
+
+			const now = new Date().toISOString();
+			const calendar = {
+				id: calendarId,
+				...fields,
+				webhookSecret: fields.webhooks.length ? randomHex(32) : null,
+				owner: claims.keyId,
+				createdAt: now,
+				updatedAt: now
+			};
+			await env.CALENDARS.put(storageKey(calendarId), JSON.stringify(calendar));
+			return jsonResponse(describeCalendar(calendar, claims), 201, { Location: `/calendars/${calendarId}` });
+		}
+
+		switch (request.method) {
+			case 'GET': {
+				const calendar = await getCalendar(env, id);
+				if (!calendar) throw new CalendarError(`Calendar "${id}" not found`, 404);
+				return jsonResponse(describeCalendar(calendar, claims));
+			}
+			case 'PUT': {
+				const existing = await findOwnCalendar(env, id, claims);
+				const fields = validateCalendar(await readCalendarBody(request), { claims, policy });
+				const calendar = {
+					...existing,
+					...fields,
+					webhookSecret: existing.webhookSecret || (fields.webhooks.length ? randomHex(32) : null),
+					updatedAt: new Date().toISOString()
+				};
+				await env.CALENDARS.put(storageKey(id), JSON.stringify(calendar));
+				// Changed feeds would show up as changed events, so change detection starts over
+				await env.CALENDARS.delete(`snapshot:${id}`);
+				return jsonResponse(describeCalendar(calendar, claims));
+			}
+			case 'DELETE':
+				await findOwnCalendar(env, id, claims);
+				await env.CALENDARS.delete(storageKey(id));
+				await env.CALENDARS.delete(`snapshot:${id}`);
+				return jsonResponse(null, 204);
+			default:
+				return jsonResponse({ error: `Method ${request.method} not allowed` }, 405, { Allow: 'GET, PUT, DELETE, OPTIONS' });
+		}
+	} catch (error) {
+		if (!(error instanceof CalendarError || error instanceof AuthError || error instanceof FeedError)) throw error;
+		return jsonResponse({ error: error.message }, error.status || 400);
+	}
+}
@@ -0,0 +1,80 @@
+/**
+ * Parsing of iCalendar DATE, DATE-TIME and DURATION values (RFC 5545 sections 3.3.4-3.3.6).
+ */
+
+import { DateTime, Duration } from 'luxon';
+
+/**
+ * How a parsed value is anchored in time:
+ * - utc: a DATE-TIME ending in "Z", an absolute instant whatever its TZID says
+ * - zoned: a local DATE-TIME qualified by a TZID
+ * - floating: a local DATE-TIME without a zone, placed in the requested timezone
+ * - date: a DATE, a whole calendar day in the requested timezone
+ */
+export const TIME_TYPES = {
+	UTC: 'utc',
+	ZONED: 'zoned',
+	FLOATING: 'floating',
+	DATE: 'date'
+};
+
+const DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})$/;
+const DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z)?$/;
+const DURATION_PATTERN = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+function toDateTime(parts, zone, type) {
+	const dateTime = DateTime.fromObject(
+		Object.fromEntries(Object.entries(parts).map(([unit, value]) => [unit, parseInt(value)])),
+		{ zone }
+	);
+	return dateTime.isValid ? { dateTime, type } : null;
+}
+
+/**
+ * Parses a DATE or DATE-TIME value into `{ dateTime, type }`, or null when it is not valid.
+ *
+ * `zone` is the zone resolved from the property's TZID, if it had one. `floatingZone` is where
+ * floating times and dates are placed. `isDate` is set for VALUE=DATE properties.
+ */
+export function parseICSDate(value, { zone = null, floatingZone = 'UTC', isDate = false } = {}) {
+	const text = (value || '').trim().toUpperCase();
+
+	const dateMatch = text.match(DATE_PATTERN);
+	if (dateMatch) {
+		const [, year, month, day] = dateMatch;
+		return toDateTime({ year, month, day }, floatingZone, TIME_TYPES.DATE);
+	}
+
+	const dateTimeMatch = text.match(DATE_TIME_PATTERN);
+	if (!dateTimeMatch) return null;
+
+	const [, year, month, day, hour, minute, second, utc] = dateTimeMatch;
+
+	// Some producers write VALUE=DATE with a time attached; the date is what counts
+	if (isDate) {
+		return toDateTime({ year, month, day }, floatingZone, TIME_TYPES.DATE);
+	}
+
+	const parts = { year, month, day, hour, minute, second };
+	if (utc) return toDateTime(parts, 'UTC', TIME_TYPES.UTC);
+	if (zone) return toDateTime(parts, zone, TIME_TYPES.ZONED);
+	return toDateTime(parts, floatingZone, TIME_TYPES.FLOATING);
+}
+
+/**
+ * Parses a DURATION value such as PT1H30M, P1D or -P1W, or returns null when it is not valid.
+ */
+export function parseICSDuration(value) {
+	const match = (value || '').trim().toUpperCase().match(DURATION_PATTERN);
+	if (!match || value.trim().match(/^[+-]?PT?$/i)) return null;
+
+	const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+	const factor = sign === '-' ? -1 : 1;
+	return Duration.fromObject({
+		weeks: factor * parseInt(weeks),
+		days: factor * parseInt(days),
+		hours: factor * parseInt(hours),
+		minutes: factor * parseInt(minutes),
+		seconds: factor * parseInt(seconds)
+	});
+}
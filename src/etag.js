@@ -0,0 +1,35 @@
+/**
+ * Entity tags for the worker's responses, so polling clients can revalidate with If-None-Match.
+ */
+
+// Seconds clients may reuse a response before revalidating it
+export const DEFAULT_MAX_AGE = 60;
+
+/**
+ * A weak ETag for the given content, hashed from its JSON. Callers pass only what identifies the agenda, not
+ * per-request metadata such as timestamps, so unchanged calendars keep the same tag. The tag is weak because
+ * that metadata still makes the bytes of the response differ.
+ */
+export async function computeETag(content) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(content)));
+	const hash = Array.from(new Uint8Array(digest).subarray(0, 16))
+		.map(b => b.toString(16).padStart(2, '0'))
+		.join('');
+	return `W/"${hash}"`;
+}
+
+/**
+ * Whether an If-None-Match header matches the ETag, using the weak comparison RFC 9110 requires for it.
+ */
+export function matchesETag(ifNoneMatch, etag) {
+	if (!ifNoneMatch) return false;
+	if (ifNoneMatch.trim() === '*') return true;
+
+	const opaque = tag => tag.trim().replace(/^W\//, '');
+	return ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+export function cacheControl(env = {}) {
+	const maxAge = parseInt(env.RESPONSE_MAX_AGE ?? DEFAULT_MAX_AGE);
+	return `private, max-age=${isNaN(maxAge) ? DEFAULT_MAX_AGE : Math.max(0, maxAge)}`;
+}
@@ -0,0 +1,236 @@
+/**
+ * Calendar feed sources: reading them from the request, fetching them and merging their events.
+ */
+
+import { checkFeedUrl, getUpstreamPolicy, readBody, sanitizeErrorBody } from './upstream.js';
+
+// Upper bound on feeds per request, so one request cannot fan out into an unbounded number of fetches
+export const MAX_FEEDS = 10;
+
+const HEX_COLOR_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const NAMED_COLOR_PATTERN = /^[a-z]+$/i;
+
+export class FeedError extends Error {
+	constructor(message, { status = 500, statusText = '', details = '' } = {}) {
+		super(message);
+		this.name = 'FeedError';
+		this.status = status;
+		this.statusText = statusText;
+		this.details = details;
+	}
+}
+
+// Hostname of a feed URL, safe to show without leaking tokens in its path or query
+export function getCalendarDomain(url) {
+	try {
+		return new URL(url).hostname;
+	} catch (e) {
+		return 'unknown';
+	}
+}
+
+// Convert webcal to https
+function normalizeFeedUrl(url) {
+	return url.startsWith('webcal://') ? 'https://' + url.substring(9) : url;
+}
+
+// Accept #rgb/#rrggbb/#rrggbbaa (the "#" may be left out, as it has to be encoded in a query) or a CSS colour name
+export function normalizeColor(color) {
+	if (!color) return null;
+	if (HEX_COLOR_PATTERN.test(color)) return color.startsWith('#') ? color.toLowerCase() : `#${color.toLowerCase()}`;
+	if (NAMED_COLOR_PATTERN.test(color)) return color.toLowerCase();
+	throw new FeedError(`Invalid color "${color}"`, { status: 400 });
+}
+
+// A feed as `{ url, label, color }`, from a feed given in a request or a saved calendar
+export function toSource({ url, label, color }) {
+	if (typeof url !== 'string' || !url.trim()) {
+		throw new FeedError('Every feed needs a url', { status: 400 });
+	}
+	const feedUrl = normalizeFeedUrl(url.trim());
+	return {
+		url: feedUrl,
+		label: typeof label === 'string' && label.trim() ? label.trim() : getCalendarDomain(feedUrl),
+		color: normalizeColor(typeof color === 'string' ? color.trim() : null)
+	};
+}
+
+/**
+ * Reads the feeds to merge from the query string, as `{ url, label, color }` objects. Feeds are given either as
+ * repeated `url` parameters, with optional `label` and `color` parameters matched to them by position, or as a
+ * `feeds` parameter holding a JSON list of `{ "url", "label", "color" }` objects. Throws a FeedError (status 400)
+ * when the list is missing or invalid.
+ */
+export function parseFeedSources(searchParams) {
+	const urls = searchParams.getAll('url');
+	const feedsParam = searchParams.get('feeds');
+	let sources;
+
+	if (feedsParam) {
+		let feeds;
+		try {
+			feeds = JSON.parse(feedsParam);
+		} catch (e) {
+			throw new FeedError('Invalid feeds parameter: expected a JSON list of feeds', { status: 400 });
+		}
+		if (!Array.isArray(feeds)) {
+			throw new FeedError('Invalid feeds parameter: expected a JSON list of feeds', { status: 400 });
+		}
+		sources = feeds.map(feed => toSource(typeof feed === 'string' ? { url: feed } : feed || {}));
+	} else {
+		const labels = searchParams.getAll('label');
+		const colors = searchParams.getAll('color');
+		sources = urls.filter(url => url.trim()).map((url, index) => toSource({ url, label: labels[index], color: colors[index] }));
+	}
+
+	if (sources.length === 0) {
+		throw new FeedError('Missing url parameter', { status: 400 });
+	}
+	if (sources.length > MAX_FEEDS) {
+		throw new FeedError(`Too many feeds: at most ${MAX_FEEDS} can be merged`, { status: 400 });
+	}
+
+	return sources;
+}
+
+// Redirects are followed by hand, so every hop is checked against the policy
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Content types that cannot be a calendar; servers send calendars under many others, so those are not refused
+const NON_CALENDAR_TYPE_PATTERN = /^(text\/html|application\/(xhtml\+)?xml|text\/xml|application\/json|image\/|audio\/|video\/)/i;
+
+// Bytes of an upstream error page read to build its details
+const ERROR_BODY_BYTES = 4096;
+
+// Whether a body starts like an iCalendar file, after an optional byte order mark and whitespace
+function looksLikeCalendar(bytes) {
+	const start = new TextDecoder().decode(bytes.subarray(0, 64)).replace(/^\uFEFF/, '').trimStart();
+	return start.toUpperCase().startsWith('BEGIN:VCALENDAR');
+}
+
+/**
+ * Fetches a feed, keeping the body as raw bytes so folded lines are joined before UTF-8 decoding. Given the
+ * `etag`/`lastModified` of a cached copy it makes a conditional request, and `notModified` is set on a 304.
+ * The fetch follows the upstream `policy` (see getUpstreamPolicy): every URL and redirect is checked, and the
+ * download is abandoned past the size limit or the timeout. Throws a FeedError carrying the upstream status when
+ * the feed cannot be fetched or is not a calendar.
+ */
+export async function fetchFeed(url, { etag = null, lastModified = null, policy = getUpstreamPolicy() } = {}) {
+	const headers = {};
+	if (etag) headers['If-None-Match'] = etag;
+	if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(), policy.timeout * 1000);
+	try {
+		let target = url;
+		let response;
+		for (let redirects = 0; ; redirects++) {
+			const refused = checkFeedUrl(target, policy);
+			if (refused) throw new FeedError(refused, { status: 403 });
+
+			response = await fetch(target, { headers, redirect: 'manual', signal: controller.signal });
+			const location = response.headers.get('Location');
+			if (!REDIRECT_STATUSES.includes(response.status) || !location) break;
+			if (redirects >= policy.maxRedirects) {
+				throw new FeedError(`Too many redirects fetching calendar (more than ${policy.maxRedirects})`, { status: 502 });
+			}
+			await response.body?.cancel();
+			target = new URL(location, target).href;
+		}
+
+		if (response.status === 304) {
+			// A 304 only means something in answer to a conditional request
+			if (!etag && !lastModified) {
+				throw new FeedError('Upstream answered 304 Not Modified to a request that was not conditional', { status: 502 });
+			}
+			return {
+				notModified: true,
+				body: null,
+				etag: response.headers.get('ETag') || etag,
+				lastModified: response.headers.get('Last-Modified') || lastModified
+			};
+		}
+
+		if (!response.ok) {
+			console.error(`HTTP error! status: ${response.status}, statusText: ${response.statusText}`);
+			// Error pages can be large and carry markup or internal details, so only a cleaned-up excerpt is passed on
+			const { bytes } = await readBody(response, ERROR_BODY_BYTES);
+			const errorBody = sanitizeErrorBody(new TextDecoder().decode(bytes));
+			console.error('Error response body:', errorBody);
+			throw new FeedError('Failed to fetch calendar', { status: response.status, statusText: response.statusText, details: errorBody });
+		}
+
+		const contentType = response.headers.get('Content-Type') || '';
+		if (NON_CALENDAR_TYPE_PATTERN.test(contentType)) {
+			await response.body?.cancel();
+			throw new FeedError('Upstream did not return a calendar', { status: 502, details: `Content-Type is ${contentType.split(';')[0]}` });
+		}
+		if (Number(response.headers.get('Content-Length')) > policy.maxBytes) {
+			await response.body?.cancel();
+			throw new FeedError(`Calendar is larger than the ${policy.maxBytes} byte limit`, { status: 502 });
+		}
+
+		const { bytes, truncated } = await readBody(response, policy.maxBytes);
+		if (truncated) {
+			throw new FeedError(`Calendar is larger than the ${policy.maxBytes} byte limit`, { status: 502 });
+		}
+		if (!looksLikeCalendar(bytes)) {
+			throw new FeedError('Upstream did not return a calendar', { status: 502, details: 'The response does not start with BEGIN:VCALENDAR' });
+		}
+
+		return {
+			notModified: false,
+			body: bytes,
+			etag: response.headers.get('ETag'),
+			lastModified: response.headers.get('Last-Modified')
+		};
+	} catch (error) {
+		if (error instanceof FeedError) throw error;
+		if (controller.signal.aborted) {
+			throw new FeedError(`Timed out fetching calendar after ${policy.timeout} seconds`, { status: 504 });
+		}
+		throw new FeedError(error.message, { status: 502 });
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+// A later revision of the same event wins: higher SEQUENCE, then more recent LAST-MODIFIED
+function isNewer(candidate, current) {
+	if (candidate.sequence !== current.sequence) return candidate.sequence > current.sequence;
+	return (candidate.lastModified || '') > (current.lastModified || '');
+}
+
+/**
+ * Merges the parsed events of several feeds, given as `[{ source, events }]` in request order. Each event is tagged
+ * with its feed's `source` label and `color`. An event whose UID (and RECURRENCE-ID) also appears in an earlier feed
+ * is kept once, preferring the newer revision; events without a UID are always kept.
+ */
+export function mergeFeedEvents(feeds) {
+	const merged = [];
+	const seen = new Map();
+
+	feeds.forEach(({ source, events }, sourceIndex) => {
+		events.forEach(event => {
+			const tagged = { ...event, source: source.label, color: source.color };
+			if (!event.uid) {
+				merged.push(tagged);
+				return;
+			}
+
+			const key = `${event.uid}|${event.recurrenceId || ''}`;
+			const existing = seen.get(key);
+
+			// Repeats within one feed are left to the recurrence handling; only duplicates across feeds are merged
+			if (!existing || existing.sourceIndex === sourceIndex) {
+				seen.set(key, { index: merged.length, sourceIndex });
+				merged.push(tagged);
+			} else if (isNewer(tagged, merged[existing.index])) {
+				merged[existing.index] = tagged;
+			}
+		});
+	});
+
+	return merged;
+}
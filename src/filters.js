@@ -0,0 +1,285 @@
+/**
+ * Event filters: `include`/`exclude` search queries and the `allDay`, `status` and `transparent` switches.
+ */
+
+// Fields a query can search; a term without a field searches all of them
+const FIELDS = {
+	title: event => [event.title],
+	description: event => [event.description],
+	location: event => [event.location],
+	categories: event => event.categories || [],
+	organizer: event => (event.organizer ? [event.organizer.name, event.organizer.email] : [])
+};
+const FIELD_ALIASES = { summary: 'title', category: 'categories' };
+
+const STATUSES = ['TENTATIVE', 'CONFIRMED', 'CANCELLED'];
+const SWITCHES = ['only', 'exclude'];
+const MAX_QUERY_LENGTH = 500;
+const REGEX_FLAGS = /^[imsu]*$/;
+// Regular expressions only see this much of each value, to bound their running time
+const MAX_REGEX_INPUT = 1000;
+
+// A term is an optional field, then a quoted phrase, a /regex/flags or a bare word
+const TERM_PATTERN = /^(?:([a-z]+):)?("(?:[^"\\]|\\.)*"|\/(?:[^/\\]|\\.)+\/[a-z]*|[^\s()]+)/i;
+
+function resolveField(name) {
+	const field = name.toLowerCase();
+	return FIELD_ALIASES[field] || (FIELDS[field] ? field : null);
+}
+
+function tokenize(query) {
+	const tokens = [];
+	let rest = query.trim();
+	while (rest) {
+		if (rest[0] === '(' || rest[0] === ')') {
+			tokens.push({ type: rest[0] });
+			rest = rest.slice(1).trimStart();
+			continue;
+		}
+
+		const [text, fieldName, value] = rest.match(TERM_PATTERN);
+		rest = rest.slice(text.length).trimStart();
+
+		// "foo:bar" only names a field when foo is one; otherwise it is searched for as typed (e.g. "10:30")
+		const field = fieldName ? resolveField(fieldName) : null;
+		if (fieldName && !field) {
+			tokens.push(toTerm(null, text));
+		} else if (!field && ['AND', 'OR', 'NOT'].includes(value)) {
+			tokens.push({ type: value });
+		} else {
+			tokens.push(toTerm(field, value));
+		}
+	}
+	return tokens;
+}
+
+/**
+ * Refuses regular expressions that can backtrack catastrophically, such as /(a+)+$/: backreferences, a repeated group
+ * that contains a quantifier or an alternation, and repeated parts that follow each other, as in /a*a*b/. An
+ * optional group, `(...)?`, is allowed. Throws with the reason.
+ */
+export function checkRegexSafety(source) {
+	const refuse = reason => {
+		throw new Error(`Unsupported regular expression "/${source}/": ${reason}`);
+	};
+	// Each open group records whether it holds a quantifier or an alternation, and whether it follows a repeated part
+	const groups = [{ risky: false }];
+	let last = null;
+	let lastUnbounded = false;
+	let afterRepeat = false;
+	const startAtom = () => {
+		afterRepeat = (last === 'quantifier' || last === 'lazy') && lastUnbounded;
+		last = 'atom';
+	};
+
+	for (let i = 0; i < source.length; i++) {
+		const char = source[i];
+		if (char === '\\') {
+			if (/[1-9k]/.test(source[i + 1] || '')) refuse('backreferences are not supported');
+			i++;
+			startAtom();
+		} else if (char === '[') {
+			for (i++; i < source.length && source[i] !== ']'; i++) {
+				if (source[i] === '\\') i++;
+			}
+			startAtom();
+		} else if (char === '(') {
+			startAtom();
+			groups.push({ risky: false, afterRepeat });
+			// Skip the (?:, (?=, (?!, (?<=, (?<! or (?<name> that opens a group
+			i += source.slice(i).match(/^\((?:\?(?::|=|!|<=|<!|<[^>]*>))?/)[0].length - 1;
+			last = null;
+		} else if (char === ')') {
+			const closed = groups.length > 1 ? groups.pop() : { risky: false, afterRepeat: false };
+			if (closed.risky) groups[groups.length - 1].risky = true;
+			afterRepeat = closed.afterRepeat;
+			last = closed.risky ? 'risky group' : 'group';
+		} else if (char === '|') {
+			groups[groups.length - 1].risky = true;
+			last = null;
+		} else if ('*+?{'.includes(char) && last !== null) {
+			const quantifier = char === '{' ? source.slice(i).match(/^\{\d+(,\d*)?\}/) : [char];
+			if (!quantifier) {
+				startAtom();
+				continue;
+			}
+			i += quantifier[0].length - 1;
+			// A ? straight after a quantifier makes it lazy
+			if (last === 'quantifier' && char === '?') {
+				last = 'lazy';
+				continue;
+			}
+			const unbounded = char === '*' || char === '+' || (char === '{' && quantifier[1] === ',');
+			if (last === 'risky group' && char !== '?') refuse('a repeated group cannot contain a quantifier or "|"');
+			if (unbounded && afterRepeat) refuse('repeated parts cannot follow each other');
+			groups[groups.length - 1].risky = true;
+			last = 'quantifier';
+			lastUnbounded = unbounded;
+		} else {
+			startAtom();
+		}
+	}
+}
+
+function toTerm(field, value) {
+	if (/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+		return { type: 'term', field, text: value.slice(1, -1).replace(/\\(.)/g, '$1').toLowerCase() };
+	}
+
+	const regex = value.match(/^\/(.+)\/([a-z]*)$/i);
+	if (regex) {
+		if (!REGEX_FLAGS.test(regex[2])) {
+			throw new Error(`Invalid regular expression flags "${regex[2]}", expected any of i, m, s and u`);
+		}
+		let pattern;
+		try {
+			pattern = new RegExp(regex[1], regex[2]);
+		} catch (e) {
+			throw new Error(`Invalid filter "${value}": ${e.message}`);
+		}
+		checkRegexSafety(regex[1]);
+		return { type: 'term', field, regex: pattern };
+	}
+
+	return { type: 'term', field, text: value.toLowerCase() };
+}
+
+/**
+ * Parses a search query into a tree of `and`, `or`, `not` and `term` nodes. Terms are `field:value`, or a value
+ * that matches any field; a value is a word or "quoted phrase" matched case-insensitively as a substring, or a
+ * /regular expression/ (see checkRegexSafety). Terms can be combined with AND (also implied between terms), OR, NOT and parentheses.
+ * Throws for a query that cannot be parsed.
+ */
+export function parseQuery(query) {
+	if (query.length > MAX_QUERY_LENGTH) {
+		throw new Error(`Filter query is too long (maximum ${MAX_QUERY_LENGTH} characters)`);
+	}
+
+	const tokens = tokenize(query);
+	let position = 0;
+	const peek = () => tokens[position]?.type;
+
+	const parseOr = () => {
+		const terms = [parseAnd()];
+		while (peek() === 'OR') {
+			position++;
+			terms.push(parseAnd());
+		}
+		return terms.length === 1 ? terms[0] : { type: 'or', terms };
+	};
+	const parseAnd = () => {
+		const terms = [parseNot()];
+		while (peek() && peek() !== 'OR' && peek() !== ')') {
+			if (peek() === 'AND') position++;
+			terms.push(parseNot());
+		}
+		return terms.length === 1 ? terms[0] : { type: 'and', terms };
+	};
+	const parseNot = () => {
+		if (peek() === 'NOT') {
+			position++;
+			return { type: 'not', term: parseNot() };
+		}
+		if (peek() === '(') {
+			position++;
+			const node = parseOr();
+			if (peek() !== ')') throw new Error(`Invalid filter "${query}": missing ")"`);
+			position++;
+			return node;
+		}
+		if (peek() !== 'term') throw new Error(`Invalid filter "${query}": expected a search term`);
+		return tokens[position++];
+	};
+
+	if (tokens.length === 0) throw new Error('Empty filter query');
+	const node = parseOr();
+	if (position < tokens.length) throw new Error(`Invalid filter "${query}": unexpected "${peek()}"`);
+	return node;
+}
+
+/**
+ * Whether an event matches a parsed query.
+ */
+export function matchesQuery(node, event) {
+	switch (node.type) {
+		case 'and':
+			return node.terms.every(term => matchesQuery(term, event));
+		case 'or':
+			return node.terms.some(term => matchesQuery(term, event));
+		case 'not':
+			return !matchesQuery(node.term, event);
+		default: {
+			const fields = node.field ? [node.field] : Object.keys(FIELDS);
+			const values = fields.flatMap(field => FIELDS[field](event)).filter(Boolean);
+			if (node.regex) return values.some(value => node.regex.test(value.slice(0, MAX_REGEX_INPUT)));
+			return values.some(value => value.toLowerCase().includes(node.text));
+		}
+	}
+}
+
+function parseSwitch(searchParams, name) {
+	const value = searchParams.get(name);
+	if (value === null || value === '') return null;
+	if (!SWITCHES.includes(value.toLowerCase())) {
+		throw new Error(`Invalid ${name} "${value}", expected one of: ${SWITCHES.join(', ')}`);
+	}
+	return value.toLowerCase();
+}
+
+// Statuses given as repeated or comma-separated values, e.g. status!=tentative,cancelled
+function parseStatuses(searchParams, name) {
+	const statuses = searchParams
+		.getAll(name)
+		.flatMap(value => value.split(','))
+		.map(status => status.trim().toUpperCase())
+		.filter(Boolean);
+	statuses.forEach(status => {
+		if (!STATUSES.includes(status)) {
+			throw new Error(`Invalid ${name} "${status}", expected one of: ${STATUSES.join(', ').toLowerCase()}`);
+		}
+	});
+	return statuses;
+}
+
+/**
+ * Reads the filters from the query string, as they are echoed in the response:
+ * - `include`/`exclude`: search queries (see parseQuery); events must match one of the include queries, if any,
+ *   and none of the exclude queries
+ * - `allDay`: `only` or `exclude` all-day events
+ * - `status=confirmed` keeps only events with those statuses, `status!=tentative` drops them
+ * - `transparent`: `only` or `exclude` events that do not block time (TRANSP:TRANSPARENT)
+ * Throws when a filter is invalid.
+ */
+export function parseFilters(searchParams) {
+	const include = searchParams.getAll('include').filter(query => query.trim());
+	const exclude = searchParams.getAll('exclude').filter(query => query.trim());
+	[...include, ...exclude].forEach(parseQuery);
+
+	return {
+		include,
+		exclude,
+		allDay: parseSwitch(searchParams, 'allDay'),
+		status: { include: parseStatuses(searchParams, 'status'), exclude: parseStatuses(searchParams, 'status!') },
+		transparent: parseSwitch(searchParams, 'transparent')
+	};
+}
+
+/**
+ * Builds a predicate that keeps the events passing the filters returned by parseFilters.
+ */
+export function createEventFilter(filters) {
+	if (!filters) return () => true;
+
+	const include = filters.include.map(parseQuery);
+	const exclude = filters.exclude.map(parseQuery);
+	const { allDay, status, transparent } = filters;
+
+	return event => {
+		if (allDay && event.isAllDay !== (allDay === 'only')) return false;
+		if (transparent && (event.transparency === 'TRANSPARENT') !== (transparent === 'only')) return false;
+		if (status.include.length && !status.include.includes(event.status)) return false;
+		if (status.exclude.includes(event.status)) return false;
+		if (include.length && !include.some(query => matchesQuery(query, event))) return false;
+		return !exclude.some(query => matchesQuery(query, event));
+	};
+}
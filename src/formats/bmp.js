@@ -0,0 +1,98 @@
+/**
+ * 1-bit BMP agenda for e-paper displays that can only show a bitmap: the shared image layout, rasterized with
+ * the built-in bitmap font and encoded in pure JS.
+ */
+
+import { CELL_WIDTH, GLYPH_HEIGHT, GLYPH_WIDTH, glyph, toFontText } from './font.js';
+import { layoutAgenda } from './image.js';
+
+const FILE_HEADER_SIZE = 14;
+const INFO_HEADER_SIZE = 40;
+const PALETTE_SIZE = 8;
+const PIXELS_PER_METRE = 2835; // 72 dpi
+
+/**
+ * Draws shapes (see layoutAgenda) into a width x height bitmap of 0 (black) and 1 (white) pixels.
+ */
+export function rasterize({ width, height, shapes }) {
+	const pixels = new Uint8Array(width * height).fill(1);
+	const fill = (x, y, w, h, value) => {
+		for (let row = Math.max(0, y); row < Math.min(height, y + h); row++) {
+			pixels.fill(value, row * width + Math.max(0, x), row * width + Math.min(width, x + w));
+		}
+	};
+
+	shapes.forEach(shape => {
+		const value = shape.color === 'black' ? 0 : 1;
+		if (shape.type === 'rect') {
+			fill(shape.x, shape.y, shape.width, shape.height, value);
+			return;
+		}
+
+		const { scale } = shape;
+		Array.from(toFontText(shape.text)).forEach((char, index) => {
+			const columns = glyph(char);
+			const left = shape.x + index * CELL_WIDTH * scale;
+			for (let column = 0; column < GLYPH_WIDTH; column++) {
+				for (let row = 0; row < GLYPH_HEIGHT; row++) {
+					if (!((columns[column] >> row) & 1)) continue;
+					const x = left + column * scale;
+					const y = shape.y + row * scale;
+					fill(x, y, scale, scale, value);
+					// Bold doubles each stroke one pixel to the right
+					if (shape.bold) fill(x + 1, y, scale, scale, value);
+				}
+			}
+		});
+	});
+
+	return pixels;
+}
+
+/**
+ * Encodes a bitmap of 0 (black) and 1 (white) pixels as a bottom-up, uncompressed 1-bit BMP.
+ */
+export function encodeBmp(pixels, width, height) {
+	// Rows are padded to a multiple of four bytes
+	const rowSize = Math.ceil(width / 32) * 4;
+	const dataOffset = FILE_HEADER_SIZE + INFO_HEADER_SIZE + PALETTE_SIZE;
+	const fileSize = dataOffset + rowSize * height;
+	const bytes = new Uint8Array(fileSize);
+	const view = new DataView(bytes.buffer);
+
+	bytes[0] = 0x42; // B
+	bytes[1] = 0x4d; // M
+	view.setUint32(2, fileSize, true);
+	view.setUint32(10, dataOffset, true);
+
+	view.setUint32(14, INFO_HEADER_SIZE, true);
+	view.setInt32(18, width, true);
+	view.setInt32(22, height, true);
+	view.setUint16(26, 1, true); // planes
+	view.setUint16(28, 1, true); // bits per pixel
+	view.setUint32(30, 0, true); // no compression
+	view.setUint32(34, rowSize * height, true);
+	view.setInt32(38, PIXELS_PER_METRE, true);
+	view.setInt32(42, PIXELS_PER_METRE, true);
+	view.setUint32(46, 2, true); // colours in the palette
+	view.setUint32(50, 2, true);
+
+	// Palette: index 0 black, index 1 white (blue, green, red, reserved)
+	bytes.set([0x00, 0x00, 0x00, 0x00, 0xff, 0xff, 0xff, 0x00], FILE_HEADER_SIZE + INFO_HEADER_SIZE);
+
+	for (let y = 0; y < height; y++) {
+		const rowStart = dataOffset + (height - 1 - y) * rowSize;
+		for (let x = 0; x < width; x++) {
+			if (pixels[y * width + x]) {
+				bytes[rowStart + (x >> 3)] |= 0x80 >> (x & 7);
+			}
+		}
+	}
+
+	return bytes;
+}
+
+export function renderBmp(groupedEvents, options) {
+	const layout = layoutAgenda(groupedEvents, options);
+	return encodeBmp(rasterize(layout), layout.width, layout.height);
+}
@@ -0,0 +1,35 @@
+/**
+ * CSV agenda (RFC 4180) for spreadsheets, one row per event per day.
+ */
+
+const COLUMNS = ['date', 'start', 'end', 'all_day', 'title', 'location', 'description', 'status', 'source', 'uid'];
+
+// Spreadsheets run cells starting with these as formulas, so such text is prefixed with a quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeField(value, isText) {
+	let field = value === null || value === undefined ? '' : String(value);
+	if (isText && FORMULA_PREFIX.test(field)) {
+		field = `'${field}`;
+	}
+	return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+export function renderCsv({ agenda }) {
+	const rows = agenda.flatMap(({ date, events }) =>
+		events.map(item => [
+			escapeField(date),
+			escapeField(item.start),
+			escapeField(item.end),
+			escapeField(item.isFullDay ? 'true' : 'false'),
+			escapeField(item.title, true),
+			escapeField(item.location, true),
+			escapeField(item.description, true),
+			escapeField(item.status, true),
+			escapeField(item.source, true),
+			escapeField(item.uid, true)
+		].join(','))
+	);
+
+	return [COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,141 @@
+/**
+ * Self-contained HTML agenda page for kiosks and wall displays: no scripts and no external assets, so it can be
+ * served with a Content-Security-Policy that blocks anything a hostile feed manages to smuggle in.
+ */
+
+import { DateTime } from 'luxon';
+import { formatDay, formatTimeRange } from './text.js';
+
+export const CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'";
+
+const LOCALE = { locale: 'en-US' };
+
+const STYLES = `
+:root { --bg: #fafafa; --fg: #1b1b1f; --muted: #676770; --card: #fff; --line: #e3e3e8; --now: #1e7d32; --next: #1565c0; }
+.theme-dark { --bg: #121214; --fg: #f1f1f4; --muted: #a0a0aa; --card: #1e1e22; --line: #33333a; --now: #66bb6a; --next: #64b5f6; }
+@media (prefers-color-scheme: dark) {
+	.theme-auto { --bg: #121214; --fg: #f1f1f4; --muted: #a0a0aa; --card: #1e1e22; --line: #33333a; --now: #66bb6a; --next: #64b5f6; }
+}
+* { box-sizing: border-box; }
+body { margin: 0; padding: 1.5rem; background: var(--bg); color: var(--fg); font: 18px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; }
+header { display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 1rem; }
+header h1 { margin: 0; font-size: 1.6rem; }
+header p, .empty, .meta, footer { color: var(--muted); margin: 0; }
+h2 { font-size: 1.1rem; margin: 1.25rem 0 0.5rem; }
+ul { list-style: none; margin: 0; padding: 0; }
+.event { display: grid; grid-template-columns: 9rem 1fr auto; gap: 0 0.75rem; padding: 0.6rem 0.75rem; margin-bottom: 0.4rem;
+	background: var(--card); border: 1px solid var(--line); border-left: 0.35rem solid var(--source-color, var(--line)); border-radius: 0.4rem; }
+.event .time { font-variant-numeric: tabular-nums; }
+.event .title { font-weight: 600; overflow-wrap: anywhere; }
+.event .meta { grid-column: 2; font-size: 0.85em; overflow-wrap: anywhere; }
+.event .badge { grid-column: 3; grid-row: 1; font-size: 0.75em; font-weight: 700; text-transform: uppercase; }
+.event.now { outline: 2px solid var(--now); }
+.event.now .badge { color: var(--now); }
+.event.next .badge { color: var(--next); }
+.layout-day .event { font-size: 1.4em; grid-template-columns: 11rem 1fr auto; }
+.week { display: grid; grid-template-columns: repeat(7, minmax(0, 1fr)); gap: 0.5rem; }
+.week h2 { margin-top: 0; }
+.week .event { grid-template-columns: 1fr auto; font-size: 0.85em; }
+.week .event .meta, .week .event .title { grid-column: 1 / -1; }
+.week .event .badge { grid-column: 2; }
+.today h2 { color: var(--now); }
+footer { margin-top: 1.5rem; font-size: 0.85em; }
+`;
+
+export function escapeHtml(value) {
+	return String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+const itemKey = item => `${item.uid}|${item.start}`;
+
+/**
+ * The agenda items to highlight at `now`: those in progress, and the next one to start. All-day events are
+ * left out, as they would otherwise be "now" all day, and so are tasks, which are only due.
+ */
+export function findHighlights(agenda, now = DateTime.now()) {
+	const timed = agenda.flatMap(({ events }) => events).filter(item => !item.isFullDay && item.type !== 'task');
+	const current = timed.filter(item => DateTime.fromISO(item.start) <= now && now < DateTime.fromISO(item.end));
+	const next = timed
+		.filter(item => DateTime.fromISO(item.start) > now)
+		.sort((a, b) => DateTime.fromISO(a.start) - DateTime.fromISO(b.start))[0];
+
+	return { current: current.map(itemKey), next: next ? itemKey(next) : null };
+}
+
+function renderEvent(item, highlights, clock) {
+	const key = itemKey(item);
+	const state = highlights.current.includes(key) ? 'now' : highlights.next === key ? 'next' : null;
+	const meta = [item.location, item.source].filter(Boolean).map(escapeHtml).join(' · ');
+	const style = item.color ? ` style="--source-color: ${escapeHtml(item.color)}"` : '';
+
+	return [
+		`<li class="event${state ? ` ${state}` : ''}"${style}>`,
+		`<span class="time">${escapeHtml(formatTimeRange(item, clock))}</span>`,
+		`<span class="title">${escapeHtml(item.title || '(no title)')}</span>`,
+		state ? `<span class="badge">${state === 'now' ? 'Now' : 'Next'}</span>` : '',
+		meta ? `<span class="meta">${meta}</span>` : '',
+		'</li>'
+	].join('');
+}
+
+function renderDay(date, events, highlights, clock, today, heading = formatDay(date)) {
+	const list = events.length
+		? `<ul>${events.map(item => renderEvent(item, highlights, clock)).join('')}</ul>`
+		: '<p class="empty">No events</p>';
+	return `<section class="day${date === today ? ' today' : ''}"><h2>${escapeHtml(heading)}</h2>${list}</section>`;
+}
+
+/**
+ * Renders the agenda as a page. `layout` is list (every day with events), day (only the first day of the window)
+ * or week (seven columns from the first day); `theme` is light, dark or auto; `refresh` reloads the page every
+ * that many seconds.
+ */
+export function renderHtml({ agenda, timezone = 'UTC', request = {}, sources = [], errors = [] }, options = {}) {
+	const { layout = 'list', theme = 'auto', refresh = null, clock = '24h' } = options;
+	const now = (options.now || DateTime.now()).setZone(timezone);
+	const today = now.toISODate();
+	const highlights = findHighlights(agenda, now);
+	const eventsByDate = Object.fromEntries(agenda.map(({ date, events }) => [date, events]));
+	const firstDay = request.startFrom ? DateTime.fromISO(request.startFrom, { setZone: true }) : now.startOf('day');
+
+	let body;
+	if (layout === 'day') {
+		const date = firstDay.toISODate();
+		body = renderDay(date, eventsByDate[date] || [], highlights, clock, today);
+	} else if (layout === 'week') {
+		const days = Array.from({ length: 7 }, (_, index) => firstDay.plus({ days: index }));
+		body = `<div class="week">${days
+			.map(day => renderDay(day.toISODate(), eventsByDate[day.toISODate()] || [], highlights, clock, today, day.toFormat('ccc d', LOCALE)))
+			.join('')}</div>`;
+	} else {
+		body = agenda.length
+			? agenda.map(({ date, events }) => renderDay(date, events, highlights, clock, today)).join('')
+			: '<p class="empty">No events</p>';
+	}
+
+	const title = sources.length ? sources.map(source => source.label).join(', ') : 'Agenda';
+	const footer = errors.length ? `<footer>Could not load: ${errors.map(error => escapeHtml(error.source)).join(', ')}</footer>` : '';
+
+	return [
+		'<!doctype html>',
+		'<html lang="en">',
+		'<head>',
+		'<meta charset="utf-8">',
+		'<meta name="viewport" content="width=device-width, initial-scale=1">',
+		refresh ? `<meta http-equiv="refresh" content="${refresh}">` : '',
+		`<title>${escapeHtml(title)}</title>`,
+		`<style>${STYLES}</style>`,
+		'</head>',
+		`<body class="theme-${theme} layout-${layout}">`,
+		`<header><h1>${escapeHtml(now.toFormat('cccc d LLLL', LOCALE))}</h1><p>${escapeHtml(title)}</p></header>`,
+		`<main>${body}</main>`,
+		footer,
+		'</body>',
+		'</html>'
+	].filter(line => line !== '').join('\n');
+}
@@ -0,0 +1,259 @@
+/**
+ * Serializes agenda occurrences back to an RFC 5545 feed, so the worker can act as a calendar proxy.
+ *
+ * Times are written in the requested timezone, with a VTIMEZONE generated for it, so every client shows the
+ * same normalized times. Recurring events are written as their individual occurrences inside the window, each
+ * with the series UID and a RECURRENCE-ID.
+ */
+
+import { DateTime, IANAZone } from 'luxon';
+
+const PRODID = '-//stucal//Calendar Wrangler//EN';
+const MAX_LINE_OCTETS = 75;
+const encoder = new TextEncoder();
+
+/**
+ * Escapes a TEXT value: backslashes, semicolons, commas and newlines.
+ */
+export function escapeText(value) {
+	return String(value)
+		.replace(/\\/g, '\\\\')
+		.replace(/;/g, '\\;')
+		.replace(/,/g, '\\,')
+		.replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values cannot contain DQUOTE; RFC 6868 caret-encodes it, newlines and carets. Quote values with separators
+function formatParamValue(value) {
+	const encoded = String(value).replace(/\^/g, '^^').replace(/\r?\n/g, '^n').replace(/"/g, "^'");
+	return /[;:,]/.test(encoded) ? `"${encoded}"` : encoded;
+}
+
+/**
+ * Folds a content line so no line exceeds 75 octets, without splitting a UTF-8 character.
+ */
+export function foldLine(line) {
+	const chunks = [];
+	let chunk = '';
+	let octets = 0;
+
+	for (const char of line) {
+		const size = encoder.encode(char).length;
+		// Continuation lines start with a space, which counts towards their 75 octets
+		const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+		if (octets + size > limit) {
+			chunks.push(chunk);
+			chunk = '';
+			octets = 0;
+		}
+		chunk += char;
+		octets += size;
+	}
+	chunks.push(chunk);
+
+	return chunks.join('\r\n ');
+}
+
+function contentLine(name, value, params = {}) {
+	const paramText = Object.entries(params)
+		.filter(([, paramValue]) => paramValue !== null && paramValue !== undefined && paramValue !== '')
+		.map(([param, paramValue]) => `;${param}=${formatParamValue(paramValue)}`)
+		.join('');
+	return foldLine(`${name}${paramText}:${value}`);
+}
+
+// "UTC" and similar names resolve to Luxon's fixed UTC zone rather than an IANA zone
+function isUTC(timezone) {
+	const zone = DateTime.now().setZone(timezone).zone;
+	return zone.isUniversal && zone.offset(0) === 0;
+}
+
+// A DATE-TIME property in the requested timezone, as UTC when that is UTC
+function dateTimeLine(name, dateTime, timezone) {
+	if (isUTC(timezone)) {
+		return contentLine(name, dateTime.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'"));
+	}
+	return contentLine(name, dateTime.setZone(timezone).toFormat("yyyyMMdd'T'HHmmss"), { TZID: timezone });
+}
+
+const formatUTC = dateTime => dateTime.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+function utcLine(name, iso) {
+	return contentLine(name, formatUTC(DateTime.fromISO(iso)));
+}
+
+const formatOffset = minutes => {
+	const sign = minutes < 0 ? '-' : '+';
+	const absolute = Math.abs(minutes);
+	return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+};
+
+// Find the first millisecond with the new offset between two timestamps that have different offsets
+function findTransition(zone, from, to) {
+	const offset = zone.offset(from);
+	while (to - from > 1) {
+		const middle = Math.floor((from + to) / 2);
+		if (zone.offset(middle) === offset) {
+			from = middle;
+		} else {
+			to = middle;
+		}
+	}
+	return to;
+}
+
+function observance(type, localStart, offsetFrom, offsetTo, name) {
+	return [
+		`BEGIN:${type}`,
+		contentLine('DTSTART', localStart),
+		contentLine('TZOFFSETFROM', formatOffset(offsetFrom)),
+		contentLine('TZOFFSETTO', formatOffset(offsetTo)),
+		...(name ? [contentLine('TZNAME', escapeText(name))] : []),
+		`END:${type}`
+	];
+}
+
+/**
+ * A VTIMEZONE for an IANA zone, listing every offset change between the start of `from`'s year and the end of
+ * `to`'s year as its own observance.
+ */
+export function buildVTimezone(timezone, from, to) {
+	const zone = IANAZone.create(timezone);
+	const rangeStart = from.setZone(timezone).startOf('year').toMillis();
+	const rangeEnd = to.setZone(timezone).endOf('year').toMillis();
+	const day = 24 * 60 * 60 * 1000;
+	const localTime = (ts, offset) => DateTime.fromMillis(ts + offset * 60000, { zone: 'utc' }).toFormat("yyyyMMdd'T'HHmmss");
+	const tzname = ts => zone.offsetName(ts, { format: 'short', locale: 'en-US' });
+
+	const transitions = [];
+	for (let ts = rangeStart; ts < rangeEnd; ts += day) {
+		const next = Math.min(ts + day, rangeEnd);
+		if (zone.offset(ts) !== zone.offset(next)) {
+			const at = findTransition(zone, ts, next);
+			transitions.push({ at, offsetFrom: zone.offset(at - 1), offsetTo: zone.offset(at) });
+		}
+	}
+
+	// The offset in force at the start of the range, so times before the first transition are defined
+	const initialOffset = zone.offset(rangeStart);
+	const initialType = transitions.length && transitions[0].offsetTo < initialOffset ? 'DAYLIGHT' : 'STANDARD';
+
+	return [
+		'BEGIN:VTIMEZONE',
+		contentLine('TZID', timezone),
+		...observance(initialType, localTime(rangeStart, initialOffset), initialOffset, initialOffset, tzname(rangeStart)),
+		...transitions.flatMap(({ at, offsetFrom, offsetTo }) =>
+			observance(offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD', localTime(at, offsetFrom), offsetFrom, offsetTo, tzname(at))
+		),
+		'END:VTIMEZONE'
+	];
+}
+
+function serializeEvent(event, timezone, dtstamp) {
+	const start = DateTime.fromISO(event.start, { setZone: true });
+	const end = DateTime.fromISO(event.end, { setZone: true });
+	const lines = ['BEGIN:VEVENT'];
+	const add = (name, value, params) => {
+		if (value !== null && value !== undefined && value !== '') lines.push(contentLine(name, value, params));
+	};
+
+	add('UID', escapeText(event.uid || `${start.toUTC().toMillis()}@stucal`));
+	lines.push(utcLine('DTSTAMP', event.lastModified || event.created || dtstamp));
+
+	// Occurrences of a series keep its UID, and RECURRENCE-ID tells them apart so clients can match later changes
+	const occurrence = event.isRecurring && event.occurrenceDate ? DateTime.fromISO(event.occurrenceDate, { setZone: true }) : null;
+	if (event.isAllDay) {
+		// All-day events are dates in the requested timezone; DTEND stays exclusive
+		add('DTSTART', start.setZone(timezone).toFormat('yyyyMMdd'), { VALUE: 'DATE' });
+		add('DTEND', end.setZone(timezone).toFormat('yyyyMMdd'), { VALUE: 'DATE' });
+		if (occurrence) add('RECURRENCE-ID', occurrence.setZone(timezone).toFormat('yyyyMMdd'), { VALUE: 'DATE' });
+	} else {
+		lines.push(dateTimeLine('DTSTART', start, timezone));
+		lines.push(dateTimeLine('DTEND', end, timezone));
+		if (occurrence) lines.push(dateTimeLine('RECURRENCE-ID', occurrence, timezone));
+	}
+
+	add('SUMMARY', escapeText(event.title || ''));
+	add('DESCRIPTION', escapeText(event.description || ''));
+	add('LOCATION', escapeText(event.location || ''));
+	add('STATUS', event.status);
+	add('TRANSP', event.transparency);
+	add('CLASS', event.classification);
+	add('SEQUENCE', event.sequence ? String(event.sequence) : null);
+	add('CATEGORIES', (event.categories || []).map(escapeText).join(','));
+	add('URL', event.url);
+	add('GEO', event.geo ? `${event.geo.latitude};${event.geo.longitude}` : null);
+	if (event.organizer?.email) {
+		add('ORGANIZER', `mailto:${event.organizer.email}`, { CN: event.organizer.name });
+	}
+	(event.attendees || []).forEach(attendee => {
+		add('ATTENDEE', `mailto:${attendee.email}`, {
+			CN: attendee.name,
+			ROLE: attendee.role,
+			PARTSTAT: attendee.partstat,
+			RSVP: attendee.rsvp ? 'TRUE' : null,
+			CUTYPE: attendee.type
+		});
+	});
+	if (event.created) lines.push(utcLine('CREATED', event.created));
+	if (event.lastModified) lines.push(utcLine('LAST-MODIFIED', event.lastModified));
+
+	lines.push('END:VEVENT');
+	return lines;
+}
+
+/**
+ * Serializes occurrences (as selected for the agenda) into a VCALENDAR. `from`/`to` are the requested window,
+ * used to size the generated VTIMEZONE; `name` becomes the calendar's display name.
+ */
+export function serializeCalendar(occurrences, { timezone = 'UTC', from, to, name = null } = {}) {
+	const dtstamp = DateTime.now().toUTC().toISO();
+	const starts = occurrences.map(event => DateTime.fromISO(event.start));
+	const ends = occurrences.map(event => DateTime.fromISO(event.end));
+	const rangeStart = DateTime.min(from || DateTime.now(), ...starts);
+	const rangeEnd = DateTime.max(to || DateTime.now(), ...ends);
+
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		`PRODID:${PRODID}`,
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		...(name ? [contentLine('X-WR-CALNAME', escapeText(name))] : []),
+		contentLine('X-WR-TIMEZONE', timezone),
+		...(isUTC(timezone) ? [] : buildVTimezone(timezone, rangeStart, rangeEnd)),
+		...occurrences.flatMap(event => serializeEvent(event, timezone, dtstamp)),
+		'END:VCALENDAR'
+	];
+
+	return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Serializes busy time (as computed by computeAvailability) into a VCALENDAR holding one VFREEBUSY for the
+ * `from`-`to` window. Periods are written in UTC, as RFC 5545 requires for FREEBUSY.
+ */
+export function serializeFreeBusy(busy, { from, to, name = null } = {}) {
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		`PRODID:${PRODID}`,
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		...(name ? [contentLine('X-WR-CALNAME', escapeText(name))] : []),
+		'BEGIN:VFREEBUSY',
+		contentLine('UID', `freebusy-${formatUTC(from)}-${formatUTC(to)}@stucal`),
+		contentLine('DTSTAMP', formatUTC(DateTime.now())),
+		contentLine('DTSTART', formatUTC(from)),
+		contentLine('DTEND', formatUTC(to)),
+		...busy.map(({ start, end, tentative }) => contentLine(
+			'FREEBUSY',
+			`${formatUTC(DateTime.fromISO(start))}/${formatUTC(DateTime.fromISO(end))}`,
+			{ FBTYPE: tentative ? 'BUSY-TENTATIVE' : 'BUSY' }
+		)),
+		'END:VFREEBUSY',
+		'END:VCALENDAR'
+	];
+
+	return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,125 @@
+/**
+ * Layout of the agenda as a monochrome image for e-paper displays. The layout is a list of black and white
+ * shapes that the SVG and BMP renderers draw, so the device only has to show the picture.
+ */
+
+import { DateTime } from 'luxon';
+import { CELL_HEIGHT, CELL_WIDTH } from './font.js';
+import { findHighlights } from './html.js';
+import { formatTimeRange } from './text.js';
+
+export const TEMPLATES = ['agenda', 'today', 'next-3-days'];
+
+// Sizes are in pixels of the 2.9" panels common on ESP32 badges; larger images scale everything up
+const BASE_WIDTH = 296;
+const BASE_HEIGHT = 128;
+const LOCALE = { locale: 'en-US' };
+
+/**
+ * Shortens text to at most `maxChars` characters, marking the cut with an ellipsis.
+ */
+export function truncate(text, maxChars) {
+	const chars = Array.from(text);
+	if (chars.length <= maxChars) return text;
+	if (maxChars <= 0) return '';
+	return chars.slice(0, maxChars - 1).join('') + '…';
+}
+
+// When an item starts, for the narrow time column of multi-day templates: "09:00", "All day", or "-06:00" for
+// the rest of an event that began the day before
+function startTime(item, clock) {
+	const range = formatTimeRange(item, clock);
+	if (range === 'All day' || range.startsWith('-')) return range;
+	return range.split('-')[0];
+}
+
+/**
+ * Lays out the agenda on a `width` x `height` image. Returns `{ width, height, shapes }`, where shapes are
+ *   { type: 'rect', x, y, width, height, color }
+ *   { type: 'text', x, y, text, scale, color, bold }
+ * and `color` is black or white. Text is drawn in the 6x8 cells of the bitmap font times `scale`, with `y` the
+ * top of the cell. `template` picks what is shown: agenda (the days with events, as many as fit), today
+ * (the first day of the window, with full time ranges) or next-3-days (three days from the start of the window).
+ */
+export function layoutAgenda({ agenda, timezone = 'UTC', request = {}, errors = [] }, options = {}) {
+	const { width = BASE_WIDTH, height = BASE_HEIGHT, template = 'agenda', clock = '24h' } = options;
+	const now = (options.now || DateTime.now()).setZone(timezone);
+	const scale = Math.max(1, Math.floor(Math.min(width / BASE_WIDTH, height / BASE_HEIGHT)));
+	const headerScale = height / scale >= 96 ? scale * 2 : scale;
+	const charWidth = CELL_WIDTH * scale;
+	const lineHeight = (CELL_HEIGHT + 2) * scale;
+	const padding = 3 * scale;
+	const highlights = findHighlights(agenda, now);
+	const eventsByDate = Object.fromEntries(agenda.map(({ date, events }) => [date, events]));
+	const firstDay = request.startFrom ? DateTime.fromISO(request.startFrom, { setZone: true }) : now.startOf('day');
+	const shapes = [{ type: 'rect', x: 0, y: 0, width, height, color: 'white' }];
+	const text = (x, y, value, { color = 'black', bold = false, textScale = scale } = {}) => {
+		shapes.push({ type: 'text', x, y, text: value, scale: textScale, color, bold });
+	};
+
+	// Header: the date in white on a black bar, with "!" when a feed could not be loaded
+	const headerHeight = CELL_HEIGHT * headerScale + 2 * padding;
+	const headerChars = Math.floor((width - 2 * padding) / (CELL_WIDTH * headerScale)) - (errors.length ? 2 : 0);
+	const headerText = template === 'today' ? firstDay.toFormat('cccc d LLLL', LOCALE) : firstDay.toFormat('ccc d LLL', LOCALE);
+	shapes.push({ type: 'rect', x: 0, y: 0, width, height: headerHeight, color: 'black' });
+	text(padding, padding, truncate(headerText, headerChars), { color: 'white', bold: true, textScale: headerScale });
+	if (errors.length) {
+		text(width - padding - CELL_WIDTH * headerScale, padding, '!', { color: 'white', bold: true, textScale: headerScale });
+	}
+
+	// Rows below the header: day headings (except for today), then the events of each day
+	const rows = [];
+	const timeChars = template === 'today' ? (clock === '12h' ? 16 : 12) : 8;
+	if (template === 'today') {
+		const events = eventsByDate[firstDay.toISODate()] || [];
+		events.forEach(item => rows.push({ kind: 'event', item, time: formatTimeRange(item, clock) }));
+		if (events.length === 0) rows.push({ kind: 'note', text: 'No events today' });
+	} else {
+		const dates = template === 'next-3-days'
+			? [0, 1, 2].map(offset => firstDay.plus({ days: offset }).toISODate())
+			: agenda.map(({ date }) => date);
+		dates.forEach(date => {
+			const events = eventsByDate[date] || [];
+			rows.push({ kind: 'day', text: DateTime.fromISO(date).toFormat('ccc d LLL', LOCALE) });
+			events.forEach(item => rows.push({ kind: 'event', item, time: startTime(item, clock) }));
+			if (events.length === 0) rows.push({ kind: 'note', text: 'No events' });
+		});
+		if (dates.length === 0) rows.push({ kind: 'note', text: 'No events' });
+	}
+
+	// Rows that do not fit are summarised as "+N more"
+	const top = headerHeight + padding;
+	const maxRows = Math.max(0, Math.floor((height - top) / lineHeight));
+	let visible = rows;
+	if (rows.length > maxRows) {
+		visible = rows.slice(0, Math.max(0, maxRows - 1));
+		const hidden = rows.slice(visible.length).filter(row => row.kind === 'event').length;
+		if (hidden > 0 && maxRows > 0) visible.push({ kind: 'note', text: `+${hidden} more` });
+	}
+
+	const maxChars = x => Math.floor((width - padding - x) / charWidth);
+	visible.forEach((row, index) => {
+		const y = top + index * lineHeight;
+		const textY = y + scale;
+
+		if (row.kind === 'day') {
+			text(padding, textY, truncate(row.text, maxChars(padding)), { bold: true });
+			shapes.push({ type: 'rect', x: padding, y: y + lineHeight - scale, width: width - 2 * padding, height: scale, color: 'black' });
+		} else if (row.kind === 'note') {
+			text(padding, textY, truncate(row.text, maxChars(padding)));
+		} else {
+			// The event on now is drawn inverted, the next one in bold
+			const key = `${row.item.uid}|${row.item.start}`;
+			const isNow = highlights.current.includes(key);
+			const color = isNow ? 'white' : 'black';
+			const titleX = padding + timeChars * charWidth;
+			if (isNow) {
+				shapes.push({ type: 'rect', x: 0, y, width, height: lineHeight, color: 'black' });
+			}
+			text(padding, textY, truncate(row.time, timeChars - 1), { color });
+			text(titleX, textY, truncate(row.item.title || '(no title)', maxChars(titleX)), { color, bold: highlights.next === key });
+		}
+	});
+
+	return { width, height, shapes };
+}
@@ -0,0 +1,141 @@
+/**
+ * Output formats: choosing one from the request, and rendering the agenda in it.
+ */
+
+import { renderBmp } from './bmp.js';
+import { renderCsv } from './csv.js';
+import { renderHtml } from './html.js';
+import { TEMPLATES } from './image.js';
+import { renderMarkdown } from './markdown.js';
+import { renderSvg } from './svg.js';
+import { renderText } from './text.js';
+
+export const CONTENT_TYPES = {
+	json: 'application/json',
+	ics: 'text/calendar; charset=utf-8',
+	csv: 'text/csv; charset=utf-8',
+	markdown: 'text/markdown; charset=utf-8',
+	text: 'text/plain; charset=utf-8',
+	html: 'text/html; charset=utf-8',
+	svg: 'image/svg+xml; charset=utf-8',
+	bmp: 'image/bmp'
+};
+
+export const FORMATS = Object.keys(CONTENT_TYPES);
+
+// Renderers that work from the grouped agenda; json and ics are produced by the fetch handler itself
+const RENDERERS = {
+	csv: renderCsv,
+	markdown: renderMarkdown,
+	text: renderText,
+	html: renderHtml,
+	svg: renderSvg,
+	bmp: renderBmp
+};
+
+// text/html is left out: browsers ask for it first, and opening the API in a browser should still show JSON
+const MEDIA_TYPES = {
+	'application/json': 'json',
+	'text/calendar': 'ics',
+	'text/csv': 'csv',
+	'text/markdown': 'markdown',
+	'text/x-markdown': 'markdown',
+	'text/plain': 'text',
+	'image/svg+xml': 'svg',
+	'image/bmp': 'bmp'
+};
+
+const LAYOUTS = ['list', 'day', 'week'];
+const THEMES = ['auto', 'light', 'dark'];
+const MIN_REFRESH = 10;
+
+const DEFAULT_COLUMNS = 80;
+const MIN_COLUMNS = 20;
+const MAX_COLUMNS = 400;
+
+// Image sizes in pixels; the default fits the common 2.9" e-paper panels
+const DEFAULT_IMAGE_SIZE = { width: 296, height: 128 };
+const MIN_IMAGE_SIZE = 64;
+const MAX_IMAGE_SIZE = 2000;
+
+/**
+ * Picks the output format: the `format` parameter when given, otherwise the most preferred type in the Accept
+ * header that has a format, otherwise JSON. Throws for an unknown `format`.
+ */
+export function negotiateFormat(formatParam, accept) {
+	if (formatParam) {
+		const format = formatParam.toLowerCase();
+		if (!FORMATS.includes(format)) {
+			throw new Error(`Unsupported format "${formatParam}", expected one of: ${FORMATS.join(', ')}`);
+		}
+		return format;
+	}
+
+	const preferences = (accept || '')
+		.split(',')
+		.map((range, index) => {
+			const [type, ...params] = range.trim().toLowerCase().split(';');
+			const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+			const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+			return { type: type.trim(), q: isNaN(q) ? 0 : q, index };
+		})
+		.filter(({ type, q }) => q > 0 && MEDIA_TYPES[type])
+		.sort((a, b) => b.q - a.q || a.index - b.index);
+
+	return preferences.length ? MEDIA_TYPES[preferences[0].type] : 'json';
+}
+
+/**
+ * Reads the options of the renderers: `columns` (line width of the text format), `clock` (12h or 24h), the
+ * `layout`, `theme` and `refresh` interval of the HTML page, and the `width`, `height` and `template` of the
+ * SVG and BMP images. Throws when they are invalid.
+ */
+export function parseFormatOptions(searchParams) {
+	const columnsParam = searchParams.get('columns');
+	const columns = columnsParam === null ? DEFAULT_COLUMNS : Number(columnsParam);
+	if (!Number.isInteger(columns) || columns < MIN_COLUMNS || columns > MAX_COLUMNS) {
+		throw new Error(`Invalid columns "${columnsParam}", expected a whole number from ${MIN_COLUMNS} to ${MAX_COLUMNS}`);
+	}
+
+	const clockParam = (searchParams.get('clock') || '24h').toLowerCase();
+	const clock = { 12: '12h', '12h': '12h', 24: '24h', '24h': '24h' }[clockParam];
+	if (!clock) {
+		throw new Error(`Invalid clock "${searchParams.get('clock')}", expected 12h or 24h`);
+	}
+
+	const layout = (searchParams.get('layout') || 'list').toLowerCase();
+	if (!LAYOUTS.includes(layout)) {
+		throw new Error(`Invalid layout "${searchParams.get('layout')}", expected one of: ${LAYOUTS.join(', ')}`);
+	}
+
+	const theme = (searchParams.get('theme') || 'auto').toLowerCase();
+	if (!THEMES.includes(theme)) {
+		throw new Error(`Invalid theme "${searchParams.get('theme')}", expected one of: ${THEMES.join(', ')}`);
+	}
+
+	const refreshParam = searchParams.get('refresh');
+	const refresh = refreshParam ? Number(refreshParam) : null;
+	if (refresh !== null && (!Number.isInteger(refresh) || refresh < MIN_REFRESH)) {
+		throw new Error(`Invalid refresh "${refreshParam}", expected a whole number of seconds, at least ${MIN_REFRESH}`);
+	}
+
+	const [width, height] = ['width', 'height'].map(name => {
+		const param = searchParams.get(name);
+		const size = param === null ? DEFAULT_IMAGE_SIZE[name] : Number(param);
+		if (!Number.isInteger(size) || size < MIN_IMAGE_SIZE || size > MAX_IMAGE_SIZE) {
+			throw new Error(`Invalid ${name} "${param}", expected a whole number of pixels from ${MIN_IMAGE_SIZE} to ${MAX_IMAGE_SIZE}`);
+		}
+		return size;
+	});
+
+	const template = (searchParams.get('template') || 'agenda').toLowerCase();
+	if (!TEMPLATES.includes(template)) {
+		throw new Error(`Invalid template "${searchParams.get('template')}", expected one of: ${TEMPLATES.join(', ')}`);
+	}
+
+	return { columns, clock, layout, theme, refresh, width, height, template };
+}
+
+export function renderAgenda(format, groupedEvents, options) {
+	return RENDERERS[format](groupedEvents, options);
+}
@@ -0,0 +1,33 @@
+/**
+ * Markdown agenda for pasting into chat and documents: a heading per day and a bullet per event.
+ */
+
+import { formatDay, formatTimeRange } from './text.js';
+
+// Characters that would otherwise start emphasis, links, code or HTML; newlines would end the bullet
+function escapeMarkdown(value) {
+	return String(value)
+		.replace(/\s*\r?\n\s*/g, ' ')
+		.replace(/([\\`*_[\]<>|~])/g, '\\$1');
+}
+
+export function renderMarkdown({ agenda, sources = [], errors = [] }, { clock = '24h' } = {}) {
+	// Only say where events come from when several feeds were merged
+	const showSource = sources.length > 1;
+	const blocks = agenda.map(({ date, events }) => {
+		const bullets = events.map(item => {
+			let line = `- **${formatTimeRange(item, clock)}** ${escapeMarkdown(item.title || '(no title)')}`;
+			if (item.location) line += ` — ${escapeMarkdown(item.location)}`;
+			if (showSource && item.source) line += ` _(${escapeMarkdown(item.source)})_`;
+			return line;
+		});
+		return [`## ${formatDay(date)}`, '', ...bullets].join('\n');
+	});
+
+	if (blocks.length === 0) blocks.push('_No events_');
+	if (errors.length) {
+		blocks.push(`> Could not load: ${errors.map(error => escapeMarkdown(error.source)).join(', ')}`);
+	}
+
+	return blocks.join('\n\n') + '\n';
+}
@@ -0,0 +1,36 @@
+/**
+ * Monochrome SVG agenda for e-paper displays, drawn from the shared image layout.
+ */
+
+import { CELL_WIDTH, GLYPH_HEIGHT } from './font.js';
+import { escapeHtml } from './html.js';
+import { layoutAgenda } from './image.js';
+
+const COLORS = { black: '#000', white: '#fff' };
+
+function renderShape(shape) {
+	if (shape.type === 'rect') {
+		return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="${COLORS[shape.color]}"/>`;
+	}
+
+	// Stretch the text to the width the bitmap font would take, so truncation matches the BMP output
+	const chars = Array.from(shape.text).length;
+	if (chars === 0) return '';
+	const weight = shape.bold ? ' font-weight="bold"' : '';
+	return (
+		`<text x="${shape.x}" y="${shape.y + GLYPH_HEIGHT * shape.scale}" font-size="${10 * shape.scale}"${weight} ` +
+		`textLength="${chars * CELL_WIDTH * shape.scale - shape.scale}" lengthAdjust="spacingAndGlyphs" fill="${COLORS[shape.color]}">` +
+		`${escapeHtml(shape.text)}</text>`
+	);
+}
+
+export function renderSvg(groupedEvents, options) {
+	const { width, height, shapes } = layoutAgenda(groupedEvents, options);
+	return [
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+			'font-family="monospace" shape-rendering="crispEdges" text-rendering="optimizeSpeed">',
+		...shapes.map(renderShape).filter(Boolean),
+		'</svg>',
+		''
+	].join('\n');
+}
@@ -0,0 +1,83 @@
+/**
+ * Plain-text agenda, one line per event under a heading per day, wrapped to a fixed width for small displays.
+ */
+
+import { DateTime } from 'luxon';
+
+const LOCALE = { locale: 'en-US' };
+
+export function formatTime(dateTime, clock = '24h') {
+	return clock === '12h' ? dateTime.toFormat('h:mma', LOCALE).toLowerCase() : dateTime.toFormat('HH:mm');
+}
+
+/**
+ * The time span of an agenda item as shown to people: "09:00-10:00", "All day", or for a day of an event that
+ * crosses midnight, "22:00-" or "-02:00" to show it continues from or into another day.
+ */
+export function formatTimeRange(item, clock = '24h') {
+	if (item.isFullDay) return 'All day';
+
+	const start = DateTime.fromISO(item.start, { setZone: true });
+	const end = DateTime.fromISO(item.end, { setZone: true });
+	const continuesFrom = item.crossDay && +start === +start.startOf('day');
+	const continuesInto = item.crossDay && +end === +end.endOf('day');
+
+	if (continuesFrom && continuesInto) return 'All day';
+	if (!item.crossDay && +start === +end) return formatTime(start, clock);
+	return `${continuesFrom ? '' : formatTime(start, clock)}-${continuesInto ? '' : formatTime(end, clock)}`;
+}
+
+export function formatDay(date) {
+	return DateTime.fromISO(date).toFormat('ccc d LLL yyyy', LOCALE);
+}
+
+// Word-wrap to the given width, breaking words that do not fit on a line of their own
+export function wrapText(text, width) {
+	const lines = [];
+	let line = '';
+
+	text.split(/\s+/).filter(Boolean).forEach(word => {
+		while (word.length > width) {
+			if (line) {
+				lines.push(line);
+				line = '';
+			}
+			lines.push(word.slice(0, width));
+			word = word.slice(width);
+		}
+		if (!word) return;
+		if (line && line.length + 1 + word.length > width) {
+			lines.push(line);
+			line = word;
+		} else {
+			line = line ? `${line} ${word}` : word;
+		}
+	});
+	if (line) lines.push(line);
+
+	return lines.length ? lines : [''];
+}
+
+export function renderText({ agenda, errors = [] }, { columns = 80, clock = '24h' } = {}) {
+	// Room for the longest time range, "12:00am-12:00pm" or "00:00-00:00", and a space
+	const timeWidth = clock === '12h' ? 15 : 11;
+	const textWidth = Math.max(columns - timeWidth - 1, 1);
+	const indent = ' '.repeat(timeWidth);
+	const blocks = agenda.map(({ date, events }) => {
+		const lines = wrapText(formatDay(date), columns);
+		events.forEach(item => {
+			const text = item.location ? `${item.title} @ ${item.location}` : item.title;
+			wrapText(text || '(no title)', textWidth).forEach((line, index) => {
+				lines.push(`${index === 0 ? formatTimeRange(item, clock).padEnd(timeWidth) : indent} ${line}`);
+			});
+		});
+		return lines.join('\n');
+	});
+
+	if (blocks.length === 0) blocks.push('No events');
+	if (errors.length) {
+		blocks.push(wrapText(`Could not load: ${errors.map(error => error.source).join(', ')}`, columns).join('\n'));
+	}
+
+	return blocks.join('\n\n') + '\n';
+}
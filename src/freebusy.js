@@ -0,0 +1,167 @@
+/**
+ * Free/busy: when the selected occurrences keep the calendar busy, and the free slots left inside working hours.
+ * Only times are published, never what the events are.
+ */
+
+import { DateTime } from 'luxon';
+
+// Luxon numbers weekdays 1 (Monday) to 7 (Sunday)
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?$/;
+const DEFAULT_HOURS = '09:00-17:00';
+const DEFAULT_WORKDAYS = 'mon-fri';
+const DEFAULT_MIN_SLOT = 30;
+const MAX_BUFFER = 240;
+const MINUTES_PER_DAY = 24 * 60;
+
+function parseTime(value) {
+	const match = value.trim().match(TIME_PATTERN);
+	const minutes = match ? Number(match[1]) * 60 + Number(match[2] || 0) : NaN;
+	return match && Number(match[2] || 0) < 60 && minutes <= MINUTES_PER_DAY ? minutes : null;
+}
+
+// A wall-clock time on a day, so working hours keep their meaning on days when clocks change
+function atTime(day, minutes) {
+	return minutes === MINUTES_PER_DAY ? day.plus({ days: 1 }) : day.set({ hour: Math.floor(minutes / 60), minute: minutes % 60 });
+}
+
+const formatTime = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Days as a list and/or ranges, e.g. "mon-fri" or "mon,wed,sat-sun"
+function parseWorkdays(value) {
+	const days = new Set();
+	value.toLowerCase().split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+		const [first, last = first] = part.split('-').map(day => WEEKDAYS.indexOf(day.trim().slice(0, 3)));
+		if (first < 0 || last < 0) {
+			throw new Error(`Invalid workdays "${value}", expected days such as mon-fri or mon,wed,fri`);
+		}
+		for (let day = first; ; day = (day + 1) % 7) {
+			days.add(day);
+			if (day === last) break;
+		}
+	});
+	return WEEKDAYS.filter((day, index) => days.has(index));
+}
+
+function parseMinutes(searchParams, name, fallback, min, max) {
+	const param = searchParams.get(name);
+	const minutes = param === null || param === '' ? fallback : Number(param);
+	if (!Number.isInteger(minutes) || minutes < min || minutes > max) {
+		throw new Error(`Invalid ${name} "${param}", expected a whole number of minutes from ${min} to ${max}`);
+	}
+	return minutes;
+}
+
+/**
+ * Reads the availability options: working `hours` (e.g. 09:00-17:00 or 9-17), the `workdays` they apply to (e.g. mon-fri),
+ * the shortest free slot worth offering (`minSlot`, in minutes) and the `buffer` in minutes kept free around busy
+ * time. Throws when they are invalid.
+ */
+export function parseAvailabilityOptions(searchParams) {
+	const hoursParam = searchParams.get('hours') || DEFAULT_HOURS;
+	const [start, end] = hoursParam.split('-').map(parseTime);
+	if (start === null || end === null || start === undefined || end === undefined || start >= end) {
+		throw new Error(`Invalid hours "${hoursParam}", expected a range such as 09:00-17:00`);
+	}
+
+	return {
+		hours: { start: formatTime(start), end: formatTime(end) },
+		workdays: parseWorkdays(searchParams.get('workdays') || DEFAULT_WORKDAYS),
+		minSlot: parseMinutes(searchParams, 'minSlot', DEFAULT_MIN_SLOT, 1, MINUTES_PER_DAY),
+		buffer: parseMinutes(searchParams, 'buffer', 0, 0, MAX_BUFFER)
+	};
+}
+
+// Merge intervals that overlap or touch; `intervals` must be sorted by start
+function merge(intervals) {
+	return intervals.reduce((merged, interval) => {
+		const last = merged[merged.length - 1];
+		if (last && interval.start <= last.end) {
+			last.end = DateTime.max(last.end, interval.end);
+		} else {
+			merged.push({ ...interval });
+		}
+		return merged;
+	}, []);
+}
+
+// The parts of an interval not covered by any of the (sorted, merged) intervals
+function subtract(interval, intervals) {
+	const remaining = [];
+	let start = interval.start;
+	intervals.forEach(cut => {
+		if (cut.end <= start || cut.start >= interval.end) return;
+		if (cut.start > start) remaining.push({ start, end: cut.start });
+		start = DateTime.max(start, cut.end);
+	});
+	if (start < interval.end) remaining.push({ start, end: interval.end });
+	return remaining;
+}
+
+const byStart = (a, b) => a.start - b.start;
+
+function toInterval({ start, end }, timezone) {
+	return { start: start.setZone(timezone).toISO(), end: end.setZone(timezone).toISO() };
+}
+
+/**
+ * Computes the busy time of the occurrences within `from`-`to`, and the free slots inside working hours on each
+ * day. Transparent and cancelled events do not block time; tentative events are busy, but marked as tentative
+ * where no confirmed event overlaps them. Free slots never start before `now`.
+ */
+export function computeAvailability(occurrences, { timezone, from, to, now = DateTime.now(), hours, workdays, minSlot, buffer }) {
+	const intervals = occurrences
+		.filter(event => event.transparency !== 'TRANSPARENT' && event.status !== 'CANCELLED')
+		.map(event => ({
+			start: DateTime.max(from, DateTime.fromISO(event.start)),
+			end: DateTime.min(to, DateTime.fromISO(event.end)),
+			tentative: event.status === 'TENTATIVE'
+		}))
+		.filter(interval => interval.end > interval.start)
+		.sort(byStart);
+
+	const confirmed = merge(intervals.filter(interval => !interval.tentative));
+	const tentative = merge(intervals.filter(interval => interval.tentative)).flatMap(interval => subtract(interval, confirmed));
+	const busy = [
+		...confirmed.map(interval => ({ ...interval, tentative: false })),
+		...tentative.map(interval => ({ ...interval, tentative: true }))
+	].sort(byStart);
+
+	// Buffers are kept free on both sides of busy time
+	const blocked = merge(busy.map(({ start, end }) => ({ start: start.minus({ minutes: buffer }), end: end.plus({ minutes: buffer }) })));
+	const [startMinutes, endMinutes] = [hours.start, hours.end].map(parseTime);
+
+	// Split into days the way the agenda does, so busy time spanning midnight shows on each day it covers
+	const days = [];
+	for (let day = from.setZone(timezone).startOf('day'); day < to; day = day.plus({ days: 1 })) {
+		const dayInterval = { start: DateTime.max(from, day), end: DateTime.min(to, day.plus({ days: 1 })) };
+		const dayBusy = busy
+			.filter(interval => interval.start < dayInterval.end && interval.end > dayInterval.start)
+			.map(interval => ({
+				...toInterval({ start: DateTime.max(interval.start, dayInterval.start), end: DateTime.min(interval.end, dayInterval.end) }, timezone),
+				tentative: interval.tentative
+			}));
+
+		let free = [];
+		if (workdays.includes(WEEKDAYS[day.weekday - 1])) {
+			const working = {
+				start: DateTime.max(dayInterval.start, now.startOf('minute'), atTime(day, startMinutes)),
+				end: DateTime.min(dayInterval.end, atTime(day, endMinutes))
+			};
+			if (working.end > working.start) {
+				free = subtract(working, blocked)
+					.map(slot => ({ ...toInterval(slot, timezone), minutes: Math.floor(slot.end.diff(slot.start, 'minutes').minutes) }))
+					.filter(slot => slot.minutes >= minSlot);
+			}
+		}
+
+		days.push({ date: day.toISODate(), busy: dayBusy, free });
+	}
+
+	return {
+		from: from.setZone(timezone).toISO(),
+		to: to.setZone(timezone).toISO(),
+		busy: busy.map(interval => ({ ...toInterval(interval, timezone), tentative: interval.tentative })),
+		days
+	};
+}
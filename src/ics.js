@@ -0,0 +1,185 @@
+/**
+ * RFC 5545 content-line lexer: unfolding, property parameters and TEXT escaping.
+ *
+ * parseComponents() turns a feed into a tree of components:
+ *   { name: 'VEVENT', properties: { SUMMARY: [{ name, params, value }] }, components: [...] }
+ * Properties keep every occurrence, in feed order.
+ */
+
+// Properties whose values are TEXT and use backslash escaping
+const TEXT_PROPERTIES = new Set([
+	'CATEGORIES',
+	'CLASS',
+	'COMMENT',
+	'CONTACT',
+	'DESCRIPTION',
+	'LOCATION',
+	'PRODID',
+	'RELATED-TO',
+	'RESOURCES',
+	'STATUS',
+	'SUMMARY',
+	'TRANSP',
+	'TZID',
+	'TZNAME',
+	'UID'
+]);
+
+const NAME_PATTERN = /[A-Za-z0-9-]+/y;
+const PARAM_TEXT_PATTERN = /[^";:,]*/y;
+
+// Remove CRLF + whitespace folds before decoding, so characters split across lines are rejoined
+function removeFolds(bytes) {
+	const unfolded = new Uint8Array(bytes.length);
+	let length = 0;
+
+	for (let i = 0; i < bytes.length; i++) {
+		const isWhitespace = byte => byte === 0x20 || byte === 0x09;
+		if (bytes[i] === 0x0d && bytes[i + 1] === 0x0a && isWhitespace(bytes[i + 2])) {
+			i += 2;
+			continue;
+		}
+		if (bytes[i] === 0x0a && isWhitespace(bytes[i + 1])) {
+			i += 1;
+			continue;
+		}
+		unfolded[length++] = bytes[i];
+	}
+
+	return unfolded.subarray(0, length);
+}
+
+/**
+ * Splits a feed into unfolded content lines. Accepts a string, or the raw bytes of the feed
+ * so that folds in the middle of a multi-byte UTF-8 character are undone before decoding.
+ */
+export function unfoldLines(input) {
+	const text =
+		typeof input === 'string'
+			? input.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '')
+			: new TextDecoder().decode(removeFolds(input instanceof Uint8Array ? input : new Uint8Array(input)));
+
+	return text.split(/\r?\n/).filter(line => line.trim());
+}
+
+// RFC 6868 caret encoding in parameter values: ^n newline, ^' double quote, ^^ caret
+function decodeParamValue(value) {
+	return value.replace(/\^([n'^])/g, (_, char) => ({ n: '\n', "'": '"', '^': '^' })[char]);
+}
+
+/**
+ * Parses one unfolded content line into `{ name, params, value, rawValue }`, or null when it is
+ * malformed. TEXT values are unescaped in `value`; `rawValue` keeps them as written.
+ * Parameter values may be quoted and comma-separated; a parameter with several values is an array.
+ */
+export function parseContentLine(line) {
+	NAME_PATTERN.lastIndex = 0;
+	const nameMatch = NAME_PATTERN.exec(line);
+	if (!nameMatch) return null;
+
+	const name = nameMatch[0].toUpperCase();
+	const params = {};
+	let i = nameMatch[0].length;
+
+	while (line[i] === ';') {
+		NAME_PATTERN.lastIndex = i + 1;
+		const paramMatch = NAME_PATTERN.exec(line);
+		if (!paramMatch || line[NAME_PATTERN.lastIndex] !== '=') return null;
+
+		i = NAME_PATTERN.lastIndex + 1;
+		const values = [];
+
+		for (;;) {
+			if (line[i] === '"') {
+				const close = line.indexOf('"', i + 1);
+				if (close === -1) return null;
+				values.push(line.slice(i + 1, close));
+				i = close + 1;
+			} else {
+				PARAM_TEXT_PATTERN.lastIndex = i;
+				const text = PARAM_TEXT_PATTERN.exec(line)[0];
+				values.push(text);
+				i += text.length;
+			}
+
+			if (line[i] !== ',') break;
+			i++;
+		}
+
+		const decoded = values.map(decodeParamValue);
+		params[paramMatch[0].toUpperCase()] = decoded.length === 1 ? decoded[0] : decoded;
+	}
+
+	if (line[i] !== ':') return null;
+
+	// Whitespace is part of a TEXT value, so the value is kept as it is
+	const rawValue = line.slice(i + 1);
+	return { name, params, value: TEXT_PROPERTIES.has(name) || name.startsWith('X-') ? unescapeText(rawValue) : rawValue, rawValue };
+}
+
+/**
+ * Undoes TEXT escaping: \n and \N become newlines, and \, \; and \\ their literal character.
+ */
+export function unescapeText(value) {
+	return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Splits a multi-valued TEXT property (e.g. CATEGORIES) on its unescaped commas.
+ */
+export function splitText(rawValue) {
+	// Escapes are read left to right, so in `a\\,b` the backslash is escaped and the comma splits
+	const items = [''];
+	for (let i = 0; i < rawValue.length; i++) {
+		if (rawValue[i] === '\\' && i + 1 < rawValue.length) {
+			items[items.length - 1] += rawValue.slice(i, i + 2);
+			i++;
+		} else if (rawValue[i] === ',') {
+			items.push('');
+		} else {
+			items[items.length - 1] += rawValue[i];
+		}
+	}
+	return items.map(unescapeText).filter(Boolean);
+}
+
+/**
+ * Parses a feed into its top-level components (normally a single VCALENDAR).
+ */
+export function parseComponents(input) {
+	const root = { name: null, properties: {}, components: [] };
+	const stack = [root];
+
+	unfoldLines(input).forEach(line => {
+		const property = parseContentLine(line);
+		if (!property) return;
+
+		const current = stack[stack.length - 1];
+		const componentName = property.value.toUpperCase();
+
+		if (property.name === 'BEGIN') {
+			const component = { name: componentName, properties: {}, components: [] };
+			current.components.push(component);
+			stack.push(component);
+		} else if (property.name === 'END') {
+			// Tolerate a missing END by closing everything up to the matching BEGIN
+			const index = stack.findLastIndex(component => component.name === componentName);
+			if (index > 0) stack.length = index;
+		} else {
+			if (!current.properties[property.name]) {
+				current.properties[property.name] = [];
+			}
+			current.properties[property.name].push(property);
+		}
+	});
+
+	return root.components;
+}
+
+export function getProperty(component, name) {
+	return component.properties[name]?.[0] || null;
+}
+
+export function getProperties(component, name) {
+	return component.properties[name] || [];
+}
@@ -11,131 +11,70 @@
 
 
 import { DateTime } from 'luxon';
+import { findAlerts, parseAlarm, parseAlertOptions } from './alarms.js';
+import { authorizeRequest, validateApiKey } from './auth.js';
+import { calendarSources, getCalendar, handleCalendarRequest, parseCalendarPath, withCalendarDefaults } from './calendars.js';
+import { parseICSDate, parseICSDuration, TIME_TYPES } from './dates.js';
+import { getCachedFeed, getFeedCacheConfig } from './cache.js';
+import { cacheControl, computeETag, matchesETag } from './etag.js';
+import { getCalendarDomain, mergeFeedEvents, parseFeedSources } from './feeds.js';
+import { createEventFilter, parseFilters } from './filters.js';
+import { computeAvailability, parseAvailabilityOptions } from './freebusy.js';
+import { getRateLimiter, rateLimitHeaders } from './ratelimit.js';
+import { parseAt, summarizeNow } from './now.js';
+import { checkTimezone, parseRange, resolveRange } from './range.js';
+import { parseRedact, redactEvents } from './redact.js';
+import { computeStats, parseStatsOptions } from './stats.js';
+import { DEFAULT_TASK_OPTIONS, parseTaskOptions, placeTasks } from './tasks.js';
+import { checkFeedUrl, getUpstreamPolicy } from './upstream.js';
+import { runWebhooks } from './webhooks.js';
+import { CONTENT_SECURITY_POLICY, findHighlights } from './formats/html.js';
+import { serializeCalendar, serializeFreeBusy } from './formats/ics.js';
+import { CONTENT_TYPES, negotiateFormat, parseFormatOptions, renderAgenda } from './formats/index.js';
+import { parseComponents, getProperty, getProperties, splitText } from './ics.js';
+import { expandEvents } from './recurrence.js';
+import { buildTimezones, resolveTimezone } from './timezones.js';
 
-async function validateApiKey(apiKey, env, request) {
-	try {
-		// Skip validation if running locally
-		if (env.ENVIRONMENT === 'development' || env.NODE_ENV === 'development') {
-			console.log('Development environment detected, skipping validation');
-			return true;
-		}
-
-		// Require MASTER_KEY to be set in environment for production
-		if (!env.MASTER_KEY) {
-			console.error('MASTER_KEY environment variable is not set in production');
-			throw new Error('Server configuration error: Authentication is not properly configured');
-		}
-
-		// Check for API key in header first, then URL parameter
-		if (!apiKey) {
-			if (!request) {
-				console.error('Request object is undefined in validateApiKey');
-				throw new Error('Request object is required for URL parameter validation');
-			}
-			
-			const url = new URL(request.url);
-			apiKey = url.searchParams.get('key');
-			
-			if (!apiKey) {
-				throw new Error('No API key provided in header or URL parameters');
-			}
-		}
-		
-		// Split the key into its components
-		const parts = apiKey.split('_');
-		if (parts.length !== 4) {
-			throw new Error('Invalid API key format');
-		}
-		
-		const [prefix, random, expiry, providedSignature] = parts;
-		
-		// Validate prefix
-		if (prefix !== 'stucal') {
-			throw new Error('Invalid API key prefix');
-		}
-		
-		// Check if key has expired
-		const expiryDate = DateTime.fromFormat(expiry, 'yyyy-MM-dd');
-		if (!expiryDate.isValid) {
-			throw new Error('Invalid expiry date format in API key');
-		}
-		
-		if (expiryDate < DateTime.now()) {
-			throw new Error('API key has expired');
-		}
-		
-		// Validate signature
-		const keyContent = `${prefix}_${random}_${expiry}`;
-		const encoder = new TextEncoder();
-		const keyData = encoder.encode(env.MASTER_KEY.slice(0, 3));
-		const messageData = encoder.encode(keyContent);
-		
-		const key = await crypto.subtle.importKey(
-			'raw',
-			keyData,
-			{ name: 'HMAC', hash: 'SHA-256' },
-			false,
-			['sign']
-		);
-		
-		const signature = await crypto.subtle.sign(
-			'HMAC',
-			key,
-			messageData
-		);
-		
-		const expectedSignature = Array.from(new Uint8Array(signature))
-			.map(b => b.toString(16).padStart(2, '0'))
-			.join('')
-			.slice(0, 8);
-		
-		if (expectedSignature !== providedSignature) {
-			throw new Error('Invalid API key signature');
-		}
-
-		return true;
-	} catch (error) {
-		console.error('Validation error:', error.message);
-		throw error;  // Re-throw with specific message
-	}
-}
+// The Durable Object class behind the RATE_LIMITER binding
+export { RateLimiter } from './ratelimit.js';
 
 export default {
 	async fetch(request, env, ctx) {
 		try {
-			// Add detailed request logging
+			const url = new URL(request.url);
+
+			// Log the path only: query strings carry feed URLs and keys, which are secrets for private calendars
 			console.log('Request details:', {
-				url: request.url,
+				path: url.pathname,
 				method: request.method,
-				headers: Object.fromEntries(request.headers),
+				headers: Object.fromEntries([...request.headers].filter(([name]) => !SECRET_HEADERS.includes(name))),
 				env: Object.keys(env)
 			});
-
-			const url = new URL(request.url);
 			
 			// Only check API key if not running locally
 			const apiKey = request.headers.get('X-API-Key');
 			console.log('API key from header:', apiKey ? 'Present' : 'Missing');
 			
+			let claims;
 			try {
-				if (!await validateApiKey(apiKey, env, request)) {
+				claims = await validateApiKey(apiKey, env, request);
+				if (!claims) {
 					return new Response(JSON.stringify({ error: 'Invalid or missing API key' }), {
 						status: 401,
 						headers: { 
 							'Content-Type': 'application/json',
 							'Access-Control-Allow-Origin': '*',
-							'Access-Control-Allow-Headers': 'X-API-Key',
-							'Access-Control-Allow-Methods': 'GET, OPTIONS'
+							'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+							'Access-Control-Allow-Methods': ALLOWED_METHODS
 						}
 					});
 				}
 			} catch (validationError) {
-				const status = validationError.message.includes('No API key provided') ? 401 : 403;
 				return new Response(JSON.stringify({ 
 					error: validationError.message,
 					details: 'Authentication failed'
 				}), {
-					status,
+					status: validationError.status || 403,
 					headers: { 
 						'Content-Type': 'application/json',
 						'Access-Control-Allow-Origin': '*'
@@ -148,89 +87,487 @@ export default {
 				return new Response(null, {
 					headers: {
 						'Access-Control-Allow-Origin': '*',
-						'Access-Control-Allow-Headers': 'X-API-Key',
-						'Access-Control-Allow-Methods': 'GET, OPTIONS'
+						'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+						'Access-Control-Allow-Methods': ALLOWED_METHODS
 					}
 				});
 			}
 
-			let icalUrl = url.searchParams.get('url');
-			if (!icalUrl) {
-				return new Response(JSON.stringify({ error: 'Missing url parameter' }), {
-					status: 400,
-					headers: { 
-						'Content-Type': 'application/json',
-						'Access-Control-Allow-Origin': '*'
+			// Each key has a token bucket sized by its tier; without the RATE_LIMITER binding nothing is limited
+			const limiter = getRateLimiter(env, claims);
+			let rateHeaders = {};
+			if (limiter) {
+				let rate = null;
+				try {
+					rate = await limiter.take();
+				} catch (rateError) {
+					// Let the request through rather than fail it when the limiter is unavailable
+					console.error('Rate limiter failed:', rateError.message);
+				}
+				if (rate) {
+					rateHeaders = rateLimitHeaders(rate, limiter.limits);
+					if (!rate.allowed) {
+						return new Response(JSON.stringify({
+							error: 'Rate limit exceeded',
+							details: `Try again in ${rate.retryAfter} seconds`
+						}), {
+							status: 429,
+							headers: {
+								'Content-Type': 'application/json',
+								'Access-Control-Allow-Origin': '*',
+								'Access-Control-Expose-Headers': RATE_LIMIT_HEADERS.join(', '),
+								...rateHeaders
+							}
+						});
 					}
-				});
+				}
 			}
 
-			// Convert webcal to https
-			if (icalUrl.startsWith('webcal://')) {
-				icalUrl = 'https://' + icalUrl.substring(9);
+			let route = url.pathname.replace(/\/+$/, '');
+
+			// A key's own request and upstream counts, per day
+			if (route === '/usage') {
+				if (!limiter) {
+					return new Response(JSON.stringify({ error: 'Usage is only recorded for API keys when rate limiting is configured' }), {
+						status: 404,
+						headers: {
+							'Content-Type': 'application/json',
+							'Access-Control-Allow-Origin': '*'
+						}
+					});
+				}
+				return new Response(JSON.stringify({
+					keyId: claims.keyId,
+					tier: claims.tier || 'default',
+					limits: limiter.limits,
+					days: await limiter.usage()
+				}), {
+					headers: {
+						'Content-Type': 'application/json',
+						'Cache-Control': 'no-store',
+						'Access-Control-Allow-Origin': '*',
+						'Access-Control-Expose-Headers': RATE_LIMIT_HEADERS.join(', '),
+						...rateHeaders
+					}
+				});
 			}
 
-			const days = parseInt(url.searchParams.get('days')) || 7;
-			const timezone = url.searchParams.get('timezone') || 'UTC';
-			const startFrom = url.searchParams.get('startFrom') || 'now';
+			// Feed URLs are refused up front when the deployment's fetch policy does not allow them
+			const upstreamPolicy = getUpstreamPolicy(env);
 
-			try {
-				const response = await fetch(icalUrl);
-				
-				if (!response.ok) {
-					console.error(`HTTP error! status: ${response.status}, statusText: ${response.statusText}`);
-					const errorBody = await response.text();
-					console.error('Error response body:', errorBody);
-					
-					return new Response(JSON.stringify({
-						error: 'Failed to fetch calendar',
-						status: response.status,
-						statusText: response.statusText,
-						details: errorBody
-					}), {
-						status: response.status,
+			// Saved calendars are managed under /calendars, and read through /calendars/{id}/agenda, /view, /freebusy, /alerts, /now or /stats
+			let params = url.searchParams;
+			let savedCalendar = null;
+			const calendarPath = parseCalendarPath(route);
+			if (calendarPath) {
+				if (!env.CALENDARS) {
+					return new Response(JSON.stringify({ error: 'Named calendars need the CALENDARS KV namespace' }), {
+						status: 404,
 						headers: {
 							'Content-Type': 'application/json',
 							'Access-Control-Allow-Origin': '*'
 						}
 					});
 				}
+				if (typeof calendarPath.view !== 'string') {
+					return handleCalendarRequest(request, env, claims, calendarPath, upstreamPolicy);
+				}
 
-				const icalData = await response.text();
+				savedCalendar = await getCalendar(env, calendarPath.id);
+				if (!savedCalendar) {
+					return new Response(JSON.stringify({ error: `Calendar "${calendarPath.id}" not found` }), {
+						status: 404,
+						headers: {
+							'Content-Type': 'application/json',
+							'Access-Control-Allow-Origin': '*'
+						}
+					});
+				}
+				params = withCalendarDefaults(savedCalendar, url.searchParams);
+				route = calendarPath.view;
+			}
 
-				const events = parseICS(icalData);
-				const groupedEvents = createGroupedEvents(events, days, timezone, icalUrl, startFrom);
+			let sources;
+			try {
+				sources = savedCalendar ? calendarSources(savedCalendar) : parseFeedSources(params);
+				const refused = sources.map(source => checkFeedUrl(source.url, upstreamPolicy)).find(Boolean);
+				if (refused) throw new Error(refused);
+			} catch (sourceError) {
+				return new Response(JSON.stringify({ error: sourceError.message }), {
+					status: 400,
+					headers: { 
+						'Content-Type': 'application/json',
+						'Access-Control-Allow-Origin': '*'
+					}
+				});
+			}
 
-				return new Response(JSON.stringify(groupedEvents), {
+			const timezone = params.get('timezone') || 'UTC';
+			let format;
+			let formatOptions;
+			let range;
+			let filters;
+			let availabilityOptions;
+			let alertOptions;
+			let statsOptions;
+			let taskOptions;
+			let at;
+			let redact;
+			try {
+				checkTimezone(timezone);
+				if (route === '/freebusy') {
+					// Free/busy time is published as JSON or as a VFREEBUSY calendar
+					const formatParam = params.get('format');
+					format = negotiateFormat(formatParam, request.headers.get('Accept'));
+					if (!FREEBUSY_FORMATS.includes(format)) {
+						if (formatParam) throw new Error(`Unsupported format "${formatParam}" for /freebusy, expected json or ics`);
+						format = 'json';
+					}
+					availabilityOptions = parseAvailabilityOptions(params);
+				} else if (route === '/alerts' || route === '/now' || route === '/stats') {
+					// Alerts are for bots, "now and next" for display clients and stats for reports, so they only come as JSON
+					const formatParam = params.get('format');
+					if (formatParam && formatParam.toLowerCase() !== 'json') {
+						throw new Error(`Unsupported format "${formatParam}" for ${route}, expected json`);
+					}
+					format = 'json';
+					if (route === '/alerts') {
+						alertOptions = parseAlertOptions(params);
+					} else if (route === '/now') {
+						at = parseAt(params.get('at'), timezone);
+					} else {
+						statsOptions = parseStatsOptions(params);
+					}
+				} else {
+					// The /view route is the HTML page under a friendlier URL
+					format = negotiateFormat(route === '/view' ? 'html' : params.get('format'), request.headers.get('Accept'));
+					formatOptions = parseFormatOptions(params);
+					taskOptions = parseTaskOptions(params);
+				}
+				range = parseRange(params, { timezone, now: at || DateTime.now() });
+				filters = parseFilters(params);
+				// A key limited to redacted output cannot ask for full details
+				redact = claims.redact || parseRedact(params);
+			} catch (parameterError) {
+				return new Response(JSON.stringify({ error: parameterError.message }), {
+					status: 400,
 					headers: { 
 						'Content-Type': 'application/json',
 						'Access-Control-Allow-Origin': '*'
-					},
+					}
+				});
+			}
+
+			// Keys can be limited to some calendars and formats
+			try {
+				authorizeRequest(claims, { sources, format });
+			} catch (authError) {
+				return new Response(JSON.stringify({ error: authError.message, details: 'Authentication failed' }), {
+					status: authError.status || 403,
+					headers: {
+						'Content-Type': 'application/json',
+						'Access-Control-Allow-Origin': '*'
+					}
 				});
-			} catch (fetchError) {
+			}
+
+			const { days, end, weekStart } = range.options;
+
+			// Fetch every feed in parallel, through the feed cache; a feed that fails is reported without failing the others
+			const cacheOptions = {
+				...getFeedCacheConfig(env),
+				policy: upstreamPolicy,
+				waitUntil: ctx?.waitUntil ? promise => ctx.waitUntil(promise) : null
+			};
+			const results = await Promise.allSettled(sources.map(async source => {
+				const { body, cache } = await getCachedFeed(source.url, cacheOptions);
+				return { source, cache, bytes: body.length, ...parseFeed(body, timezone) };
+			}));
+
+			const feeds = [];
+			const errors = [];
+			results.forEach((result, index) => {
+				const source = sources[index];
+				if (result.status === 'fulfilled') {
+					feeds.push(result.value);
+					return;
+				}
+
+				const fetchError = result.reason;
 				console.error('Fetch error details:', {
 					message: fetchError.message,
 					stack: fetchError.stack,
-					url: icalUrl
+					calendar: getCalendarDomain(source.url)
 				});
+				errors.push({
+					source: source.label,
+					calendar: getCalendarDomain(source.url),
+					message: fetchError.message,
+					status: fetchError.status || 500,
+					statusText: fetchError.statusText || '',
+					details: fetchError.details || ''
+				});
+			});
+
+			// Count what this request took from the upstreams against the key; a 304 transfers no body
+			const upstream = feeds.filter(feed => UPSTREAM_STATUSES.includes(feed.cache.status));
+			if (limiter && upstream.length) {
+				const upstreamBytes = upstream.filter(feed => feed.cache.status !== 'revalidated').reduce((total, feed) => total + feed.bytes, 0);
+				const recording = limiter
+					.record({ upstreamFetches: upstream.length, upstreamBytes })
+					.catch(recordError => console.error('Usage recording failed:', recordError.message));
+				if (ctx?.waitUntil) ctx.waitUntil(recording);
+			}
 
+			if (feeds.length === 0) {
+				// With a single feed pass its status through; with several, the upstreams failed as a whole
+				const [firstError] = errors;
 				return new Response(JSON.stringify({
 					error: 'Failed to fetch calendar',
-					message: fetchError.message,
-					url: icalUrl
+					status: firstError.status,
+					statusText: firstError.statusText,
+					details: firstError.details,
+					errors
 				}), {
-					status: 500,
+					status: sources.length === 1 ? firstError.status : 502,
 					headers: {
 						'Content-Type': 'application/json',
 						'Access-Control-Allow-Origin': '*'
 					}
 				});
 			}
+
+			// Redact before filtering, so a filter cannot reveal what a hidden title contains
+			const merged = mergeFeedEvents(feeds);
+			const events = redact ? redactEvents(merged, { hidePrivate: route !== '/freebusy' }) : merged;
+			const sourceSummaries = sources.map((source, index) => ({
+				label: source.label,
+				color: source.color,
+				calendar: getCalendarDomain(source.url),
+				ok: results[index].status === 'fulfilled'
+			}));
+
+			if (route === '/freebusy') {
+				const { occurrences, cutoffDate, endDate } = selectOccurrences(events, range, timezone, filters);
+				const availability = computeAvailability(occurrences, { timezone, from: cutoffDate, to: endDate, ...availabilityOptions });
+				const etag = await computeETag({ format, availability, sources: sourceSummaries, errors });
+				const responseHeaders = conditionalHeaders(etag, env, rateHeaders);
+
+				if (matchesETag(request.headers.get('If-None-Match'), etag)) {
+					return new Response(null, { status: 304, headers: responseHeaders });
+				}
+
+				if (format === 'ics') {
+					const calendar = serializeFreeBusy(availability.busy, {
+						from: cutoffDate,
+						to: endDate,
+						name: savedCalendar?.label || sources.map(source => source.label).join(', ')
+					});
+					return new Response(calendar, { headers: { 'Content-Type': CONTENT_TYPES.ics, ...responseHeaders } });
+				}
+
+				return new Response(JSON.stringify({
+					timezone,
+					...availability,
+					request: {
+						calendar: sources.map(source => getCalendarDomain(source.url)).join(', '),
+						days: endDate.diff(cutoffDate, 'days').days,
+						requestedTimezone: timezone,
+						startFrom: cutoffDate.toISO(),
+						end: endDate.toISO(),
+						...availabilityOptions,
+						filters,
+						redacted: redact
+					},
+					sources: sourceSummaries,
+					errors
+				}), {
+					headers: { 'Content-Type': 'application/json', ...responseHeaders }
+				});
+			}
+
+			if (route === '/alerts') {
+				const now = DateTime.now().setZone(timezone);
+				const alerts = findAlerts(events, { now, timezone, filters, ...alertOptions });
+				const etag = await computeETag({ format, alerts, sources: sourceSummaries, errors });
+				const responseHeaders = conditionalHeaders(etag, env, rateHeaders);
+
+				if (matchesETag(request.headers.get('If-None-Match'), etag)) {
+					return new Response(null, { status: 304, headers: responseHeaders });
+				}
+
+				return new Response(JSON.stringify({
+					timezone,
+					now: now.toISO(),
+					until: now.plus({ minutes: alertOptions.minutes }).toISO(),
+					alerts,
+					request: {
+						calendar: sources.map(source => getCalendarDomain(source.url)).join(', '),
+						minutes: alertOptions.minutes,
+						actions: alertOptions.actions,
+						requestedTimezone: timezone,
+						filters,
+						redacted: redact
+					},
+					sources: sourceSummaries,
+					errors
+				}), {
+					headers: { 'Content-Type': 'application/json', ...responseHeaders }
+				});
+			}
+
+			if (route === '/now') {
+				// Tasks are only due, so they are neither now nor next
+				const moment = at || DateTime.now().setZone(timezone);
+				const groupedEvents = createGroupedEvents(events, days, timezone, sources.map(source => source.url), 'now', filters, {
+					taskOptions: { ...DEFAULT_TASK_OPTIONS, show: 'none' },
+					now: moment,
+					end,
+					weekStart
+				});
+				const summary = summarizeNow(groupedEvents.agenda, moment);
+
+				// The countdowns change every second, so the answer is neither tagged nor cached
+				return new Response(JSON.stringify({
+					timezone,
+					at: moment.toISO(),
+					...summary,
+					warnings: groupedEvents.warnings,
+					request: {
+						calendar: groupedEvents.request.calendar,
+						days: groupedEvents.request.days,
+						requestedTimezone: timezone,
+						at: at ? at.toISO() : null,
+						filters,
+						redacted: redact
+					},
+					sources: sourceSummaries,
+					errors
+				}), {
+					headers: {
+						'Content-Type': 'application/json',
+						'Cache-Control': 'no-store',
+						'Access-Control-Allow-Origin': '*',
+						'Access-Control-Expose-Headers': RATE_LIMIT_HEADERS.join(', '),
+						...rateHeaders
+					}
+				});
+			}
+
+			if (route === '/stats') {
+				// Stats are about time spent in events, so tasks are left out
+				const groupedEvents = createGroupedEvents(events, days, timezone, sources.map(source => source.url), range.options.startFrom, filters, {
+					taskOptions: { ...DEFAULT_TASK_OPTIONS, show: 'none' },
+					end,
+					weekStart
+				});
+				const stats = computeStats(groupedEvents.agenda, { from: range.from, to: range.to, timezone, weekStart, ...statsOptions });
+				const etag = await computeETag({ format, stats, sources: sourceSummaries, errors });
+				const responseHeaders = conditionalHeaders(etag, env, rateHeaders);
+
+				if (matchesETag(request.headers.get('If-None-Match'), etag)) {
+					return new Response(null, { status: 304, headers: responseHeaders });
+				}
+
+				return new Response(JSON.stringify({
+					timezone,
+					from: range.from.toISO(),
+					to: range.to.toISO(),
+					...stats,
+					warnings: groupedEvents.warnings,
+					request: {
+						calendar: groupedEvents.request.calendar,
+						days: groupedEvents.request.days,
+						requestedTimezone: timezone,
+						startFrom: groupedEvents.request.startFrom,
+						end: groupedEvents.request.end,
+						weekStart: groupedEvents.request.weekStart,
+						...statsOptions,
+						filters,
+						redacted: redact
+					},
+					sources: sourceSummaries,
+					errors
+				}), {
+					headers: { 'Content-Type': 'application/json', ...responseHeaders }
+				});
+			}
+
+			// Tasks and journal entries are merged across feeds like events, but kept apart from them
+			const mergedTasks = mergeFeedEvents(feeds.map(feed => ({ source: feed.source, events: feed.tasks })));
+			const tasks = redact ? redactEvents(mergedTasks) : mergedTasks;
+			const groupedEvents = createGroupedEvents(events, days, timezone, sources.map(source => source.url), range.options.startFrom, filters, {
+				tasks,
+				taskOptions,
+				end,
+				weekStart
+			});
+
+			// Hash only the content: request metadata and cache ages change on every call even when no event did
+			const etag = await computeETag({
+				format,
+				formatOptions,
+				agenda: groupedEvents.agenda,
+				tasks: groupedEvents.tasks,
+				timezone: groupedEvents.timezone,
+				warnings: groupedEvents.warnings,
+				sources: sourceSummaries,
+				errors,
+				// The page and images highlight what is on now and next, so they change as time passes
+				...(['html', 'svg', 'bmp'].includes(format) ? {
+					today: DateTime.now().setZone(timezone).toISODate(),
+					highlights: findHighlights(groupedEvents.agenda)
+				} : {})
+			});
+			const responseHeaders = conditionalHeaders(etag, env, rateHeaders);
+
+			if (matchesETag(request.headers.get('If-None-Match'), etag)) {
+				return new Response(null, { status: 304, headers: responseHeaders });
+			}
+
+			if (format === 'ics') {
+				const { occurrences, cutoffDate, endDate } = selectOccurrences(events, range, timezone, filters);
+				const calendar = serializeCalendar(occurrences, {
+					timezone,
+					from: cutoffDate,
+					to: endDate,
+					name: savedCalendar?.label || sources.map(source => source.label).join(', ')
+				});
+				return new Response(calendar, {
+					headers: {
+						'Content-Type': CONTENT_TYPES.ics,
+						...responseHeaders
+					}
+				});
+			}
+
+			if (format !== 'json') {
+				return new Response(renderAgenda(format, { ...groupedEvents, sources: sourceSummaries, errors }, formatOptions), {
+					headers: {
+						'Content-Type': CONTENT_TYPES[format],
+						...(format === 'html' ? { 'Content-Security-Policy': CONTENT_SECURITY_POLICY, 'X-Content-Type-Options': 'nosniff' } : {}),
+						...responseHeaders
+					}
+				});
+			}
+
+			return new Response(JSON.stringify({
+				...groupedEvents,
+				request: { ...groupedEvents.request, redacted: redact },
+				sources: sourceSummaries.map((source, index) => ({ ...source, cache: results[index].value?.cache || null })),
+				cache: summarizeCache(feeds.map(feed => feed.cache)),
+				errors
+			}), {
+				headers: { 
+					'Content-Type': 'application/json',
+					...responseHeaders
+				},
+			});
 		} catch (error) {
 			console.error('General error:', {
 				message: error.message,
 				stack: error.stack,
-				url: url?.toString()
+				path: new URL(request.url).pathname
 			});
 
 			return new Response(JSON.stringify({
@@ -245,138 +582,279 @@ export default {
 			});
 		}
 	},
+
+	// Cron Trigger: notify the webhooks of named calendars about changed events
+	async scheduled(controller, env, ctx) {
+		// Webhooks need the CALENDARS namespace; without it, or with no webhooks set up, a run is silent
+		if (!env.CALENDARS) return;
+		const run = runWebhooks(env, { parse: parseICS })
+			.then(summary => {
+				if (summary.calendars || summary.deliveries) console.log('Webhook run:', summary);
+			})
+			.catch(error => console.error('Webhook run failed:', error.message));
+		ctx.waitUntil(run);
+	},
 };
 
-function parseICS(ics) {
-	const events = [];
-	const lines = ics.split(/\r?\n/);
-	let event = null;
-	let continuationLine = '';
-
-	lines.forEach(line => {
-		// Handle line continuations (lines starting with space/tab)
-		if (line.startsWith(' ') || line.startsWith('\t')) {
-			continuationLine += line.substring(1);
-			return;
-		}
+// Request headers never logged, and what cross-origin callers may send
+const SECRET_HEADERS = ['x-api-key', 'authorization', 'cookie'];
+const ALLOWED_HEADERS = 'X-API-Key, If-None-Match, Content-Type';
+const ALLOWED_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
 
-		// Process previous line if there was a continuation
-		if (continuationLine) {
-			processEventLine(continuationLine, event);
-			continuationLine = '';
-		}
+// /freebusy answers with JSON or a VFREEBUSY calendar
+const FREEBUSY_FORMATS = ['json', 'ics'];
 
-		// Process current line
-		if (line.startsWith('BEGIN:VEVENT')) {
-			event = {};
-		} else if (line.startsWith('END:VEVENT')) {
-			if (event) {
-				events.push(formatEvent(event));
-			}
-			event = null;
-		} else if (event) {
-			processEventLine(line, event);
-		}
-	});
+// Rate limit headers browsers may read, and the feed cache statuses that went to the upstream
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'];
+const UPSTREAM_STATUSES = ['miss', 'bypass', 'revalidated'];
 
-	return events;
+// Headers of a response that can be revalidated with its ETag, with the rate limit headers of the key
+function conditionalHeaders(etag, env, rateHeaders = {}) {
+	return {
+		'Access-Control-Allow-Origin': '*',
+		'Access-Control-Expose-Headers': ['ETag', ...RATE_LIMIT_HEADERS].join(', '),
+		'Cache-Control': cacheControl(env),
+		'ETag': etag,
+		// Without a format parameter the body depends on the Accept header
+		'Vary': 'Accept',
+		...rateHeaders
+	};
 }
 
-function processEventLine(line, event) {
-	const [key, ...valueParts] = line.split(':');
-	if (key && valueParts.length) {
-		const value = valueParts.join(':').trim();
-		const keyParts = key.split(';');
-		const mainKey = keyParts[0].trim();
-		
-		// Handle parameters in key (e.g. DTSTART;TZID=Australia/Sydney)
-		const params = {};
-		keyParts.slice(1).forEach(param => {
-			const [paramName, paramValue] = param.split('=');
-			params[paramName] = paramValue;
-		});
+// How the feeds were served overall: the least fresh status, and when the oldest copy was fetched
+const CACHE_STATUS_ORDER = ['fresh', 'revalidated', 'miss', 'bypass', 'stale'];
 
-		// Handle all-day events
-		if (params.VALUE === 'DATE' || mainKey === 'DTSTART' || mainKey === 'DTEND') {
-			event.isAllDay = params.VALUE === 'DATE';
+function summarizeCache(caches) {
+	const oldest = caches.reduce((a, b) => (b.age > a.age ? b : a));
+	const status = caches.reduce((a, b) => (CACHE_STATUS_ORDER.indexOf(b.status) > CACHE_STATUS_ORDER.indexOf(a.status) ? b : a)).status;
+	return { status, fetchedAt: oldest.fetchedAt, age: oldest.age };
+}
+
+// The events of a feed, and separately its tasks (VTODO) and journal entries (VJOURNAL)
+function parseFeed(ics, timezone = 'UTC') {
+	// Events and timezones normally sit inside a VCALENDAR, but accept bare components too
+	const components = parseComponents(ics)
+		.flatMap(component => component.name === 'VCALENDAR' ? component.components : [component]);
+
+	// VTIMEZONE blocks may follow the events that use them, so build them first
+	const timezones = buildTimezones(components.filter(component => component.name === 'VTIMEZONE'));
+
+	return {
+		events: components
+			.filter(component => component.name === 'VEVENT')
+			.map(component => formatEvent(component, timezones, timezone)),
+		tasks: components
+			.filter(component => component.name === 'VTODO' || component.name === 'VJOURNAL')
+			.map(component => formatTask(component, timezones, timezone))
+	};
+}
+
+function parseICS(ics, timezone = 'UTC') {
+	return parseFeed(ics, timezone).events;
+}
+
+// Parses DATE/DATE-TIME properties of one component, noting anything that cannot be parsed in its warnings
+function createDateParser(timezones, timezone, warnings) {
+	return (prop, fallbackTzid = null) => {
+		if (!prop || !prop.value) return null;
+
+		const tzid = prop.params.TZID || fallbackTzid;
+		const parsed = parseICSDate(prop.value, {
+			zone: tzid ? resolveTZID(tzid, timezones, warnings) : null,
+			floatingZone: timezone,
+			isDate: prop.params.VALUE === 'DATE'
+		});
+		if (!parsed) {
+			warnings.push(`Could not parse ${prop.name} "${prop.value}"`);
 		}
+		return parsed;
+	};
+}
+
+function formatEvent(component, timezones, timezone) {
+	const warnings = [];
+	const property = name => getProperty(component, name);
+	const text = name => property(name)?.value || '';
+	const parseProperty = createDateParser(timezones, timezone, warnings);
+
+	const dtstart = property('DTSTART');
+	const dtend = property('DTEND');
+	const durationValue = text('DURATION');
 
-		// Store timezone if specified
-		if (params.TZID) {
-			event[`${mainKey}_TZID`] = params.TZID;
+	const start = parseProperty(dtstart);
+	if (!dtstart) {
+		warnings.push('Missing DTSTART');
+	}
+
+	// DTEND is exclusive; without it use DURATION, or one day for DATE values (RFC 5545 3.6.1)
+	let end = parseProperty(dtend, dtstart?.params.TZID);
+	if (start && !dtend && durationValue) {
+		const duration = parseICSDuration(durationValue);
+		if (duration) {
+			end = { ...start, dateTime: start.dateTime.plus(duration) };
+		} else {
+			warnings.push(`Could not parse DURATION "${durationValue}"`);
 		}
-		
-		event[mainKey] = value;
 	}
-}
+	if (start && !end) {
+		end = start.type === TIME_TYPES.DATE && !dtend
+			? { ...start, dateTime: start.dateTime.plus({ days: 1 }) }
+			: start;
+	}
 
-function formatEvent(event) {
-	// Parse start date/time considering timezone
-	const start = parseICSDate(
-		event.DTSTART,
-		event.isAllDay,
-		event.DTSTART_TZID
-	);
-	
-	// Parse end date/time considering timezone
-	const end = parseICSDate(
-		event.DTEND || event.DTSTART,
-		event.isAllDay, 
-		event.DTEND_TZID || event.DTSTART_TZID
-	);
+	const zone = start ? start.dateTime.zone : null;
+	const recurrenceIdProperty = property('RECURRENCE-ID');
+	const recurrenceId = parseProperty(recurrenceIdProperty);
+	const created = parseProperty(property('CREATED'));
+	const lastModified = parseProperty(property('LAST-MODIFIED'));
 
 	return {
-		title: event.SUMMARY || '',
-		start: start.toISO(),
-		end: end.toISO(),
-		description: event.DESCRIPTION || '',
-		location: event.LOCATION || '',
-		isAllDay: event.isAllDay || false,
-		timezone: event.DTSTART_TZID || 'UTC',
-		uid: event.UID || '',
-		created: event.CREATED ? parseICSDate(event.CREATED).toISO() : null,
-		lastModified: event.LAST_MODIFIED ? parseICSDate(event.LAST_MODIFIED).toISO() : null,
+		title: text('SUMMARY'),
+		start: start ? start.dateTime.toISO() : null,
+		end: end ? end.dateTime.toISO() : null,
+		description: text('DESCRIPTION'),
+		location: text('LOCATION'),
+		isAllDay: start ? start.type === TIME_TYPES.DATE : false,
+		timeType: start ? start.type : null,
+		timezone: zone ? zone.name : timezone,
+		zone,
+		uid: text('UID'),
+		created: created ? created.dateTime.toISO() : null,
+		lastModified: lastModified ? lastModified.dateTime.toISO() : null,
+		sequence: parseInt(text('SEQUENCE')) || 0,
+		status: text('STATUS').toUpperCase() || null,
+		transparency: text('TRANSP').toUpperCase() || 'OPAQUE',
+		classification: text('CLASS').toUpperCase() || 'PUBLIC',
+		categories: getProperties(component, 'CATEGORIES').flatMap(categories => splitText(categories.rawValue)),
+		url: text('URL') || null,
+		geo: parseGeo(text('GEO')),
+		organizer: property('ORGANIZER') ? formatCalendarUser(property('ORGANIZER')) : null,
+		attendees: getProperties(component, 'ATTENDEE').map(formatAttendee),
+		rrule: text('RRULE') || null,
+		rdates: parseICSDateList(getProperties(component, 'RDATE'), timezones, timezone, warnings),
+		exdates: parseICSDateList(getProperties(component, 'EXDATE'), timezones, timezone, warnings).map(date => date.start),
+		recurrenceId: recurrenceId ? recurrenceId.dateTime.toISO() : null,
+		recurrenceRange: recurrenceIdProperty?.params.RANGE ? recurrenceIdProperty.params.RANGE.toUpperCase() : null,
+		alarms: component.components
+			.filter(child => child.name === 'VALARM')
+			.map(alarm => parseAlarm(alarm, { timezone, warnings }))
+			.filter(Boolean),
+		warnings,
 	};
 }
 
-function parseICSDate(icsDate, isAllDay = false, timezone = 'UTC') {
-	if (!icsDate) return DateTime.now();
-
-	// Remove any timezone identifier
-	icsDate = icsDate.replace('Z', '');
-	
-	if (isAllDay) {
-		const match = icsDate.match(/^(\d{4})(\d{2})(\d{2})$/);
-		if (match) {
-			const [_, year, month, day] = match;
-			return DateTime.fromObject(
-				{
-					year: parseInt(year),
-					month: parseInt(month),
-					day: parseInt(day)
-				},
-				{ zone: timezone }
-			);
+// A VTODO (type `task`) or VJOURNAL (type `journal`). A task is due at DUE, or at DTSTART plus DURATION
+function formatTask(component, timezones, timezone) {
+	const warnings = [];
+	const property = name => getProperty(component, name);
+	const text = name => property(name)?.value || '';
+	const parseProperty = createDateParser(timezones, timezone, warnings);
+	const isoOf = parsed => (parsed ? parsed.dateTime.toISO() : null);
+
+	const start = parseProperty(property('DTSTART'));
+	let due = parseProperty(property('DUE'), property('DTSTART')?.params.TZID);
+	const durationValue = text('DURATION');
+	if (start && !due && durationValue) {
+		const duration = parseICSDuration(durationValue);
+		if (duration) {
+			due = { ...start, dateTime: start.dateTime.plus(duration) };
+		} else {
+			warnings.push(`Could not parse DURATION "${durationValue}"`);
 		}
 	}
 
-	const match = icsDate.match(/^(\d{4})(\d{2})(\d{2})T?(\d{2})?(\d{2})?(\d{2})?$/);
-	if (match) {
-		const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
-		return DateTime.fromObject(
-			{
-				year: parseInt(year),
-				month: parseInt(month),
-				day: parseInt(day),
-				hour: parseInt(hour),
-				minute: parseInt(minute),
-				second: parseInt(second)
-			},
-			{ zone: timezone }
-		);
+	// PERCENT-COMPLETE runs from 0 to 100, and PRIORITY from 1 (highest) to 9, with 0 meaning none
+	const percentComplete = parseInt(text('PERCENT-COMPLETE'));
+	const priority = parseInt(text('PRIORITY'));
+
+	return {
+		type: component.name === 'VTODO' ? 'task' : 'journal',
+		title: text('SUMMARY'),
+		description: text('DESCRIPTION'),
+		location: text('LOCATION'),
+		isAllDay: (due || start)?.type === TIME_TYPES.DATE,
+		uid: text('UID'),
+		lastModified: isoOf(parseProperty(property('LAST-MODIFIED'))),
+		sequence: parseInt(text('SEQUENCE')) || 0,
+		status: text('STATUS').toUpperCase() || null,
+		classification: text('CLASS').toUpperCase() || 'PUBLIC',
+		categories: getProperties(component, 'CATEGORIES').flatMap(categories => splitText(categories.rawValue)),
+		url: text('URL') || null,
+		organizer: property('ORGANIZER') ? formatCalendarUser(property('ORGANIZER')) : null,
+		attendees: getProperties(component, 'ATTENDEE').map(formatAttendee),
+		start: isoOf(start),
+		due: isoOf(due),
+		completed: isoOf(parseProperty(property('COMPLETED'))),
+		percentComplete: Number.isNaN(percentComplete) ? null : Math.min(100, Math.max(0, percentComplete)),
+		priority: priority >= 1 && priority <= 9 ? priority : null,
+		rrule: text('RRULE') || null,
+		recurrenceId: isoOf(parseProperty(property('RECURRENCE-ID'))),
+		warnings
+	};
+}
+
+// ORGANIZER/ATTENDEE values are mailto: URIs with the display name in CN
+function formatCalendarUser({ value, params }) {
+	return {
+		name: params.CN || null,
+		email: value.replace(/^mailto:/i, '')
+	};
+}
+
+function formatAttendee(attendee) {
+	const { params } = attendee;
+	return {
+		...formatCalendarUser(attendee),
+		role: (params.ROLE || 'REQ-PARTICIPANT').toUpperCase(),
+		partstat: (params.PARTSTAT || 'NEEDS-ACTION').toUpperCase(),
+		rsvp: (params.RSVP || '').toUpperCase() === 'TRUE',
+		type: (params.CUTYPE || 'INDIVIDUAL').toUpperCase()
+	};
+}
+
+// GEO is "latitude;longitude"
+function parseGeo(value) {
+	const [latitude, longitude] = value.split(';').map(parseFloat);
+	return isNaN(latitude) || isNaN(longitude) ? null : { latitude, longitude };
+}
+
+// Resolve a TZID (IANA, Windows or VTIMEZONE-defined) to a zone Luxon can use, falling back to UTC
+function resolveTZID(tzid, timezones, warnings) {
+	const zone = resolveTimezone(tzid, timezones);
+	if (!zone) {
+		warnings.push(`Unknown TZID "${tzid}", using UTC`);
+		return 'UTC';
 	}
+	return zone;
+}
+
+// Parse RDATE/EXDATE lines, which hold comma-separated dates or (for RDATE) start/end periods
+function parseICSDateList(entries = [], timezones, timezone, warnings) {
+	return entries.flatMap(({ value, params }) => value.split(',').flatMap(item => {
+		const [startValue, endValue] = item.split('/');
+		const options = {
+			zone: params.TZID ? resolveTZID(params.TZID, timezones, warnings) : null,
+			floatingZone: timezone,
+			isDate: params.VALUE === 'DATE'
+		};
+
+		const start = parseICSDate(startValue, options);
+		if (!start) {
+			warnings.push(`Could not parse date "${item}"`);
+			return [];
+		}
 
-	return DateTime.now();
+		let end = null;
+		if (endValue) {
+			const duration = /^[+-]?P/i.test(endValue) ? parseICSDuration(endValue) : null;
+			end = duration ? start.dateTime.plus(duration) : parseICSDate(endValue, options)?.dateTime;
+			if (!end) {
+				warnings.push(`Could not parse period end "${item}"`);
+			}
+		}
+
+		return [{ start: start.dateTime.toISO(), end: end ? end.toISO() : null }];
+	}));
 }
 
 function convertToTimezone(isoDate, timezone) {
@@ -385,42 +863,108 @@ function convertToTimezone(isoDate, timezone) {
 		.toISO();
 }
 
-function createGroupedEvents(events, days, timezone, requestUrl, startFrom = 'now') {
-	const now = DateTime.now().setZone(timezone).startOf('day');
-	const endDate = now.plus({ days });
-	
-	// Parse the startFrom parameter
-	let cutoffDate;
-	if (startFrom === 'now') {
-		cutoffDate = now;
-	} else {
-		try {
-			cutoffDate = DateTime.fromISO(startFrom).setZone(timezone).startOf('day');
-			if (!cutoffDate.isValid) {
-				throw new Error('Invalid date');
-			}
-		} catch (e) {
-			console.warn('Invalid startFrom date, defaulting to now:', startFrom);
-			cutoffDate = now;
-		}
-	}
+// The agenda entry for the part of an occurrence that falls on one day
+function toAgendaItem(event, start, end, crossDay, timezone) {
+	return {
+		type: 'event',
+		title: event.title,
+		start: start.toISO(),
+		end: end.toISO(),
+		description: event.description,
+		location: event.location,
+		isFullDay: event.isAllDay,
+		crossDay,
+		timezone,
+		uid: event.uid,
+		isRecurring: event.isRecurring || false,
+		isModified: event.isModified || false,
+		occurrenceDate: event.occurrenceDate || null,
+		timeType: event.timeType,
+		status: event.status,
+		transparency: event.transparency,
+		classification: event.classification,
+		sequence: event.sequence,
+		categories: event.categories,
+		url: event.url,
+		geo: event.geo,
+		organizer: event.organizer,
+		attendees: event.attendees,
+		alarms: event.alarms || [],
+		source: event.source || null,
+		color: event.color || null,
+		warnings: event.warnings
+	};
+}
+
+// The end is exclusive, so an event ending at midnight does not reach into that day
+function lastMomentOf(start, end) {
+	return end > start && +end === +end.startOf('day') ? end.minus({ milliseconds: 1 }) : end;
+}
+
+// The occurrences that overlap the window `{ from, to }` (see resolveRange) and pass the filters, with the window
+// itself and warnings for unplaceable events and series cut short
+function selectOccurrences(events, { from: cutoffDate, to: endDate }, timezone, filters = null) {
+	// Events without a usable start cannot be placed in the agenda, so report them instead
+	const warnings = events
+		.filter(event => !event.start)
+		.map(event => ({ uid: event.uid, title: event.title, warnings: event.warnings }));
+
+	// Expand recurring events into the occurrences that fall inside the window,
+	// applying RECURRENCE-ID overrides and dropping cancelled occurrences; series cut short are noted in the warnings
+	const occurrences = expandEvents(events.filter(event => event.start), cutoffDate, endDate, { warnings }).filter(event => {
+		const start = DateTime.fromISO(event.start).setZone(timezone);
+		const end = DateTime.fromISO(event.end).setZone(timezone);
+
+		// Skip events that end before cutoff date, or start after endDate
+		return lastMomentOf(start, end) >= cutoffDate && start <= endDate;
+	}).filter(createEventFilter(filters));
+
+	return { occurrences, warnings, cutoffDate, endDate };
+}
+
+function createGroupedEvents(
+	events,
+	days,
+	timezone,
+	requestUrl,
+	startFrom = 'now',
+	filters = null,
+	{ tasks = [], taskOptions = DEFAULT_TASK_OPTIONS, now = DateTime.now(), end = null, weekStart = 'monday' } = {}
+) {
+	// `days` and `startFrom` can be given in words or as ISO durations and dates; an invalid window throws
+	const range = resolveRange({ startFrom, days, end, weekStart }, timezone, now);
+
+	// Filtering happens on the occurrences, so a moved or retitled occurrence is judged on its own details
+	const { occurrences, warnings, cutoffDate, endDate } = selectOccurrences(events, range, timezone, filters);
 
 	// Group events by date
 	const groupedByDate = {};
 
-	events.forEach(event => {
+	// Tasks due in the window join the agenda on their due date; the others are listed apart
+	const { scheduled, listed } = placeTasks(tasks, {
+		now,
+		from: cutoffDate,
+		to: endDate,
+		timezone,
+		options: taskOptions,
+		filters
+	});
+	scheduled.forEach(({ date, item }) => {
+		if (!groupedByDate[date]) {
+			groupedByDate[date] = [];
+		}
+		groupedByDate[date].push(item);
+	});
+
+	occurrences.forEach(event => {
 		const start = DateTime.fromISO(event.start).setZone(timezone);
 		const end = DateTime.fromISO(event.end).setZone(timezone);
 
-		// Skip events that end before cutoff date
-		if (end < cutoffDate) return;
-
-		// Skip events that start after endDate
-		if (start > endDate) return;
+		const lastMoment = lastMomentOf(start, end);
 
 		// Check if event crosses midnight in the target timezone
 		const startDay = start.toISODate();
-		const endDay = end.toISODate();
+		const endDay = lastMoment.toISODate();
 		const crossDay = startDay !== endDay;
 
 		const dateKey = startDay;
@@ -430,38 +974,32 @@ function createGroupedEvents(events, days, timezone, requestUrl, startFrom = 'no
 		}
 
 		// Add event to its start date with original times
-		groupedByDate[dateKey].push({
-			title: event.title,
-			start: start.toISO(),
-			end: crossDay ? start.endOf('day').toISO() : end.toISO(),
-			description: event.description,
-			isFullDay: event.isAllDay,
+		groupedByDate[dateKey].push(toAgendaItem(
+			event,
+			start,
+			crossDay ? start.endOf('day') : end,
 			crossDay,
 			timezone
-		});
+		));
 
 		// If event crosses days, add it to subsequent days
 		if (crossDay) {
 			let currentDate = start.plus({ days: 1 }).startOf('day');
 
-			while (currentDate <= end && currentDate < endDate) {
+			while (currentDate <= lastMoment && currentDate < endDate) {
 				const nextDateKey = currentDate.toISODate();
 				
 				if (!groupedByDate[nextDateKey]) {
 					groupedByDate[nextDateKey] = [];
 				}
 
-				groupedByDate[nextDateKey].push({
-					title: event.title,
-					start: currentDate.toISO(),
-					end: currentDate.toISODate() === endDay 
-						? end.toISO()
-						: currentDate.endOf('day').toISO(),
-					description: event.description,
-					isFullDay: event.isAllDay,
+				groupedByDate[nextDateKey].push(toAgendaItem(
+					event,
+					currentDate,
+					currentDate.toISODate() === endDay ? end : currentDate.endOf('day'),
 					crossDay,
 					timezone
-				});
+				));
 
 				currentDate = currentDate.plus({ days: 1 });
 			}
@@ -485,25 +1023,22 @@ function createGroupedEvents(events, days, timezone, requestUrl, startFrom = 'no
 			events
 		}));
 
-	// Extract domain from URL for safe display
-	const getCalendarDomain = (url) => {
-		try {
-			const urlObj = new URL(url);
-			return urlObj.hostname;
-		} catch (e) {
-			return 'unknown';
-		}
-	};
-
 	// Return with request information
 	return {
 		agenda,
+		tasks: listed,
 		timezone,
+		warnings,
 		request: {
-			calendar: getCalendarDomain(requestUrl),
-			days,
+			calendar: [].concat(requestUrl).map(getCalendarDomain).join(', '),
+			days: endDate.diff(cutoffDate, 'days').days,
 			requestedTimezone: timezone,
-			startFrom: cutoffDate.toISO()
+			startFrom: cutoffDate.toISO(),
+			end: endDate.toISO(),
+			weekStart: weekStart.toLowerCase(),
+			filters,
+			tasks: taskOptions.show,
+			taskSort: taskOptions.sort
 		}
 	};
 }
@@ -0,0 +1,89 @@
+/**
+ * "Now and next" for displays: the events in progress at a moment, the next one to start, and how long the calendar
+ * stays busy or free, worked out from the grouped agenda.
+ */
+
+import { DateTime } from 'luxon';
+
+/**
+ * Reads the `at` parameter, the moment to answer for (default now): an ISO date-time, taken in `timezone` when it
+ * has no offset. Throws for an invalid value.
+ */
+export function parseAt(value, timezone = 'UTC') {
+	if (value === null || value === '') return null;
+	const at = DateTime.fromISO(value, { zone: timezone });
+	if (!at.isValid) {
+		throw new Error(`Invalid at "${value}", expected an ISO date-time such as 2024-03-20T09:30 or 2024-03-20T09:30:00Z`);
+	}
+	return at.setZone(timezone);
+}
+
+/**
+ * The events of the agenda, with an event that crosses midnight (listed once per day) joined back into one. Each has
+ * its `startTime` and `endTime` as DateTimes. Tasks are left out.
+ */
+export function joinPieces(agenda) {
+	const events = new Map();
+	agenda
+		.flatMap(({ events: items }) => items)
+		.filter(item => item.type !== 'task')
+		.forEach((item, index) => {
+			const key = item.crossDay ? `${item.uid}|${item.occurrenceDate || ''}|${item.source || ''}|${item.title}` : index;
+			const joined = events.get(key);
+			const piece = {
+				...item,
+				startTime: DateTime.fromISO(item.start, { setZone: true }),
+				endTime: DateTime.fromISO(item.end, { setZone: true })
+			};
+			if (joined && joined.startTime < piece.startTime) Object.assign(piece, { start: joined.start, startTime: joined.startTime });
+			if (joined && joined.endTime > piece.endTime) Object.assign(piece, { end: joined.end, endTime: joined.endTime });
+			events.set(key, piece);
+		});
+	return [...events.values()];
+}
+
+// Cancelled and transparent events do not make the calendar busy
+const blocksTime = item => item.status !== 'CANCELLED' && item.transparency !== 'TRANSPARENT';
+
+const withoutTimes = ({ startTime, endTime, ...item }) => item;
+const seconds = (from, to) => Math.round(to.diff(from, 'seconds').seconds);
+
+/**
+ * Summarizes the agenda at `at`:
+ * - `current`: timed events in progress, each with `secondsRemaining` and `minutesRemaining` (rounded up)
+ * - `next`: the next timed event to start, with `secondsUntil` and `minutesUntil`, or null
+ * - `allDay`: all-day events on that day
+ * - `busy`, and `busyUntil`, the end of the run of events that keep the calendar busy from now, or `freeUntil`, the
+ *   start of the next one (null when nothing else is in the agenda)
+ */
+export function summarizeNow(agenda, at) {
+	const events = joinPieces(agenda);
+	const timed = events.filter(item => !item.isFullDay).sort((a, b) => a.startTime - b.startTime);
+	const current = timed.filter(item => item.startTime <= at && at < item.endTime);
+	const next = timed.find(item => item.startTime > at);
+
+	// Busy time runs on through events that start before the previous one ends
+	const blocking = timed.filter(blocksTime);
+	let busyUntil = null;
+	if (current.some(blocksTime)) {
+		busyUntil = at;
+		blocking.forEach(item => {
+			if (item.startTime <= busyUntil && item.endTime > busyUntil) busyUntil = item.endTime;
+		});
+	}
+	const freeUntil = busyUntil ? null : blocking.find(item => item.startTime > at)?.startTime || null;
+
+	const untilNext = next ? seconds(at, next.startTime) : null;
+
+	return {
+		current: current.map(item => {
+			const remaining = seconds(at, item.endTime);
+			return { ...withoutTimes(item), secondsRemaining: remaining, minutesRemaining: Math.ceil(remaining / 60) };
+		}),
+		next: next ? { ...withoutTimes(next), secondsUntil: untilNext, minutesUntil: Math.ceil(untilNext / 60) } : null,
+		allDay: events.filter(item => item.isFullDay && item.startTime <= at && at < item.endTime).map(withoutTimes),
+		busy: busyUntil !== null,
+		busyUntil: busyUntil ? busyUntil.setZone(at.zone).toISO() : null,
+		freeUntil: freeUntil ? freeUntil.setZone(at.zone).toISO() : null
+	};
+}
@@ -0,0 +1,159 @@
+/**
+ * The window a request covers: the day it starts (`startFrom`) and how far it runs (`days`, or an inclusive `end`
+ * day), given as ISO dates and durations or in plain words such as `tomorrow`, `monday` or `+3d`.
+ */
+
+import { DateTime, Duration, IANAZone } from 'luxon';
+
+export const DEFAULT_DAYS = 7;
+// Free/busy, stats and the iCalendar export walk the window day by day, so it is kept to about a year
+export const MAX_DAYS = 366;
+
+// Luxon numbers weekdays 1 (Monday) to 7 (Sunday)
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const OFFSET_PATTERN = /^([+-])(\d+)([dw])$/;
+const SIGNED_DURATION_PATTERN = /^([+-]?)(p.+)$/;
+
+const DAY_EXPRESSIONS =
+	'now, today, tomorrow, yesterday, a weekday, start-of-week, start-of-month, an offset such as +3d, -1w or P2W, or an ISO date';
+
+/**
+ * A weekday by name or its first three letters, as Luxon numbers it (1 for Monday to 7 for Sunday), or null.
+ */
+export function parseWeekday(value) {
+	const index = WEEKDAYS.findIndex(day => value.length >= 3 && day.startsWith(value));
+	return index === -1 ? null : index + 1;
+}
+
+// An ISO 8601 duration, such as P2W or P1M, or null
+function parseDuration(value) {
+	const duration = Duration.fromISO(value.toUpperCase());
+	return duration.isValid ? duration : null;
+}
+
+// A number of days, or an ISO 8601 duration
+function parseLength(days) {
+	const value = String(days).trim();
+	return /^\d+$/.test(value) ? Duration.fromObject({ days: Number(value) }) : parseDuration(value);
+}
+
+/**
+ * The start of the day an expression names, in `timezone`: `now` or `today`, `tomorrow`, `yesterday`, a weekday
+ * (today if it is that day, otherwise the coming one), `start-of-week` (on `weekStart`, 1 for Monday to 7 for
+ * Sunday), `start-of-month`, an offset from today (`+3d`, `-1w`, `P2W`, `-P1M`) or an ISO date. Returns null for
+ * anything else.
+ */
+export function resolveDay(expression, { timezone = 'UTC', now = DateTime.now(), weekStart = 1 } = {}) {
+	const today = now.setZone(timezone).startOf('day');
+	const value = expression.trim().toLowerCase();
+
+	switch (value) {
+		case 'now':
+		case 'today':
+			return today;
+		case 'tomorrow':
+			return today.plus({ days: 1 });
+		case 'yesterday':
+			return today.minus({ days: 1 });
+		case 'start-of-week':
+			return today.minus({ days: (today.weekday - weekStart + 7) % 7 });
+		case 'start-of-month':
+			return today.startOf('month');
+	}
+
+	const weekday = parseWeekday(value);
+	if (weekday) {
+		return today.plus({ days: (weekday - today.weekday + 7) % 7 });
+	}
+
+	const offset = value.match(OFFSET_PATTERN);
+	if (offset) {
+		const [, sign, amount, unit] = offset;
+		return today.plus({ [unit === 'w' ? 'weeks' : 'days']: Number(amount) * (sign === '-' ? -1 : 1) });
+	}
+
+	const signedDuration = value.match(SIGNED_DURATION_PATTERN);
+	const duration = signedDuration && parseDuration(signedDuration[2]);
+	if (duration) {
+		return (signedDuration[1] === '-' ? today.minus(duration) : today.plus(duration)).startOf('day');
+	}
+
+	// Dates are days in the requested zone, not in UTC
+	const date = DateTime.fromISO(expression.trim(), { zone: timezone });
+	return date.isValid ? date.setZone(timezone).startOf('day') : null;
+}
+
+/**
+ * Checks that `timezone` is an IANA zone name, such as Europe/London; throws otherwise.
+ */
+export function checkTimezone(timezone) {
+	if (!IANAZone.isValidZone(timezone)) {
+		throw new Error(`Invalid timezone "${timezone}", expected an IANA time zone such as Europe/London`);
+	}
+}
+
+// Refuses a window longer than MAX_DAYS
+function checkLength(range) {
+	if (range.to.diff(range.from, 'days').days > MAX_DAYS) {
+		throw new Error(`The window from ${range.from.toISODate()} to ${range.to.toISODate()} is too long, at most ${MAX_DAYS} days are allowed`);
+	}
+	return range;
+}
+
+/**
+ * Works out the window `{ from, to }` (`to` exclusive) of `startFrom`, and `days` (a whole number of days or an ISO
+ * 8601 duration such as P2W) or `end` (the last day, as any day expression). `weekStart` is the day weeks start on,
+ * by name. Throws for a value it cannot read (timezone included), for both `days` and `end`, for an end before
+ * the start, or for a window longer than MAX_DAYS.
+ */
+export function resolveRange(options, timezone = 'UTC', now = DateTime.now()) {
+	checkTimezone(timezone);
+	const { startFrom = 'now', days = null, end = null, weekStart = 'monday' } = options;
+	const weekStartDay = parseWeekday(String(weekStart).trim().toLowerCase());
+	if (!weekStartDay) {
+		throw new Error(`Invalid weekStart "${weekStart}", expected a day of the week such as monday or sunday`);
+	}
+	const context = { timezone, now, weekStart: weekStartDay };
+
+	const from = resolveDay(String(startFrom), context);
+	if (!from) {
+		throw new Error(`Invalid startFrom "${startFrom}", expected ${DAY_EXPRESSIONS}`);
+	}
+
+	if (days !== null && end !== null) {
+		throw new Error('Use either days or end, not both');
+	}
+
+	if (end !== null) {
+		const last = resolveDay(String(end), context);
+		if (!last) {
+			throw new Error(`Invalid end "${end}", expected ${DAY_EXPRESSIONS}`);
+		}
+		if (last < from) {
+			throw new Error(`Invalid end "${end}": ${last.toISODate()} is before the start, ${from.toISODate()}`);
+		}
+		return checkLength({ from, to: last.plus({ days: 1 }) });
+	}
+
+	const length = parseLength(days === null ? DEFAULT_DAYS : days);
+	const to = length && from.plus(length);
+	if (!to || !to.isValid || to <= from) {
+		throw new Error(`Invalid days "${days}", expected a whole number of days or an ISO 8601 duration such as P2W`);
+	}
+	return checkLength({ from, to });
+}
+
+/**
+ * Reads the window parameters `startFrom`, `days`, `end` and `weekStart` of a request, as given (for echoing in the
+ * response) and as the resolved window `{ from, to }`. Throws when they are not valid.
+ */
+export function parseRange(searchParams, { timezone = 'UTC', now = DateTime.now() } = {}) {
+	const param = name => (searchParams.get(name) || '').trim() || null;
+	const options = {
+		startFrom: param('startFrom') || 'now',
+		days: param('days'),
+		end: param('end'),
+		weekStart: param('weekStart') || 'monday'
+	};
+	return { options, ...resolveRange(options, timezone, now) };
+}
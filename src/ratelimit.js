@@ -0,0 +1,174 @@
+/**
+ * Per-key rate limiting and usage accounting. Each API key gets a RateLimiter Durable Object, which holds a token
+ * bucket sized by the key's tier and counts the key's requests and upstream bytes per day. A Durable Object
+ * rather than KV, because every request updates the bucket and KV allows one write per key per second.
+ */
+
+// Requests a key can make in a burst, and how many tokens come back per minute
+export const DEFAULT_TIERS = {
+	default: { burst: 30, perMinute: 30 },
+	standard: { burst: 60, perMinute: 60 },
+	premium: { burst: 300, perMinute: 300 }
+};
+
+// Days of usage kept in the Durable Object, how often counts are copied to the USAGE namespace, and for how long
+const USAGE_DAYS = 30;
+const FLUSH_DELAY = 60 * 1000;
+const USAGE_TTL = 90 * 24 * 60 * 60;
+const USAGE_FIELDS = ['requests', 'limited', 'upstreamFetches', 'upstreamBytes'];
+
+/**
+ * The limits of a tier: DEFAULT_TIERS, with tiers added or replaced by the RATE_LIMIT_TIERS variable (JSON such
+ * as `{"kiosk": {"burst": 10, "perMinute": 2}}`). Unknown tiers get the default limits.
+ */
+export function getTierLimits(tier, env = {}) {
+	let tiers = DEFAULT_TIERS;
+	if (env.RATE_LIMIT_TIERS) {
+		try {
+			tiers = { ...DEFAULT_TIERS, ...JSON.parse(env.RATE_LIMIT_TIERS) };
+		} catch (e) {
+			console.error('Invalid RATE_LIMIT_TIERS, using the default tiers:', e.message);
+		}
+	}
+	return tiers[tier] || tiers.default;
+}
+
+/**
+ * Takes a token from a bucket (`{ tokens, updatedAt }`, or null for a new, full one) that refills continuously.
+ * Returns the updated bucket, whether the request is allowed, the tokens left, and the seconds until a token is
+ * available (`retryAfter`) and until the bucket is full again (`reset`).
+ */
+export function takeToken(bucket, { burst, perMinute }, now) {
+	const perMs = perMinute / 60000;
+	const tokens = bucket ? Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * perMs) : burst;
+	const allowed = tokens >= 1;
+	const left = allowed ? tokens - 1 : tokens;
+
+	return {
+		bucket: { tokens: left, updatedAt: now },
+		allowed,
+		limit: burst,
+		remaining: Math.floor(left),
+		retryAfter: allowed ? 0 : Math.ceil((1 - left) / perMs / 1000),
+		reset: Math.ceil((burst - left) / perMs / 1000)
+	};
+}
+
+/**
+ * `RateLimit-*` headers (draft-ietf-httpapi-ratelimit-headers) for the result of takeToken, with `Retry-After`
+ * when the request was refused.
+ */
+export function rateLimitHeaders(result, { perMinute }) {
+	return {
+		'RateLimit-Limit': String(result.limit),
+		'RateLimit-Remaining': String(result.remaining),
+		'RateLimit-Reset': String(result.reset),
+		'RateLimit-Policy': `${result.limit};w=${Math.round((60 * result.limit) / perMinute)}`,
+		...(result.allowed ? {} : { 'Retry-After': String(result.retryAfter) })
+	};
+}
+
+const today = now => new Date(now).toISOString().slice(0, 10);
+
+/**
+ * The Durable Object behind each key. It answers POST /take (take a token, counting the request), POST /record
+ * (add upstream fetches and bytes) and GET /usage (counts per day, most recent first).
+ */
+export class RateLimiter {
+	constructor(state, env) {
+		this.state = state;
+		this.env = env;
+	}
+
+	async fetch(request) {
+		const { pathname } = new URL(request.url);
+		if (pathname === '/take') {
+			return Response.json(await this.take(await request.json()));
+		}
+		if (pathname === '/record') {
+			await this.record(await request.json());
+			return new Response(null, { status: 204 });
+		}
+		if (pathname === '/usage') {
+			return Response.json(await this.usage());
+		}
+		return new Response('Not found', { status: 404 });
+	}
+
+	async take({ keyId, limits, now = Date.now() }) {
+		const result = takeToken(await this.state.storage.get('bucket'), limits, now);
+		await this.state.storage.put({ bucket: result.bucket, keyId });
+		await this.count({ requests: 1, limited: result.allowed ? 0 : 1 }, now);
+		const { bucket, ...answer } = result;
+		return answer;
+	}
+
+	async record({ upstreamFetches = 0, upstreamBytes = 0, now = Date.now() }) {
+		await this.count({ upstreamFetches, upstreamBytes }, now);
+	}
+
+	async count(counts, now) {
+		const name = `usage:${today(now)}`;
+		const usage = (await this.state.storage.get(name)) || Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+		Object.entries(counts).forEach(([field, value]) => {
+			usage[field] += value;
+		});
+		await this.state.storage.put(name, usage);
+
+		// Copy the counts to KV now and then, so usage across keys can be listed in one place. `unflushed` holds the
+		// days counted since the last copy, which can be several when the alarm was late or retried.
+		if (this.env?.USAGE) {
+			const unflushed = (await this.state.storage.get('unflushed')) || [];
+			if (!unflushed.includes(today(now))) {
+				await this.state.storage.put('unflushed', [...unflushed, today(now)]);
+			}
+			if (!(await this.state.storage.getAlarm())) {
+				await this.state.storage.setAlarm(now + FLUSH_DELAY);
+			}
+		}
+	}
+
+	async usage() {
+		const entries = await this.state.storage.list({ prefix: 'usage:' });
+		return [...entries]
+			.map(([name, usage]) => ({ date: name.slice('usage:'.length), ...usage }))
+			.sort((a, b) => b.date.localeCompare(a.date));
+	}
+
+	async alarm() {
+		const keyId = await this.state.storage.get('keyId');
+		// Taken before copying, so days counted while the copies are under way set a new alarm
+		const unflushed = (await this.state.storage.get('unflushed')) || [];
+		await this.state.storage.delete('unflushed');
+
+		const days = await this.usage();
+		if (this.env?.USAGE) {
+			for (const { date, ...usage } of days.filter(day => unflushed.includes(day.date))) {
+				await this.env.USAGE.put(`usage:${date}:${keyId}`, JSON.stringify(usage), { expirationTtl: USAGE_TTL });
+			}
+		}
+		await this.state.storage.delete(days.slice(USAGE_DAYS).map(day => `usage:${day.date}`));
+	}
+}
+
+async function call(stub, path, body) {
+	const response = await stub.fetch(`https://rate-limiter.invalid${path}`, body ? { method: 'POST', body: JSON.stringify(body) } : {});
+	return response.status === 204 ? null : response.json();
+}
+
+/**
+ * The rate limiter of a key, through the RATE_LIMITER Durable Object binding, or null when there is no binding
+ * or no key (local development).
+ */
+export function getRateLimiter(env, claims) {
+	if (!env.RATE_LIMITER || !claims?.keyId) return null;
+
+	const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(claims.keyId));
+	const limits = getTierLimits(claims.tier, env);
+	return {
+		limits,
+		take: () => call(stub, '/take', { keyId: claims.keyId, limits }),
+		record: usage => call(stub, '/record', usage),
+		usage: () => call(stub, '/usage')
+	};
+}
@@ -0,0 +1,521 @@
+/**
+ * RFC 5545 recurrence expansion (RRULE, RDATE, EXDATE, RECURRENCE-ID).
+ *
+ * Occurrences are generated in the wall-clock time of the event's own zone so that
+ * a 09:00 meeting stays at 09:00 across daylight saving changes.
+ */
+
+import { DateTime } from 'luxon';
+
+const WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+
+const PERIOD_UNITS = {
+	YEARLY: 'years',
+	MONTHLY: 'months',
+	WEEKLY: 'weeks',
+	DAILY: 'days',
+	HOURLY: 'hours',
+	MINUTELY: 'minutes',
+	SECONDLY: 'seconds'
+};
+
+// Upper bound on the number of periods walked for a single rule, so a rule that
+// never matches (e.g. BYMONTH=2;BYMONTHDAY=30) cannot spin forever
+const MAX_PERIODS = 100000;
+
+// Upper bounds on the occurrences kept for one event and for a whole expansion, so a
+// FREQ=MINUTELY rule cannot flood a response; cut results are reported in `warnings`
+const MAX_OCCURRENCES_PER_EVENT = 5000;
+const MAX_OCCURRENCES = 20000;
+
+export function parseRRule(value, zone = 'UTC') {
+	const rule = {
+		freq: null,
+		interval: 1,
+		count: null,
+		until: null,
+		wkst: WEEKDAYS.MO,
+		byDay: [],
+		byMonthDay: [],
+		byMonth: [],
+		byYearDay: [],
+		byWeekNo: [],
+		byHour: [],
+		byMinute: [],
+		bySecond: [],
+		bySetPos: []
+	};
+
+	value.split(';').forEach(part => {
+		const [name, partValue = ''] = part.split('=');
+		const upperValue = partValue.trim().toUpperCase();
+
+		switch (name.trim().toUpperCase()) {
+			case 'FREQ':
+				rule.freq = upperValue;
+				break;
+			case 'INTERVAL':
+				rule.interval = Math.max(1, parseInt(upperValue) || 1);
+				break;
+			case 'COUNT':
+				rule.count = parseInt(upperValue) || null;
+				break;
+			case 'UNTIL':
+				rule.until = parseUntil(upperValue, zone);
+				break;
+			case 'WKST':
+				rule.wkst = WEEKDAYS[upperValue] || WEEKDAYS.MO;
+				break;
+			case 'BYDAY':
+				rule.byDay = upperValue.split(',').map(parseWeekdayNum).filter(Boolean);
+				break;
+			case 'BYMONTHDAY':
+				rule.byMonthDay = parseNumberList(upperValue);
+				break;
+			case 'BYMONTH':
+				rule.byMonth = parseNumberList(upperValue);
+				break;
+			case 'BYYEARDAY':
+				rule.byYearDay = parseNumberList(upperValue);
+				break;
+			case 'BYWEEKNO':
+				rule.byWeekNo = parseNumberList(upperValue);
+				break;
+			case 'BYHOUR':
+				rule.byHour = parseNumberList(upperValue);
+				break;
+			case 'BYMINUTE':
+				rule.byMinute = parseNumberList(upperValue);
+				break;
+			case 'BYSECOND':
+				rule.bySecond = parseNumberList(upperValue);
+				break;
+			case 'BYSETPOS':
+				rule.bySetPos = parseNumberList(upperValue);
+				break;
+		}
+	});
+
+	if (!PERIOD_UNITS[rule.freq]) {
+		throw new Error(`Unsupported recurrence frequency: ${rule.freq}`);
+	}
+
+	return rule;
+}
+
+function parseNumberList(value) {
+	return value
+		.split(',')
+		.map(item => parseInt(item))
+		.filter(item => !isNaN(item) && item !== 0);
+}
+
+function parseWeekdayNum(value) {
+	const match = value.trim().match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+	if (!match) return null;
+	return { weekday: WEEKDAYS[match[2]], n: match[1] ? parseInt(match[1]) : 0 };
+}
+
+function parseUntil(value, zone) {
+	const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+	if (!match) return null;
+
+	const [, year, month, day, hour, minute, second, utc] = match;
+	const date = { year: parseInt(year), month: parseInt(month), day: parseInt(day) };
+
+	// A DATE value includes the whole of that day
+	if (hour === undefined) {
+		return DateTime.fromObject(date, { zone }).endOf('day');
+	}
+
+	return DateTime.fromObject(
+		{ ...date, hour: parseInt(hour), minute: parseInt(minute), second: parseInt(second) },
+		{ zone: utc ? 'UTC' : zone }
+	);
+}
+
+// Fill in the implicit BYxxx parts that RFC 5545 derives from DTSTART
+function applyDefaults(rule, dtstart) {
+	const filled = { ...rule };
+	const hasDayRule = rule.byYearDay.length || rule.byMonthDay.length || rule.byDay.length;
+
+	if (rule.freq === 'YEARLY' && !hasDayRule) {
+		if (rule.byWeekNo.length) {
+			filled.byDay = [{ weekday: dtstart.weekday, n: 0 }];
+		} else {
+			if (!rule.byMonth.length) filled.byMonth = [dtstart.month];
+			filled.byMonthDay = [dtstart.day];
+		}
+	} else if (rule.freq === 'MONTHLY' && !hasDayRule) {
+		filled.byMonthDay = [dtstart.day];
+	} else if (rule.freq === 'WEEKLY' && !rule.byDay.length) {
+		filled.byDay = [{ weekday: dtstart.weekday, n: 0 }];
+	}
+
+	return filled;
+}
+
+function periodStart(dateTime, rule) {
+	switch (rule.freq) {
+		case 'YEARLY':
+			return dateTime.startOf('year');
+		case 'MONTHLY':
+			return dateTime.startOf('month');
+		case 'WEEKLY':
+			return dateTime.startOf('day').minus({ days: (dateTime.weekday - rule.wkst + 7) % 7 });
+		case 'DAILY':
+			return dateTime.startOf('day');
+		case 'HOURLY':
+			return dateTime.startOf('hour');
+		case 'MINUTELY':
+			return dateTime.startOf('minute');
+		default:
+			return dateTime.startOf('second');
+	}
+}
+
+function daysFrom(start, length) {
+	return Array.from({ length }, (_, i) => start.plus({ days: i }));
+}
+
+function periodDays(period, rule) {
+	// Yearly rules limited to some months only need the days of those months
+	if (rule.freq === 'YEARLY' && rule.byMonth.length && !rule.byWeekNo.length && !rule.byYearDay.length) {
+		return [...new Set(rule.byMonth)]
+			.filter(month => month >= 1 && month <= 12)
+			.sort((a, b) => a - b)
+			.flatMap(month => {
+				const monthStart = period.set({ month });
+				return daysFrom(monthStart, monthStart.daysInMonth);
+			});
+	}
+
+	const length = { YEARLY: period.daysInYear, MONTHLY: period.daysInMonth, WEEKLY: 7 }[rule.freq] || 1;
+	return daysFrom(period, length);
+}
+
+function daysBetween(from, to) {
+	return Math.round(to.startOf('day').diff(from.startOf('day'), 'days').days);
+}
+
+const weekOneCache = new Map();
+
+// Week 1 is the first week (starting on WKST) with at least four days in the year
+function weekOneStart(year, wkst, zone) {
+	const cacheKey = `${zone.name}|${year}|${wkst}`;
+	if (!weekOneCache.has(cacheKey)) {
+		const yearStart = DateTime.fromObject({ year, month: 1, day: 1 }, { zone });
+		const offset = (yearStart.weekday - wkst + 7) % 7;
+		const start = yearStart.minus({ days: offset });
+		weekOneCache.set(cacheKey, offset > 3 ? start.plus({ days: 7 }) : start);
+	}
+	return weekOneCache.get(cacheKey);
+}
+
+function matchesWeekNo(day, rule) {
+	let year = day.year;
+	let start = weekOneStart(year, rule.wkst, day.zone);
+	let nextStart = weekOneStart(year + 1, rule.wkst, day.zone);
+
+	if (day < start) {
+		nextStart = start;
+		start = weekOneStart(--year, rule.wkst, day.zone);
+	} else if (day >= nextStart) {
+		start = nextStart;
+		nextStart = weekOneStart(++year + 1, rule.wkst, day.zone);
+	}
+
+	const week = Math.floor(daysBetween(start, day) / 7) + 1;
+	const weeksInYear = daysBetween(start, nextStart) / 7;
+	return rule.byWeekNo.some(n => (n > 0 ? week === n : week === weeksInYear + n + 1));
+}
+
+// Whether a BYDAY entry like 2MO or -1FR holds for the day within the month or year
+function matchesNthWeekday(day, n, rule) {
+	let position;
+	let length;
+
+	if (rule.freq === 'MONTHLY' || (rule.freq === 'YEARLY' && rule.byMonth.length)) {
+		position = day.day;
+		length = day.daysInMonth;
+	} else if (rule.freq === 'YEARLY' && !rule.byWeekNo.length) {
+		position = day.ordinal;
+		length = day.daysInYear;
+	} else {
+		// Ordinals are meaningless for the other frequencies
+		return true;
+	}
+
+	return n > 0 ? Math.floor((position - 1) / 7) + 1 === n : Math.floor((length - position) / 7) + 1 === -n;
+}
+
+function matchesDay(day, rule) {
+	if (rule.byMonth.length && !rule.byMonth.includes(day.month)) return false;
+	if (rule.byYearDay.length && !rule.byYearDay.some(n => (n > 0 ? day.ordinal === n : day.ordinal === day.daysInYear + n + 1))) {
+		return false;
+	}
+	if (rule.byMonthDay.length && !rule.byMonthDay.some(n => (n > 0 ? day.day === n : day.day === day.daysInMonth + n + 1))) {
+		return false;
+	}
+	if (rule.byDay.length && !rule.byDay.some(({ weekday, n }) => day.weekday === weekday && (!n || matchesNthWeekday(day, n, rule)))) {
+		return false;
+	}
+	if (rule.byWeekNo.length && !matchesWeekNo(day, rule)) return false;
+	return true;
+}
+
+// Expand (or, for the period's own unit, limit) a time component
+function timeValues(periodValue, byList, defaultValue, isPeriodUnit) {
+	if (isPeriodUnit) {
+		return byList.length && !byList.includes(periodValue) ? [] : [periodValue];
+	}
+	return byList.length ? byList : [defaultValue];
+}
+
+function periodCandidates(period, rule, dtstart) {
+	const hours = timeValues(
+		period.hour,
+		rule.byHour,
+		dtstart.hour,
+		rule.freq === 'HOURLY' || rule.freq === 'MINUTELY' || rule.freq === 'SECONDLY'
+	);
+	const minutes = timeValues(period.minute, rule.byMinute, dtstart.minute, rule.freq === 'MINUTELY' || rule.freq === 'SECONDLY');
+	const seconds = timeValues(period.second, rule.bySecond, dtstart.second, rule.freq === 'SECONDLY');
+
+	const candidates = [];
+	periodDays(period, rule)
+		.filter(day => matchesDay(day, rule))
+		.forEach(day => {
+			hours.forEach(hour => {
+				minutes.forEach(minute => {
+					seconds.forEach(second => {
+						candidates.push(
+							DateTime.fromObject({ year: day.year, month: day.month, day: day.day, hour, minute, second }, { zone: dtstart.zone })
+						);
+					});
+				});
+			});
+		});
+
+	candidates.sort((a, b) => a - b);
+
+	if (!rule.bySetPos.length) {
+		return candidates;
+	}
+
+	const selected = rule.bySetPos
+		.map(pos => candidates[pos > 0 ? pos - 1 : candidates.length + pos])
+		.filter(Boolean)
+		.sort((a, b) => a - b);
+
+	return selected.filter((candidate, i) => i === 0 || +candidate !== +selected[i - 1]);
+}
+
+/**
+ * Yields the start of every occurrence of `rule` from `dtstart` up to `rangeEnd`.
+ * Periods wholly before `rangeStart` are skipped unless COUNT forces a walk from the start.
+ */
+export function* iterateRule(rule, dtstart, rangeStart, rangeEnd) {
+	const filled = applyDefaults(rule, dtstart);
+	const unit = PERIOD_UNITS[filled.freq];
+	const base = periodStart(dtstart, filled);
+
+	let index = 0;
+	if (!filled.count && rangeStart > dtstart) {
+		const elapsed = periodStart(rangeStart, filled).diff(base, unit).as(unit);
+		index = Math.max(0, Math.floor(elapsed / filled.interval) - 1);
+	}
+
+	let emitted = 0;
+	for (let walked = 0; walked < MAX_PERIODS; walked++, index++) {
+		const period = base.plus({ [unit]: index * filled.interval });
+		if (period > rangeEnd || (filled.until && period > filled.until)) return;
+
+		for (const candidate of periodCandidates(period, filled, dtstart)) {
+			if (candidate < dtstart) continue;
+			if (candidate > rangeEnd || (filled.until && candidate > filled.until)) return;
+			if (filled.count && ++emitted > filled.count) return;
+			yield candidate;
+		}
+	}
+}
+
+/**
+ * Expands a formatted event into the occurrences that overlap [rangeStart, rangeEnd].
+ * Events without RRULE/RDATE are returned unchanged. The rule stops after `limit`
+ * occurrences in the window, noting the cut in `warnings`, as it does an invalid rule.
+ */
+export function expandEvent(event, rangeStart, rangeEnd, { limit = MAX_OCCURRENCES_PER_EVENT, warnings = [] } = {}) {
+	if (!event.rrule && !event.rdates?.length) {
+		return [event];
+	}
+
+	const zone = event.zone || event.timezone || 'UTC';
+	const dtstart = DateTime.fromISO(event.start, { zone });
+	const duration = DateTime.fromISO(event.end, { zone }).diff(dtstart, ['days', 'hours', 'minutes', 'seconds']);
+
+	const occurrences = new Map();
+	const addOccurrence = (start, end = start.plus(duration)) => {
+		if (!occurrences.has(+start)) {
+			occurrences.set(+start, { start, end });
+		}
+	};
+
+	addOccurrence(dtstart);
+
+	if (event.rrule) {
+		try {
+			const rule = parseRRule(event.rrule, zone);
+			const windowStart = rangeStart.minus(duration);
+			let kept = 0;
+			for (const start of iterateRule(rule, dtstart, windowStart, rangeEnd)) {
+				if (start >= windowStart && ++kept > limit) {
+					warnings.push(`Stopped after ${limit} occurrences in the window`);
+					break;
+				}
+				addOccurrence(start);
+			}
+		} catch (e) {
+			warnings.push(`Invalid RRULE "${event.rrule}", using DTSTART only: ${e.message}`);
+		}
+	}
+
+	(event.rdates || []).forEach(rdate => {
+		const start = DateTime.fromISO(rdate.start, { zone });
+		addOccurrence(start, rdate.end ? DateTime.fromISO(rdate.end, { zone }) : undefined);
+	});
+
+	const excluded = new Set((event.exdates || []).map(exdate => +DateTime.fromISO(exdate)));
+
+	return [...occurrences.values()]
+		.filter(({ start, end }) => !excluded.has(+start) && end >= rangeStart && start <= rangeEnd)
+		.sort((a, b) => a.start - b.start)
+		.map(({ start, end }) => ({
+			...event,
+			start: start.toISO(),
+			end: end.toISO(),
+			occurrenceDate: start.toISO(),
+			isRecurring: true
+		}));
+}
+
+function overlaps(event, rangeStart, rangeEnd) {
+	return DateTime.fromISO(event.end) >= rangeStart && DateTime.fromISO(event.start) <= rangeEnd;
+}
+
+// Properties of an override that replace those of the occurrence it modifies
+function overrideProperties(override) {
+	const { start, end, rrule, rdates, exdates, recurrenceId, recurrenceRange, ...properties } = override;
+	return properties;
+}
+
+// Apply a RANGE=THISANDFUTURE override to a later occurrence: same time shift and duration
+function shiftOccurrence(occurrence, override) {
+	const shift = DateTime.fromISO(override.start) - DateTime.fromISO(override.recurrenceId);
+	const duration = DateTime.fromISO(override.end) - DateTime.fromISO(override.start);
+	const start = DateTime.fromISO(occurrence.start, { zone: occurrence.zone || occurrence.timezone || 'UTC' }).plus(shift);
+
+	return {
+		...occurrence,
+		...overrideProperties(override),
+		start: start.toISO(),
+		end: start.plus(duration).toISO(),
+		isModified: true
+	};
+}
+
+function expandSeries(master, overrides, rangeStart, rangeEnd, options) {
+	const futureOverrides = overrides
+		.filter(override => override.recurrenceRange === 'THISANDFUTURE')
+		.sort((a, b) => DateTime.fromISO(a.recurrenceId) - DateTime.fromISO(b.recurrenceId));
+	const exactOverrides = new Set(overrides.map(override => +DateTime.fromISO(override.recurrenceId)));
+
+	// Widen the expansion so occurrences shifted into the window by THISANDFUTURE are found
+	const margin = Math.max(
+		0,
+		...futureOverrides.map(override => Math.abs(DateTime.fromISO(override.start) - DateTime.fromISO(override.recurrenceId)))
+	);
+
+	const occurrences = expandEvent(master, rangeStart.minus(margin), rangeEnd.plus(margin), options).flatMap(occurrence => {
+		if (!occurrence.isRecurring) return [occurrence];
+
+		const occurrenceTime = +DateTime.fromISO(occurrence.occurrenceDate);
+		if (exactOverrides.has(occurrenceTime)) return [];
+
+		const override = futureOverrides.filter(future => +DateTime.fromISO(future.recurrenceId) <= occurrenceTime).pop();
+		if (!override) return [occurrence];
+		if (override.status === 'CANCELLED') return [];
+		return [shiftOccurrence(occurrence, override)];
+	});
+
+	overrides
+		.filter(override => override.status !== 'CANCELLED')
+		.forEach(override => {
+			occurrences.push({
+				...master,
+				...override,
+				rrule: master.rrule,
+				rdates: master.rdates,
+				exdates: master.exdates,
+				occurrenceDate: override.recurrenceId,
+				isRecurring: true,
+				isModified: true
+			});
+		});
+
+	return occurrences.filter(occurrence => overlaps(occurrence, rangeStart, rangeEnd));
+}
+
+/**
+ * Expands every event in a parsed feed. VEVENTs carrying a RECURRENCE-ID replace the
+ * matching occurrence of their series (or, with RANGE=THISANDFUTURE, every later one),
+ * and cancelled series or occurrences are left out.
+ *
+ * At most `limit` occurrences are kept in all; series cut short or left out past it, or
+ * with an invalid rule, are listed in `warnings` with their `uid`, `title` and `warnings`.
+ */
+export function expandEvents(events, rangeStart, rangeEnd, { limit = MAX_OCCURRENCES, warnings = [] } = {}) {
+	const masters = [];
+	const overridesByUid = new Map();
+
+	events.forEach(event => {
+		if (!event.recurrenceId) {
+			masters.push(event);
+			return;
+		}
+		if (!overridesByUid.has(event.uid)) {
+			overridesByUid.set(event.uid, []);
+		}
+		overridesByUid.get(event.uid).push(event);
+	});
+
+	const occurrences = [];
+	masters
+		.filter(master => master.status !== 'CANCELLED')
+		.forEach(master => {
+			const remaining = limit - occurrences.length;
+			const seriesWarnings = [];
+			if (remaining > 0) {
+				const options = { limit: Math.min(MAX_OCCURRENCES_PER_EVENT, remaining), warnings: seriesWarnings };
+				occurrences.push(...expandSeries(master, overridesByUid.get(master.uid) || [], rangeStart, rangeEnd, options));
+			} else {
+				seriesWarnings.push(`Left out, the expansion stopped after ${limit} occurrences`);
+			}
+			if (seriesWarnings.length) {
+				warnings.push({ uid: master.uid, title: master.title, warnings: seriesWarnings });
+			}
+		});
+
+	// An override whose series is not in the feed still describes a real occurrence
+	const masterUids = new Set(masters.map(master => master.uid));
+	overridesByUid.forEach((overrides, uid) => {
+		if (masterUids.has(uid)) return;
+		overrides
+			.filter(override => override.status !== 'CANCELLED' && overlaps(override, rangeStart, rangeEnd))
+			.forEach(override => {
+				occurrences.push({ ...override, occurrenceDate: override.recurrenceId, isRecurring: true, isModified: true });
+			});
+	});
+
+	return occurrences;
+}
@@ -0,0 +1,50 @@
+/**
+ * Redaction mode, for screens that may show when people are busy but not what they are doing.
+ */
+
+export const REDACTED_TITLE = 'Busy';
+
+const HIDDEN_CLASSES = ['PRIVATE', 'CONFIDENTIAL'];
+const BOOLEANS = { true: true, 1: true, yes: true, false: false, 0: false, no: false };
+
+/**
+ * Whether the request asks for redaction with `redact=true`. Throws for a value that is not a boolean.
+ */
+export function parseRedact(searchParams) {
+	const param = searchParams.get('redact');
+	if (param === null || param === '') return false;
+	const redact = BOOLEANS[param.toLowerCase()];
+	if (redact === undefined) {
+		throw new Error(`Invalid redact "${param}", expected true or false`);
+	}
+	return redact;
+}
+
+/**
+ * Replaces what an event is about with "Busy": its description, location, people, categories and links are
+ * dropped, and only its times and status remain. Alarms keep their timing but lose their text and recipients.
+ */
+export function redactEvent(event) {
+	return {
+		...event,
+		title: REDACTED_TITLE,
+		description: '',
+		location: '',
+		categories: [],
+		url: null,
+		geo: null,
+		organizer: null,
+		attendees: [],
+		alarms: (event.alarms || []).map(alarm => ({ ...alarm, description: '', summary: '', attendees: [] }))
+	};
+}
+
+/**
+ * Redacts parsed events, and leaves out PRIVATE and CONFIDENTIAL ones unless `hidePrivate` is false (free/busy
+ * time still counts them). Run this before filtering, so filters cannot match on the hidden text.
+ */
+export function redactEvents(events, { hidePrivate = true } = {}) {
+	return events
+		.filter(event => !hidePrivate || !HIDDEN_CLASSES.includes(event.classification))
+		.map(redactEvent);
+}
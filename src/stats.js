@@ -0,0 +1,213 @@
+/**
+ * Time analytics over the grouped agenda: busy hours per day and week, meeting counts, the longest free block inside
+ * working hours, back-to-back chains, double bookings, and time by category or by title keywords.
+ */
+
+import { DateTime } from 'luxon';
+import { computeAvailability, parseAvailabilityOptions } from './freebusy.js';
+import { joinPieces } from './now.js';
+import { parseWeekday } from './range.js';
+
+const DEFAULT_GAP = 5;
+const MAX_GAP = 60;
+const MAX_BUCKETS = 20;
+const OTHER_BUCKET = 'Other';
+const UNCATEGORIZED = 'Uncategorized';
+
+/**
+ * Reads the stats options: working `hours` and `workdays` as /freebusy takes them, the `gap` in minutes that still
+ * counts as back-to-back (default 5), and repeatable `bucket` parameters, `Name:keyword,keyword`, grouping events by
+ * words in their titles. Throws when they are invalid.
+ */
+export function parseStatsOptions(searchParams) {
+	const { hours, workdays } = parseAvailabilityOptions(searchParams);
+
+	const gapParam = searchParams.get('gap');
+	const gap = gapParam === null || gapParam === '' ? DEFAULT_GAP : Number(gapParam);
+	if (!Number.isInteger(gap) || gap < 0 || gap > MAX_GAP) {
+		throw new Error(`Invalid gap "${gapParam}", expected a whole number of minutes from 0 to ${MAX_GAP}`);
+	}
+
+	const bucketParams = searchParams.getAll('bucket');
+	if (bucketParams.length > MAX_BUCKETS) {
+		throw new Error(`Too many buckets, at most ${MAX_BUCKETS} are allowed`);
+	}
+	const buckets = bucketParams.map(param => {
+		const separator = param.indexOf(':');
+		const name = param.slice(0, separator).trim();
+		const keywords = param.slice(separator + 1).split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+		if (separator === -1 || !name || !keywords.length) {
+			throw new Error(`Invalid bucket "${param}", expected a name and keywords such as Standups:standup,daily`);
+		}
+		return { name, keywords };
+	});
+
+	return { hours, workdays, gap, buckets };
+}
+
+// Pieces listed until the end of a day run to midnight, so they add up to whole days
+function endOf(item) {
+	return item.crossDay && +item.endTime === +item.endTime.endOf('day') ? item.endTime.plus({ milliseconds: 1 }) : item.endTime;
+}
+
+// Cancelled and transparent events do not take up time
+const blocksTime = item => item.status !== 'CANCELLED' && item.transparency !== 'TRANSPARENT';
+
+const toHours = milliseconds => Math.round(milliseconds / 36e5 * 100) / 100;
+const toMinutes = (start, end) => Math.round(end.diff(start, 'minutes').minutes);
+
+function summarize(item) {
+	return { title: item.title, start: item.start, end: item.end, uid: item.uid, source: item.source || null };
+}
+
+// The longest of some free slots, or null
+function longest(slots) {
+	return slots.reduce((best, slot) => (!best || slot.minutes > best.minutes ? slot : best), null);
+}
+
+// Adds an item's time to the named group, keeping count of the meetings in it
+function addTo(groups, name, milliseconds) {
+	const group = groups.get(name) || { name, meetings: 0, milliseconds: 0 };
+	groups.set(name, { ...group, meetings: group.meetings + 1, milliseconds: group.milliseconds + milliseconds });
+}
+
+function listGroups(groups) {
+	return [...groups.values()]
+		.sort((a, b) => b.milliseconds - a.milliseconds || a.name.localeCompare(b.name))
+		.map(({ name, meetings, milliseconds }) => ({ name, meetings, hours: toHours(milliseconds) }));
+}
+
+// Meetings that start no more than `gap` minutes after the ones before them end, in runs of two or more
+function findChains(meetings, gap) {
+	const chains = [];
+	let chain = null;
+	meetings.forEach(meeting => {
+		if (chain && meeting.startTime <= chain.endTime.plus({ minutes: gap })) {
+			chain.meetings.push(meeting);
+			chain.endTime = DateTime.max(chain.endTime, meeting.endTime);
+			return;
+		}
+		if (chain && chain.meetings.length > 1) chains.push(chain);
+		chain = { startTime: meeting.startTime, endTime: meeting.endTime, meetings: [meeting] };
+	});
+	if (chain && chain.meetings.length > 1) chains.push(chain);
+	return chains.map(({ startTime, endTime, meetings: items }) => ({
+		start: items[0].start,
+		end: endTime.toISO(),
+		minutes: toMinutes(startTime, endTime),
+		meetings: items.map(summarize)
+	}));
+}
+
+// Every pair of meetings that take up the same time
+function findOverlaps(meetings) {
+	const overlaps = [];
+	meetings.forEach((meeting, index) => {
+		for (const other of meetings.slice(index + 1)) {
+			if (other.startTime >= meeting.endTime) break;
+			if (other.endTime <= other.startTime) continue;
+			const end = DateTime.min(meeting.endTime, other.endTime);
+			overlaps.push({
+				start: other.start,
+				end: end.toISO(),
+				minutes: toMinutes(other.startTime, end),
+				events: [summarize(meeting), summarize(other)]
+			});
+		}
+	});
+	return overlaps;
+}
+
+/**
+ * Computes the statistics of the agenda within [from, to):
+ * - `totals`: `busyHours` (time taken by at least one meeting), `meetings` and `allDayEvents`
+ * - `days`: each day with its `busyHours`, `meetings` (counted on the first day of the window they take up),
+ *   `allDayEvents` and `longestFree` block inside working hours
+ * - `weeks`: the same totals per week, starting on `weekStart`
+ * - `longestFreeBlock`: the longest free block inside working hours in the window, or null
+ * - `backToBack`: runs of meetings with at most `gap` minutes between them
+ * - `overlaps`: pairs of meetings booked at the same time
+ * - `categories` and `buckets`: meeting hours by category and by title keywords; an event in several categories
+ *   counts in each, so these can add up to more than the busy hours
+ *
+ * Meetings are timed events that block time; a meeting that crosses midnight counts once, and only its time inside
+ * the window adds up. All-day events are counted apart and add no busy time, as they mark days rather than time spent.
+ */
+export function computeStats(agenda, { from, to, timezone, weekStart = 'monday', hours, workdays, gap = DEFAULT_GAP, buckets = [] }) {
+	// The agenda can list an event starting right at the end of the window, which takes up none of it
+	const events = joinPieces(agenda)
+		.map(item => ({ ...item, endTime: endOf(item), end: endOf(item).toISO() }))
+		.filter(item => item.startTime < to && (item.endTime > from || item.startTime >= from));
+	const meetings = events.filter(item => !item.isFullDay && blocksTime(item)).sort((a, b) => a.startTime - b.startTime);
+	const allDay = events.filter(item => item.isFullDay && item.status !== 'CANCELLED');
+	const covers = (item, start, end) => item.startTime < end && item.endTime > start;
+
+	// Busy time and free time inside working hours, split into days the way /freebusy does
+	const availability = computeAvailability(meetings, { timezone, from, to, now: from, hours, workdays, minSlot: 1, buffer: 0 });
+
+	const firstDayIn = item => DateTime.max(from, item.startTime).setZone(timezone).toISODate();
+	const within = item => Math.max(0, DateTime.min(to, item.endTime) - DateTime.max(from, item.startTime));
+
+	const days = availability.days.map(({ date, busy, free }) => {
+		const day = DateTime.fromISO(date, { zone: timezone });
+		return {
+			date,
+			busyTime: busy.reduce((total, interval) => total + (DateTime.fromISO(interval.end) - DateTime.fromISO(interval.start)), 0),
+			meetings: meetings.filter(item => firstDayIn(item) === date).length,
+			allDayEvents: allDay.filter(item => covers(item, day, day.plus({ days: 1 }))).length,
+			longestFree: longest(free)
+		};
+	});
+
+	// Weeks are keyed by the date they start on
+	const weekStartDay = parseWeekday(String(weekStart).trim().toLowerCase()) || 1;
+	const weeks = new Map();
+	days.forEach(day => {
+		const date = DateTime.fromISO(day.date, { zone: timezone });
+		const start = date.minus({ days: (date.weekday - weekStartDay + 7) % 7 }).toISODate();
+		const week = weeks.get(start) || { start, days: 0, busyTime: 0, meetings: 0 };
+		weeks.set(start, { ...week, days: week.days + 1, busyTime: week.busyTime + day.busyTime, meetings: week.meetings + day.meetings });
+	});
+
+	const categories = new Map();
+	const bucketed = new Map();
+	meetings.forEach(item => {
+		const time = within(item);
+		(item.categories && item.categories.length ? item.categories : [UNCATEGORIZED]).forEach(name => addTo(categories, name, time));
+		if (buckets.length) {
+			const title = (item.title || '').toLowerCase();
+			const bucket = buckets.find(({ keywords }) => keywords.some(keyword => title.includes(keyword)));
+			addTo(bucketed, bucket ? bucket.name : OTHER_BUCKET, time);
+		}
+	});
+
+	return {
+		totals: {
+			busyHours: toHours(days.reduce((total, day) => total + day.busyTime, 0)),
+			meetings: meetings.length,
+			allDayEvents: allDay.length
+		},
+		days: days.map(({ date, busyTime, meetings: count, allDayEvents, longestFree }) => ({
+			date,
+			busyHours: toHours(busyTime),
+			meetings: count,
+			allDayEvents,
+			longestFree
+		})),
+		weeks: [...weeks.values()].map(({ start, days: count, busyTime, meetings: meetingCount }) => {
+			const weekStartDate = DateTime.fromISO(start, { zone: timezone });
+			return {
+				start,
+				days: count,
+				busyHours: toHours(busyTime),
+				meetings: meetingCount,
+				allDayEvents: allDay.filter(item => covers(item, weekStartDate, weekStartDate.plus({ weeks: 1 }))).length
+			};
+		}),
+		longestFreeBlock: longest(days.map(day => day.longestFree).filter(Boolean)),
+		backToBack: findChains(meetings, gap),
+		overlaps: findOverlaps(meetings),
+		categories: listGroups(categories),
+		buckets: listGroups(bucketed)
+	};
+}
@@ -0,0 +1,141 @@
+/**
+ * Tasks (VTODO) and journal entries (VJOURNAL): which ones a request asks for, how they are sorted, and how they
+ * appear in the response. Tasks due inside the agenda window are listed on their due date; everything else goes in
+ * the separate `tasks` list.
+ */
+
+import { DateTime } from 'luxon';
+import { createEventFilter } from './filters.js';
+
+// What `tasks` can ask for, and how `taskSort` can order them
+const TASK_FILTERS = ['all', 'incomplete', 'overdue', 'none'];
+const TASK_SORTS = ['due', 'priority'];
+const DONE_STATUSES = ['COMPLETED', 'CANCELLED'];
+export const DEFAULT_TASK_OPTIONS = { show: 'all', sort: 'due' };
+
+/**
+ * Reads the task parameters: `tasks` (`all`, `incomplete`, `overdue` or `none`; default all) and `taskSort` (`due`
+ * or `priority`; default due). Throws for other values.
+ */
+export function parseTaskOptions(searchParams) {
+	const show = (searchParams.get('tasks') || 'all').toLowerCase();
+	if (!TASK_FILTERS.includes(show)) {
+		throw new Error(`Invalid tasks "${searchParams.get('tasks')}", expected one of: ${TASK_FILTERS.join(', ')}`);
+	}
+	const sort = (searchParams.get('taskSort') || 'due').toLowerCase();
+	if (!TASK_SORTS.includes(sort)) {
+		throw new Error(`Invalid taskSort "${searchParams.get('taskSort')}", expected one of: ${TASK_SORTS.join(', ')}`);
+	}
+	return { show, sort };
+}
+
+/**
+ * Whether a task still has to be done: not completed or cancelled. Journal entries are never incomplete.
+ */
+export function isIncomplete(task) {
+	return task.type === 'task' && !task.completed && !DONE_STATUSES.includes(task.status);
+}
+
+// When a task falls due; a DATE due date (parsed as midnight in the requested zone) lasts until the end of that day
+function dueTime(task, timezone) {
+	if (!task.due) return null;
+	const due = DateTime.fromISO(task.due).setZone(timezone);
+	return task.isAllDay ? due.plus({ days: 1 }) : due;
+}
+
+/**
+ * Whether an incomplete task is past its due date at `now`.
+ */
+export function isOverdue(task, now, timezone = 'UTC') {
+	const due = dueTime(task, timezone);
+	return isIncomplete(task) && due !== null && due <= now;
+}
+
+// Tasks without a due date sort after the others
+function compareDue(a, b) {
+	if (!a.due || !b.due) return (a.due ? 0 : 1) - (b.due ? 0 : 1);
+	return DateTime.fromISO(a.due) - DateTime.fromISO(b.due);
+}
+
+// PRIORITY runs from 1 (highest) to 9; 0 means none, which sorts last
+function comparePriority(a, b) {
+	return (a.priority || 10) - (b.priority || 10);
+}
+
+/**
+ * Sorts tasks by due date, or by priority then due date. Journal entries, which have no due date, sort by date.
+ */
+export function sortTasks(tasks, sort = 'due') {
+	const byDate = (a, b) => compareDue({ due: a.due || a.start }, { due: b.due || b.start });
+	return [...tasks].sort((a, b) => (sort === 'priority' && comparePriority(a, b)) || byDate(a, b) || a.title.localeCompare(b.title));
+}
+
+/**
+ * A task or journal entry as listed in the response, with its times in `timezone` and whether it is `overdue`.
+ */
+export function toTaskItem(task, now, timezone) {
+	const inZone = value => (value ? DateTime.fromISO(value).setZone(timezone).toISO() : null);
+	return {
+		type: task.type,
+		title: task.title,
+		description: task.description,
+		location: task.location,
+		uid: task.uid,
+		status: task.status,
+		start: inZone(task.start),
+		due: inZone(task.due),
+		isFullDay: task.isAllDay,
+		completed: inZone(task.completed),
+		percentComplete: task.percentComplete,
+		priority: task.priority,
+		overdue: isOverdue(task, now, timezone),
+		classification: task.classification,
+		categories: task.categories,
+		url: task.url,
+		organizer: task.organizer,
+		attendees: task.attendees,
+		rrule: task.rrule,
+		source: task.source || null,
+		color: task.color || null,
+		warnings: task.warnings
+	};
+}
+
+/**
+ * Splits tasks into `scheduled`, those due inside [from, to) as `{ date, item }` agenda entries on their due date,
+ * and `listed`, the rest (no due date, overdue or due later) in the requested order. Both pass the request's event
+ * filters and task options.
+ */
+export function placeTasks(tasks, { now, from, to, timezone, options = DEFAULT_TASK_OPTIONS, filters = null }) {
+	if (options.show === 'none') return { scheduled: [], listed: [] };
+
+	const keep = createEventFilter(filters);
+	const selected = tasks.filter(task => {
+		if (!keep(task)) return false;
+		if (options.show === 'incomplete') return isIncomplete(task);
+		if (options.show === 'overdue') return isOverdue(task, now, timezone);
+		return true;
+	});
+
+	const scheduled = [];
+	const listed = [];
+	sortTasks(selected, options.sort).forEach(task => {
+		const item = toTaskItem(task, now, timezone);
+		const due = task.due ? DateTime.fromISO(task.due).setZone(timezone) : null;
+		if (!due || due < from || due >= to) {
+			listed.push(item);
+			return;
+		}
+		scheduled.push({
+			date: due.toISODate(),
+			item: {
+				...item,
+				start: due.toISO(),
+				end: (task.isAllDay ? due.plus({ days: 1 }) : due).toISO(),
+				crossDay: false,
+				timezone
+			}
+		});
+	});
+	return { scheduled, listed };
+}
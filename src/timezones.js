@@ -0,0 +1,384 @@
+/**
+ * Resolves the TZID values found in calendar feeds to zones Luxon understands.
+ *
+ * Feeds from Outlook/Exchange use Windows zone names ("W. Europe Standard Time") or
+ * custom TZIDs that are only defined by a VTIMEZONE inside the feed itself.
+ */
+
+import { DateTime, IANAZone, Zone } from 'luxon';
+import { getProperty, getProperties } from './ics.js';
+import { parseRRule, iterateRule } from './recurrence.js';
+
+// Windows zone names to IANA zones, after the "001" territory entries of CLDR's windowsZones.xml
+export const WINDOWS_ZONES = {
+	'Dateline Standard Time': 'Etc/GMT+12',
+	'UTC-11': 'Etc/GMT+11',
+	'Aleutian Standard Time': 'America/Adak',
+	'Hawaiian Standard Time': 'Pacific/Honolulu',
+	'Marquesas Standard Time': 'Pacific/Marquesas',
+	'Alaskan Standard Time': 'America/Anchorage',
+	'UTC-09': 'Etc/GMT+9',
+	'Pacific Standard Time (Mexico)': 'America/Tijuana',
+	'UTC-08': 'Etc/GMT+8',
+	'Pacific Standard Time': 'America/Los_Angeles',
+	'US Mountain Standard Time': 'America/Phoenix',
+	'Mountain Standard Time (Mexico)': 'America/Mazatlan',
+	'Mexico Standard Time 2': 'America/Chihuahua',
+	'Mountain Standard Time': 'America/Denver',
+	'Yukon Standard Time': 'America/Whitehorse',
+	'Central America Standard Time': 'America/Guatemala',
+	'Central Standard Time': 'America/Chicago',
+	'Easter Island Standard Time': 'Pacific/Easter',
+	'Central Standard Time (Mexico)': 'America/Mexico_City',
+	'Mexico Standard Time': 'America/Mexico_City',
+	'Canada Central Standard Time': 'America/Regina',
+	'SA Pacific Standard Time': 'America/Bogota',
+	'Eastern Standard Time (Mexico)': 'America/Cancun',
+	'Eastern Standard Time': 'America/New_York',
+	'Haiti Standard Time': 'America/Port-au-Prince',
+	'Cuba Standard Time': 'America/Havana',
+	'US Eastern Standard Time': 'America/Indiana/Indianapolis',
+	'Turks And Caicos Standard Time': 'America/Grand_Turk',
+	'Paraguay Standard Time': 'America/Asuncion',
+	'Atlantic Standard Time': 'America/Halifax',
+	'Venezuela Standard Time': 'America/Caracas',
+	'Central Brazilian Standard Time': 'America/Cuiaba',
+	'SA Western Standard Time': 'America/La_Paz',
+	'Pacific SA Standard Time': 'America/Santiago',
+	'Newfoundland Standard Time': 'America/St_Johns',
+	'Tocantins Standard Time': 'America/Araguaina',
+	'E. South America Standard Time': 'America/Sao_Paulo',
+	'SA Eastern Standard Time': 'America/Cayenne',
+	'Argentina Standard Time': 'America/Argentina/Buenos_Aires',
+	'Greenland Standard Time': 'America/Nuuk',
+	'Montevideo Standard Time': 'America/Montevideo',
+	'Magallanes Standard Time': 'America/Punta_Arenas',
+	'Saint Pierre Standard Time': 'America/Miquelon',
+	'Bahia Standard Time': 'America/Bahia',
+	'UTC-02': 'Etc/GMT+2',
+	'Mid-Atlantic Standard Time': 'Etc/GMT+2',
+	'Azores Standard Time': 'Atlantic/Azores',
+	'Cape Verde Standard Time': 'Atlantic/Cape_Verde',
+	UTC: 'Etc/UTC',
+	'Coordinated Universal Time': 'Etc/UTC',
+	'GMT Standard Time': 'Europe/London',
+	'Greenwich Standard Time': 'Atlantic/Reykjavik',
+	'Sao Tome Standard Time': 'Africa/Sao_Tome',
+	'Morocco Standard Time': 'Africa/Casablanca',
+	'W. Europe Standard Time': 'Europe/Berlin',
+	'Central Europe Standard Time': 'Europe/Budapest',
+	'Romance Standard Time': 'Europe/Paris',
+	'Central European Standard Time': 'Europe/Warsaw',
+	'W. Central Africa Standard Time': 'Africa/Lagos',
+	'Jordan Standard Time': 'Asia/Amman',
+	'GTB Standard Time': 'Europe/Bucharest',
+	'Middle East Standard Time': 'Asia/Beirut',
+	'Egypt Standard Time': 'Africa/Cairo',
+	'E. Europe Standard Time': 'Europe/Chisinau',
+	'Syria Standard Time': 'Asia/Damascus',
+	'West Bank Standard Time': 'Asia/Hebron',
+	'South Africa Standard Time': 'Africa/Johannesburg',
+	'FLE Standard Time': 'Europe/Kiev',
+	'Israel Standard Time': 'Asia/Jerusalem',
+	'South Sudan Standard Time': 'Africa/Juba',
+	'Kaliningrad Standard Time': 'Europe/Kaliningrad',
+	'Sudan Standard Time': 'Africa/Khartoum',
+	'Libya Standard Time': 'Africa/Tripoli',
+	'Namibia Standard Time': 'Africa/Windhoek',
+	'Arabic Standard Time': 'Asia/Baghdad',
+	'Turkey Standard Time': 'Europe/Istanbul',
+	'Arab Standard Time': 'Asia/Riyadh',
+	'Belarus Standard Time': 'Europe/Minsk',
+	'Russian Standard Time': 'Europe/Moscow',
+	'E. Africa Standard Time': 'Africa/Nairobi',
+	'Volgograd Standard Time': 'Europe/Volgograd',
+	'Iran Standard Time': 'Asia/Tehran',
+	'Arabian Standard Time': 'Asia/Dubai',
+	'Astrakhan Standard Time': 'Europe/Astrakhan',
+	'Azerbaijan Standard Time': 'Asia/Baku',
+	'Russia Time Zone 3': 'Europe/Samara',
+	'Mauritius Standard Time': 'Indian/Mauritius',
+	'Saratov Standard Time': 'Europe/Saratov',
+	'Georgian Standard Time': 'Asia/Tbilisi',
+	'Caucasus Standard Time': 'Asia/Yerevan',
+	'Armenian Standard Time': 'Asia/Yerevan',
+	'Afghanistan Standard Time': 'Asia/Kabul',
+	'West Asia Standard Time': 'Asia/Tashkent',
+	'Ekaterinburg Standard Time': 'Asia/Yekaterinburg',
+	'Pakistan Standard Time': 'Asia/Karachi',
+	'Qyzylorda Standard Time': 'Asia/Qyzylorda',
+	'India Standard Time': 'Asia/Kolkata',
+	'Sri Lanka Standard Time': 'Asia/Colombo',
+	'Nepal Standard Time': 'Asia/Kathmandu',
+	'Central Asia Standard Time': 'Asia/Almaty',
+	'Bangladesh Standard Time': 'Asia/Dhaka',
+	'Omsk Standard Time': 'Asia/Omsk',
+	'Myanmar Standard Time': 'Asia/Yangon',
+	'SE Asia Standard Time': 'Asia/Bangkok',
+	'Altai Standard Time': 'Asia/Barnaul',
+	'W. Mongolia Standard Time': 'Asia/Hovd',
+	'North Asia Standard Time': 'Asia/Krasnoyarsk',
+	'N. Central Asia Standard Time': 'Asia/Novosibirsk',
+	'Tomsk Standard Time': 'Asia/Tomsk',
+	'China Standard Time': 'Asia/Shanghai',
+	'North Asia East Standard Time': 'Asia/Irkutsk',
+	'Singapore Standard Time': 'Asia/Singapore',
+	'W. Australia Standard Time': 'Australia/Perth',
+	'Taipei Standard Time': 'Asia/Taipei',
+	'Ulaanbaatar Standard Time': 'Asia/Ulaanbaatar',
+	'Aus Central W. Standard Time': 'Australia/Eucla',
+	'Transbaikal Standard Time': 'Asia/Chita',
+	'Tokyo Standard Time': 'Asia/Tokyo',
+	'North Korea Standard Time': 'Asia/Pyongyang',
+	'Korea Standard Time': 'Asia/Seoul',
+	'Yakutsk Standard Time': 'Asia/Yakutsk',
+	'Cen. Australia Standard Time': 'Australia/Adelaide',
+	'AUS Central Standard Time': 'Australia/Darwin',
+	'E. Australia Standard Time': 'Australia/Brisbane',
+	'AUS Eastern Standard Time': 'Australia/Sydney',
+	'West Pacific Standard Time': 'Pacific/Port_Moresby',
+	'Tasmania Standard Time': 'Australia/Hobart',
+	'Vladivostok Standard Time': 'Asia/Vladivostok',
+	'Lord Howe Standard Time': 'Australia/Lord_Howe',
+	'Bougainville Standard Time': 'Pacific/Bougainville',
+	'Russia Time Zone 10': 'Asia/Srednekolymsk',
+	'Magadan Standard Time': 'Asia/Magadan',
+	'Norfolk Standard Time': 'Pacific/Norfolk',
+	'Sakhalin Standard Time': 'Asia/Sakhalin',
+	'Central Pacific Standard Time': 'Pacific/Guadalcanal',
+	'Russia Time Zone 11': 'Asia/Kamchatka',
+	'Kamchatka Standard Time': 'Asia/Kamchatka',
+	'New Zealand Standard Time': 'Pacific/Auckland',
+	'UTC+12': 'Etc/GMT-12',
+	'Fiji Standard Time': 'Pacific/Fiji',
+	'Chatham Islands Standard Time': 'Pacific/Chatham',
+	'UTC+13': 'Etc/GMT-13',
+	'Tonga Standard Time': 'Pacific/Tongatapu',
+	'Samoa Standard Time': 'Pacific/Apia',
+	'Line Islands Standard Time': 'Pacific/Kiritimati'
+};
+
+const WINDOWS_ZONES_LOWER = Object.fromEntries(Object.entries(WINDOWS_ZONES).map(([name, zone]) => [name.toLowerCase(), zone]));
+
+// Parse a UTC offset such as +0100, -0500 or +053000 into minutes
+function parseOffset(value = '') {
+	const match = value.trim().match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+	if (!match) return 0;
+
+	const [, sign, hours, minutes, seconds = '0'] = match;
+	const total = parseInt(hours) * 60 + parseInt(minutes) + Math.round(parseInt(seconds) / 60);
+	return sign === '-' ? -total : total;
+}
+
+function formatOffset(offset, format) {
+	const sign = offset >= 0 ? '+' : '-';
+	const hours = Math.trunc(Math.abs(offset) / 60);
+	const minutes = Math.abs(offset) % 60;
+	const pad = n => String(n).padStart(2, '0');
+
+	switch (format) {
+		case 'narrow':
+			return `${sign}${hours}${minutes > 0 ? `:${minutes}` : ''}`;
+		case 'techie':
+			return `${sign}${pad(hours)}${pad(minutes)}`;
+		default:
+			return `${sign}${pad(hours)}:${pad(minutes)}`;
+	}
+}
+
+// Observance DTSTART/RDATE values are local times in the offset in effect before the transition,
+// so they are handled as wall-clock values in a UTC DateTime and shifted by TZOFFSETFROM
+function parseLocalTime(value = '') {
+	const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?/);
+	if (!match) return null;
+
+	const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+	return DateTime.utc(parseInt(year), parseInt(month), parseInt(day), parseInt(hour), parseInt(minute), parseInt(second));
+}
+
+/**
+ * A Luxon zone whose offsets come from the STANDARD/DAYLIGHT observances of a VTIMEZONE.
+ */
+export class VTimezoneZone extends Zone {
+	constructor(tzid, observances) {
+		super();
+		this.tzid = tzid;
+		this.observances = observances.filter(observance => observance.start).sort((a, b) => a.start - b.start);
+		this.transitionCache = new Map();
+
+		// Fixed starts are listed once, sorted, with the last year of a rule that ends so it still applies after
+		// that; rules are expanded per year
+		this.rules = [];
+		this.fixedTransitions = [];
+		this.observances.forEach(observance => {
+			const localStarts = [observance.start, ...observance.rdates];
+			const rule = this.parseRule(observance);
+			if (rule?.count) {
+				localStarts.push(...iterateRule(rule, observance.start, observance.start, DateTime.utc(9999, 12, 31)));
+			} else if (rule) {
+				this.rules.push({ observance, rule });
+				if (rule.until) localStarts.push(...iterateRule(rule, observance.start, rule.until.minus({ years: 1 }), rule.until));
+			}
+			this.fixedTransitions.push(...localStarts.map(local => this.transition(observance, local)));
+		});
+		this.fixedTransitions.sort((a, b) => a.at - b.at);
+	}
+
+	get type() {
+		return 'vtimezone';
+	}
+
+	get name() {
+		return this.tzid;
+	}
+
+	get isUniversal() {
+		return false;
+	}
+
+	get isValid() {
+		return this.observances.length > 0;
+	}
+
+	equals(otherZone) {
+		return otherZone.type === this.type && otherZone.name === this.name;
+	}
+
+	offsetName(ts) {
+		return this.observanceAt(ts).name || this.tzid;
+	}
+
+	formatOffset(ts, format) {
+		return formatOffset(this.offset(ts), format);
+	}
+
+	offset(ts) {
+		return this.observanceAt(ts).offset;
+	}
+
+	observanceAt(ts) {
+		// The latest fixed transition at or before `ts`, found by binary search
+		let low = 0;
+		let high = this.fixedTransitions.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (this.fixedTransitions[middle].at <= ts) low = middle + 1;
+			else high = middle;
+		}
+		const fixed = this.fixedTransitions[low - 1];
+
+		// Rules repeat at least yearly, so until they end their latest transition falls in this year or the one before
+		const year = new Date(ts).getUTCFullYear();
+		const recurring = [...this.transitions(year - 1), ...this.transitions(year)].filter(transition => transition.at <= ts).pop();
+
+		const current = [fixed, recurring].filter(Boolean).sort((a, b) => b.at - a.at)[0];
+		if (current) return current;
+
+		// Before the first transition the offset the first observance changes from applies
+		const first = this.observances[0];
+		return { offset: first.offsetFrom, name: first.name };
+	}
+
+	// The RRULE of an observance, with UNTIL moved to local wall-clock time like the occurrences, or null
+	parseRule(observance) {
+		if (!observance.rrule) return null;
+		try {
+			const rule = parseRRule(observance.rrule, 'UTC');
+			if (rule.until) rule.until = rule.until.plus({ minutes: observance.offsetFrom });
+			return rule;
+		} catch (e) {
+			console.warn('Invalid VTIMEZONE RRULE:', this.tzid, e.message);
+			return null;
+		}
+	}
+
+	transition(observance, local) {
+		return { at: local.toMillis() - observance.offsetFrom * 60000, offset: observance.offsetTo, name: observance.name };
+	}
+
+	// The transitions of the rules that happen during `year`, as UTC timestamps
+	transitions(year) {
+		if (!this.transitionCache.has(year)) {
+			const rangeStart = DateTime.utc(year, 1, 1).minus({ days: 1 });
+			const rangeEnd = DateTime.utc(year, 12, 31).plus({ days: 2 });
+			const transitions = [];
+
+			this.rules.forEach(({ observance, rule }) => {
+				[...iterateRule(rule, observance.start, rangeStart, rangeEnd)]
+					.filter(local => local.year === year)
+					.forEach(local => transitions.push(this.transition(observance, local)));
+			});
+
+			this.transitionCache.set(year, transitions.sort((a, b) => a.at - b.at));
+		}
+		return this.transitionCache.get(year);
+	}
+}
+
+/**
+ * Builds the zones defined by the VTIMEZONE components of a feed, keyed by TZID.
+ * Each entry is an IANA name when the definition names one (X-LIC-LOCATION), or a VTimezoneZone.
+ */
+export function buildTimezones(components = []) {
+	const timezones = new Map();
+
+	components.forEach(component => {
+		const tzid = getProperty(component, 'TZID')?.value;
+		if (!tzid) return;
+
+		const location = getProperty(component, 'X-LIC-LOCATION')?.value;
+		if (location && IANAZone.isValidZone(location)) {
+			timezones.set(tzid, location);
+			return;
+		}
+
+		const observances = component.components
+			.filter(observance => observance.name === 'STANDARD' || observance.name === 'DAYLIGHT')
+			.map(observance => {
+				const value = name => getProperty(observance, name)?.value;
+				return {
+					type: observance.name,
+					name: value('TZNAME') || null,
+					start: parseLocalTime(value('DTSTART')),
+					offsetFrom: parseOffset(value('TZOFFSETFROM') || value('TZOFFSETTO')),
+					offsetTo: parseOffset(value('TZOFFSETTO')),
+					rrule: value('RRULE') || null,
+					rdates: getProperties(observance, 'RDATE')
+						.flatMap(rdate => rdate.value.split(',').map(parseLocalTime))
+						.filter(Boolean)
+				};
+			});
+
+		const zone = new VTimezoneZone(tzid, observances);
+		if (zone.isValid) {
+			timezones.set(tzid, zone);
+		}
+	});
+
+	return timezones;
+}
+
+/**
+ * Resolves a TZID to an IANA zone name or a VTimezoneZone, or null when it cannot be resolved.
+ */
+export function resolveTimezone(tzid, timezones = new Map()) {
+	if (!tzid) return null;
+
+	const name = tzid.trim().replace(/^"(.*)"$/, '$1');
+
+	// The feed's own VTIMEZONE definition wins over any zone of the same name
+	if (timezones.has(name)) return timezones.get(name);
+	if (IANAZone.isValidZone(name)) return name;
+
+	const windowsZone = WINDOWS_ZONES_LOWER[name.toLowerCase()];
+	if (windowsZone) return windowsZone;
+
+	// Prefixed IANA names, e.g. /mozilla.org/20070129_1/Europe/Berlin
+	const segments = name.split('/');
+	for (let i = 1; i < segments.length - 1; i++) {
+		const candidate = segments.slice(i).join('/');
+		if (IANAZone.isValidZone(candidate)) return candidate;
+	}
+
+	return null;
+}
@@ -0,0 +1,195 @@
+/**
+ * What the worker may fetch on behalf of a key holder. Feed URLs come straight from the query string, so they are
+ * checked against the allowed schemes and hosts, and never reach localhost, private networks or link-local
+ * addresses. Hostnames are not resolved here: a public name pointing at a private address is left to the network.
+ */
+
+export const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+export const DEFAULT_TIMEOUT = 10;
+export const DEFAULT_MAX_REDIRECTS = 3;
+
+// Longest upstream error text passed back to the caller
+const ERROR_DETAILS_LENGTH = 200;
+
+// Names that only mean something inside a network
+const PRIVATE_SUFFIXES = ['.localhost', '.local', '.localdomain', '.internal', '.intranet', '.lan', '.home.arpa'];
+
+// IPv4 ranges that are not on the public internet: [address, prefix length]
+const PRIVATE_IPV4_RANGES = [
+	['0.0.0.0', 8], // "this" network
+	['10.0.0.0', 8],
+	['100.64.0.0', 10], // carrier-grade NAT
+	['127.0.0.0', 8],
+	['169.254.0.0', 16], // link-local, including cloud metadata services
+	['172.16.0.0', 12],
+	['192.0.0.0', 24],
+	['192.88.99.0', 24], // 6to4 relay anycast
+	['192.168.0.0', 16],
+	['198.18.0.0', 15], // benchmarking
+	['224.0.0.0', 3] // multicast, reserved and broadcast
+];
+
+const list = value =>
+	String(value || '')
+		.split(',')
+		.map(item => item.trim().toLowerCase())
+		.filter(Boolean);
+
+function nonNegative(value, fallback) {
+	const number = Number(value);
+	return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * The fetch policy of this deployment, from FEED_ALLOWED_HOSTS, FEED_DENIED_HOSTS (comma separated host names or
+ * `*.` domains), FEED_ALLOWED_SCHEMES, FEED_MAX_BYTES, FEED_TIMEOUT (seconds) and FEED_MAX_REDIRECTS. Local
+ * addresses can only be allowed in development, with FEED_ALLOW_PRIVATE, for stand-in feeds and webhook receivers.
+ */
+export function getUpstreamPolicy(env = {}) {
+	const allowedHosts = list(env.FEED_ALLOWED_HOSTS);
+	const schemes = list(env.FEED_ALLOWED_SCHEMES);
+	return {
+		allowedHosts: allowedHosts.length ? allowedHosts : null,
+		deniedHosts: list(env.FEED_DENIED_HOSTS),
+		schemes: schemes.length ? schemes : ['https', 'http'],
+		maxBytes: nonNegative(env.FEED_MAX_BYTES, DEFAULT_MAX_BYTES),
+		timeout: nonNegative(env.FEED_TIMEOUT, DEFAULT_TIMEOUT),
+		maxRedirects: nonNegative(env.FEED_MAX_REDIRECTS, DEFAULT_MAX_REDIRECTS),
+		allowPrivate: env.ENVIRONMENT === 'development' && env.FEED_ALLOW_PRIVATE === 'true'
+	};
+}
+
+/**
+ * Whether a hostname matches a host pattern: the same name, or for `*.example.com` any name below example.com.
+ */
+export function matchesHost(pattern, hostname) {
+	const host = pattern.toLowerCase();
+	return host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host;
+}
+
+function ipv4ToNumber(address) {
+	return address.split('.').reduce((number, octet) => number * 256 + Number(octet), 0);
+}
+
+function isPrivateIPv4(address) {
+	const number = ipv4ToNumber(address);
+	return PRIVATE_IPV4_RANGES.some(([range, bits]) => {
+		const size = 2 ** (32 - bits);
+		return Math.floor(number / size) === Math.floor(ipv4ToNumber(range) / size);
+	});
+}
+
+// The eight 16-bit groups of an IPv6 address, as URL serializes it (no embedded dotted IPv4)
+function ipv6Groups(address) {
+	const [head, tail] = address.split('::');
+	const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+	const left = parse(head);
+	const right = parse(tail);
+	return tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+function isPrivateIPv6(address) {
+	const groups = ipv6Groups(address);
+	const embedded = (high, low) => `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+	const zeros = count => groups.slice(0, count).every(group => group === 0);
+
+	// Unspecified and loopback (::, ::1), unique local (fc00::/7), link-local and site-local (fe80::/10, fec0::/10), multicast
+	if (zeros(7) && groups[7] <= 1) return true;
+	if ((groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xff80) === 0xfe80 || (groups[0] & 0xff00) === 0xff00) return true;
+
+	// IPv4-mapped (::ffff:0:0/96), IPv4-compatible and NAT64 (64:ff9b::/96) addresses carry an IPv4 address at the end
+	if ((zeros(5) && (groups[5] === 0xffff || groups[5] === 0)) || (groups[0] === 0x64 && groups[1] === 0xff9b)) {
+		return isPrivateIPv4(embedded(groups[6], groups[7]));
+	}
+	// 6to4 (2002::/16) carries one after the prefix
+	if (groups[0] === 0x2002) return isPrivateIPv4(embedded(groups[1], groups[2]));
+	// Teredo (2001::/32) tunnels to an obfuscated IPv4 address, so none of it is allowed
+	return groups[0] === 0x2001 && groups[1] === 0;
+}
+
+/**
+ * Whether a URL hostname is local: localhost and other names without a public suffix, or an IP literal in a
+ * loopback, private, link-local or otherwise non-public range. URL already turns forms like `http://2130706433/`
+ * into dotted IPv4.
+ */
+export function isPrivateHost(hostname) {
+	const host = hostname.toLowerCase().replace(/\.$/, '');
+	if (host.startsWith('[')) return isPrivateIPv6(host.slice(1, -1));
+	if (/^\d+\.\d+\.\d+\.\d+$/.test(host)) return isPrivateIPv4(host);
+	return host === 'localhost' || !host.includes('.') || PRIVATE_SUFFIXES.some(suffix => host.endsWith(suffix));
+}
+
+/**
+ * Why the policy does not allow fetching a URL, or null when it does.
+ */
+export function checkFeedUrl(url, policy) {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch (e) {
+		return `Invalid calendar URL "${url}"`;
+	}
+
+	const scheme = parsed.protocol.slice(0, -1);
+	const host = parsed.hostname.toLowerCase();
+	if (!policy.schemes.includes(scheme)) {
+		return `Calendar URLs must use ${policy.schemes.join(' or ')}, not ${scheme}`;
+	}
+	if (!policy.allowPrivate && isPrivateHost(host)) {
+		return `Calendar host ${host} is a local or private address`;
+	}
+	if (policy.deniedHosts.some(pattern => matchesHost(pattern, host))) {
+		return `Calendar host ${host} is not allowed`;
+	}
+	if (policy.allowedHosts && !policy.allowedHosts.some(pattern => matchesHost(pattern, host))) {
+		return `Calendar host ${host} is not allowed`;
+	}
+	return null;
+}
+
+/**
+ * Reads a response body up to `maxBytes`, cancelling the download there. Returns `{ bytes, truncated }`.
+ */
+export async function readBody(response, maxBytes) {
+	if (!response.body) return { bytes: new Uint8Array(0), truncated: false };
+
+	const reader = response.body.getReader();
+	const chunks = [];
+	let length = 0;
+	let truncated = false;
+	while (true) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		if (length + value.length > maxBytes) {
+			chunks.push(value.subarray(0, maxBytes - length));
+			length = maxBytes;
+			truncated = true;
+			await reader.cancel();
+			break;
+		}
+		chunks.push(value);
+		length += value.length;
+	}
+
+	const bytes = new Uint8Array(length);
+	let offset = 0;
+	chunks.forEach(chunk => {
+		bytes.set(chunk, offset);
+		offset += chunk.length;
+	});
+	return { bytes, truncated };
+}
+
+/**
+ * Upstream error text fit to return to the caller: markup and control characters removed, whitespace collapsed,
+ * and cut to a couple of hundred characters.
+ */
+export function sanitizeErrorBody(text) {
+	const clean = String(text || '')
+		.replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+		.replace(/<[^>]*>/g, ' ')
+		.replace(/[\u0000-\u001f\u007f-\u009f]/g, ' ')
+		.replace(/\s+/g, ' ')
+		.trim();
+	return clean.length > ERROR_DETAILS_LENGTH ? `${clean.slice(0, ERROR_DETAILS_LENGTH - 1)}…` : clean;
+}
@@ -0,0 +1,244 @@
+/**
+ * Change-detection webhooks for named calendars. On each Cron Trigger the feeds of every calendar with webhooks are
+ * fetched and compared, by UID (and RECURRENCE-ID), SEQUENCE and LAST-MODIFIED, with the snapshot kept from the
+ * previous run. Changes are POSTed as JSON signed with the calendar's webhook secret; failed deliveries are retried
+ * with backoff, first within the run and then on later runs.
+ */
+
+import { fetchFeed, mergeFeedEvents } from './feeds.js';
+import { calendarSources } from './calendars.js';
+import { checkFeedUrl, getUpstreamPolicy } from './upstream.js';
+
+export const SIGNATURE_HEADER = 'X-Stucal-Signature';
+
+// Tries per delivery within a run, and the wait before the second (doubling after it)
+const ATTEMPTS = 3;
+const RETRY_DELAY = 1000;
+// Deliveries still failing are tried again on later runs, waiting 5 minutes, then 10, 20..., up to 8 more times
+const LATER_DELAY = 5 * 60 * 1000;
+const LATER_ATTEMPTS = 8;
+const DELIVERY_TIMEOUT = 10000;
+const PENDING_TTL = 7 * 24 * 60 * 60;
+
+// What is kept of each event to describe a change
+const SNAPSHOT_FIELDS = [
+	'uid',
+	'recurrenceId',
+	'title',
+	'start',
+	'end',
+	'isAllDay',
+	'location',
+	'status',
+	'sequence',
+	'lastModified',
+	'rrule',
+	'source'
+];
+// Changes to these count even when the feed does not bump SEQUENCE or LAST-MODIFIED
+const COMPARED_FIELDS = ['sequence', 'lastModified', 'title', 'start', 'end', 'isAllDay', 'location', 'status', 'rrule'];
+
+const encoder = new TextEncoder();
+const toHex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Snapshot of parsed events, keyed by UID and RECURRENCE-ID. Events without a UID cannot be followed and are left out.
+ */
+export function snapshotEvents(events) {
+	const snapshot = {};
+	events
+		.filter(event => event.uid)
+		.forEach(event => {
+			snapshot[`${event.uid}|${event.recurrenceId || ''}`] = Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, event[field] ?? null]));
+		});
+	return snapshot;
+}
+
+/**
+ * The changes between two snapshots, as `{ type, uid, recurrenceId, before, after }` with type `added`, `updated`
+ * (a cancellation is an update to status CANCELLED) or `removed`.
+ */
+export function diffSnapshots(before, after) {
+	const changes = [];
+	Object.entries(after).forEach(([key, event]) => {
+		const previous = before[key];
+		if (!previous) {
+			changes.push({ type: 'added', uid: event.uid, recurrenceId: event.recurrenceId, before: null, after: event });
+		} else if (COMPARED_FIELDS.some(field => previous[field] !== event[field])) {
+			changes.push({ type: 'updated', uid: event.uid, recurrenceId: event.recurrenceId, before: previous, after: event });
+		}
+	});
+	Object.entries(before).forEach(([key, event]) => {
+		if (!after[key]) {
+			changes.push({ type: 'removed', uid: event.uid, recurrenceId: event.recurrenceId, before: event, after: null });
+		}
+	});
+	return changes;
+}
+
+/**
+ * The signature header value for a body: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`. Receivers
+ * recompute it with the calendar's webhook secret, and can refuse old timestamps to stop replays.
+ */
+export async function signPayload(secret, body, timestamp) {
+	const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`)));
+	return `t=${timestamp},v1=${toHex(signature)}`;
+}
+
+// One POST of a delivery: 'delivered', 'retry' when it may work later, or 'refused' when it will not
+async function post(delivery, secret, policy) {
+	const refused = checkFeedUrl(delivery.url, policy);
+	if (refused) {
+		console.error(`Webhook delivery ${delivery.id} refused:`, refused);
+		return 'refused';
+	}
+
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT);
+	try {
+		const response = await fetch(delivery.url, {
+			method: 'POST',
+			redirect: 'manual',
+			signal: controller.signal,
+			headers: {
+				'Content-Type': 'application/json',
+				'User-Agent': 'stucal-webhooks',
+				'X-Stucal-Delivery': delivery.id,
+				[SIGNATURE_HEADER]: await signPayload(secret, delivery.body, Math.floor(Date.now() / 1000))
+			},
+			body: delivery.body
+		});
+		await response.body?.cancel();
+		if (response.ok) return 'delivered';
+
+		console.error(`Webhook delivery ${delivery.id} answered ${response.status}`);
+		// Other client errors will not go away by retrying
+		return response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status) ? 'refused' : 'retry';
+	} catch (error) {
+		console.error(`Webhook delivery ${delivery.id} failed:`, error.message);
+		return 'retry';
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+/**
+ * Delivers a `{ id, url, body }` webhook, trying up to three times with a doubling wait between tries. Returns
+ * 'delivered', 'retry' when every try failed, or 'refused' when the receiver (or the policy) will not take it.
+ */
+export async function deliverWebhook(delivery, secret, { policy = getUpstreamPolicy(), sleep = wait } = {}) {
+	let result;
+	for (let attempt = 0; attempt < ATTEMPTS; attempt++) {
+		if (attempt > 0) await sleep(RETRY_DELAY * 2 ** (attempt - 1));
+		result = await post(delivery, secret, policy);
+		if (result !== 'retry') break;
+	}
+	return result;
+}
+
+// Keep a failed delivery for a later run, or give up on it
+async function deferDelivery(env, delivery, now) {
+	const attempts = (delivery.attempts || 0) + 1;
+	if (attempts > LATER_ATTEMPTS) {
+		console.error(`Giving up on webhook delivery ${delivery.id} to calendar ${delivery.calendarId}`);
+		await env.CALENDARS.delete(`webhook-pending:${delivery.id}`);
+		return;
+	}
+	const pending = { ...delivery, attempts, nextAttemptAt: now + LATER_DELAY * 2 ** (attempts - 1) };
+	await env.CALENDARS.put(`webhook-pending:${delivery.id}`, JSON.stringify(pending), { expirationTtl: PENDING_TTL });
+}
+
+async function send(env, delivery, secret, options, now) {
+	const result = await deliverWebhook(delivery, secret, options);
+	if (result === 'retry') {
+		await deferDelivery(env, delivery, now);
+	} else if (delivery.attempts) {
+		await env.CALENDARS.delete(`webhook-pending:${delivery.id}`);
+	}
+	return result === 'delivered';
+}
+
+async function listKeys(namespace, prefix) {
+	const names = [];
+	let cursor;
+	do {
+		const page = await namespace.list({ prefix, cursor });
+		names.push(...page.keys.map(key => key.name));
+		cursor = page.list_complete ? null : page.cursor;
+	} while (cursor);
+	return names;
+}
+
+// Compares one calendar with its snapshot, and returns the deliveries its changes call for
+async function checkCalendar(env, calendar, { parse, policy, now }) {
+	const feeds = [];
+	for (const source of calendarSources(calendar)) {
+		try {
+			const { body } = await fetchFeed(source.url, { policy });
+			feeds.push({ source, events: parse(body, calendar.timezone || 'UTC') });
+		} catch (error) {
+			// A feed that fails would look as if all its events had been removed, so wait for a complete picture
+			console.error(`Skipping change detection for calendar ${calendar.id}:`, error.message);
+			return [];
+		}
+	}
+
+	const snapshot = snapshotEvents(mergeFeedEvents(feeds));
+	const previous = await env.CALENDARS.get(`snapshot:${calendar.id}`, 'json');
+	await env.CALENDARS.put(`snapshot:${calendar.id}`, JSON.stringify(snapshot));
+
+	// The first run only records what is there
+	const changes = previous ? diffSnapshots(previous, snapshot) : [];
+	if (changes.length === 0) return [];
+
+	const detectedAt = new Date(now).toISOString();
+	return calendar.webhooks.map(url => ({
+		id: crypto.randomUUID(),
+		calendarId: calendar.id,
+		url,
+		body: JSON.stringify({ type: 'calendar.changed', calendar: { id: calendar.id, label: calendar.label }, detectedAt, changes })
+	}));
+}
+
+/**
+ * The Cron Trigger: retries deliveries left from earlier runs, then checks every calendar with webhooks for changes.
+ * `parse` turns a feed body into events, as the fetch handler does. Returns counts for the logs.
+ */
+export async function runWebhooks(env, { parse, now = Date.now(), sleep = wait } = {}) {
+	const summary = { calendars: 0, deliveries: 0, delivered: 0 };
+	if (!env.CALENDARS) return summary;
+
+	const policy = getUpstreamPolicy(env);
+	const calendars = new Map();
+	const loadCalendar = async id => {
+		if (!calendars.has(id)) calendars.set(id, await env.CALENDARS.get(`calendar:${id}`, 'json'));
+		return calendars.get(id);
+	};
+
+	for (const name of await listKeys(env.CALENDARS, 'webhook-pending:')) {
+		const delivery = await env.CALENDARS.get(name, 'json');
+		if (!delivery || delivery.nextAttemptAt > now) continue;
+		const calendar = await loadCalendar(delivery.calendarId);
+		// Deliveries for deleted calendars, or to webhooks since removed, are dropped
+		if (!calendar?.webhookSecret || !calendar.webhooks?.includes(delivery.url)) {
+			await env.CALENDARS.delete(name);
+			continue;
+		}
+		summary.deliveries++;
+		if (await send(env, delivery, calendar.webhookSecret, { policy, sleep }, now)) summary.delivered++;
+	}
+
+	for (const name of await listKeys(env.CALENDARS, 'calendar:')) {
+		const calendar = await loadCalendar(name.slice('calendar:'.length));
+		if (!calendar?.webhooks?.length || !calendar.webhookSecret) continue;
+
+		summary.calendars++;
+		for (const delivery of await checkCalendar(env, calendar, { parse, policy, now })) {
+			summary.deliveries++;
+			if (await send(env, delivery, calendar.webhookSecret, { policy, sleep }, now)) summary.delivered++;
+		}
+	}
+	return summary;
+}
@@ -0,0 +1,233 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { DateTime } from 'luxon';
+import { alarmTimes, findAlerts, parseAlarm, parseAlertOptions } from '../src/alarms';
+import { parseFilters } from '../src/filters';
+import { parseComponents } from '../src/ics';
+import { apiKey, callWorker, feed, FEED_URL, stubFeed } from './fixtures';
+
+// The first VALARM of a one-event feed
+function alarmComponent(...lines) {
+	const feed = ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'BEGIN:VALARM', ...lines, 'END:VALARM', 'END:VEVENT', 'END:VCALENDAR'];
+	const [calendar] = parseComponents(feed.join('\r\n'));
+	return calendar.components[0].components[0];
+}
+
+const alarm = details => ({
+	action: 'DISPLAY',
+	trigger: '-PT15M',
+	related: 'START',
+	at: null,
+	repeat: 0,
+	interval: null,
+	description: 'Reminder',
+	summary: '',
+	attendees: [],
+	...details
+});
+const event = details => ({
+	uid: 'standup',
+	title: 'Standup',
+	start: '2024-03-20T09:00:00.000Z',
+	end: '2024-03-20T09:30:00.000Z',
+	location: '',
+	isAllDay: false,
+	status: null,
+	alarms: [alarm()],
+	...details
+});
+const now = DateTime.fromISO('2024-03-20T08:30:00Z');
+
+describe('parseAlarm', () => {
+	it('reads a relative trigger', () => {
+		expect(parseAlarm(alarmComponent('ACTION:DISPLAY', 'TRIGGER:-PT15M', 'DESCRIPTION:Standup\\, in 15'))).toEqual(
+			alarm({ description: 'Standup, in 15' })
+		);
+		expect(parseAlarm(alarmComponent('ACTION:AUDIO', 'TRIGGER;RELATED=END:PT5M'))).toMatchObject({
+			action: 'AUDIO',
+			trigger: 'PT5M',
+			related: 'END'
+		});
+	});
+
+	it('reads an absolute trigger', () => {
+		expect(parseAlarm(alarmComponent('ACTION:DISPLAY', 'TRIGGER;VALUE=DATE-TIME:20240320T083000Z'))).toMatchObject({
+			trigger: null,
+			related: null,
+			at: '2024-03-20T08:30:00.000Z'
+		});
+	});
+
+	it('reads repeats, and email recipients', () => {
+		const parsed = parseAlarm(
+			alarmComponent('ACTION:EMAIL', 'TRIGGER:-P1D', 'REPEAT:2', 'DURATION:PT1H', 'SUMMARY:Tomorrow', 'ATTENDEE:mailto:ada@example.com')
+		);
+		expect(parsed).toMatchObject({ action: 'EMAIL', repeat: 2, interval: 'PT1H', summary: 'Tomorrow', attendees: ['ada@example.com'] });
+	});
+
+	it('ignores REPEAT without DURATION, with a warning', () => {
+		const warnings = [];
+		expect(parseAlarm(alarmComponent('TRIGGER:-PT5M', 'REPEAT:3'), { warnings })).toMatchObject({ repeat: 0, interval: null });
+		expect(warnings).toEqual(['Alarm REPEAT without DURATION, ignoring the repeats']);
+	});
+
+	it('caps REPEAT, with a warning', () => {
+		const warnings = [];
+		expect(parseAlarm(alarmComponent('TRIGGER:-PT5M', 'REPEAT:50000000', 'DURATION:PT1M'), { warnings })).toMatchObject({ repeat: 100 });
+		expect(warnings).toEqual(['Alarm REPEAT 50000000 is more than 100, repeating 100 times']);
+	});
+
+	it('leaves out an alarm without a usable trigger', () => {
+		const warnings = [];
+		expect(parseAlarm(alarmComponent('ACTION:DISPLAY', 'TRIGGER:soon'), { warnings })).toBeNull();
+		expect(parseAlarm(alarmComponent('ACTION:DISPLAY'), { warnings })).toBeNull();
+		expect(warnings).toEqual(['Could not parse alarm trigger "soon"', 'Could not parse alarm trigger ""']);
+	});
+});
+
+describe('alarmTimes', () => {
+	it('counts from the start or the end, then adds the repeats', () => {
+		const occurrence = { start: '2024-03-20T09:00:00.000Z', end: '2024-03-20T09:30:00.000Z' };
+		const times = (details, on = occurrence) => alarmTimes(alarm(details), on).map(time => time.toUTC().toISO());
+
+		expect(times({})).toEqual(['2024-03-20T08:45:00.000Z']);
+		expect(times({ trigger: 'PT0S', related: 'END' })).toEqual(['2024-03-20T09:30:00.000Z']);
+		expect(times({ repeat: 2, interval: 'PT5M' })).toEqual([
+			'2024-03-20T08:45:00.000Z',
+			'2024-03-20T08:50:00.000Z',
+			'2024-03-20T08:55:00.000Z'
+		]);
+		expect(times({ trigger: null, at: '2024-03-19T12:00:00.000Z' })).toEqual(['2024-03-19T12:00:00.000Z']);
+		expect(times({ repeat: 50000000, interval: 'PT1M' })).toHaveLength(101);
+	});
+});
+
+describe('parseAlertOptions', () => {
+	it('defaults to the next hour, for every action', () => {
+		expect(parseAlertOptions(new URLSearchParams())).toEqual({ minutes: 60, actions: null });
+		expect(parseAlertOptions(new URLSearchParams('minutes=15&action=display,email'))).toEqual({ minutes: 15, actions: ['DISPLAY', 'EMAIL'] });
+	});
+
+	it('rejects invalid options', () => {
+		expect(() => parseAlertOptions(new URLSearchParams('minutes=0'))).toThrow('Invalid minutes');
+		expect(() => parseAlertOptions(new URLSearchParams('minutes=1.5'))).toThrow('Invalid minutes');
+		expect(() => parseAlertOptions(new URLSearchParams('minutes=20000'))).toThrow('Invalid minutes');
+		expect(() => parseAlertOptions(new URLSearchParams('action=popup'))).toThrow('Invalid action "POPUP"');
+	});
+});
+
+describe('findAlerts', () => {
+	const find = (events, options = {}) => findAlerts(events, { now, minutes: 60, timezone: 'Europe/Paris', ...options });
+
+	it('finds alarms due in the window, in the requested timezone', () => {
+		expect(find([event()])).toEqual([
+			{
+				at: '2024-03-20T09:45:00.000+01:00',
+				minutesUntil: 15,
+				action: 'DISPLAY',
+				description: 'Reminder',
+				summary: '',
+				attendees: [],
+				repeat: 0,
+				event: {
+					uid: 'standup',
+					title: 'Standup',
+					start: '2024-03-20T10:00:00.000+01:00',
+					end: '2024-03-20T10:30:00.000+01:00',
+					location: '',
+					isFullDay: false,
+					occurrenceDate: null,
+					source: null,
+					color: null
+				}
+			}
+		]);
+		expect(find([event()], { minutes: 10 })).toEqual([]);
+	});
+
+	it('reaches occurrences outside the window whose alarms fall in it', () => {
+		const daily = event({ rrule: 'FREQ=DAILY', start: '2024-03-18T09:00:00.000Z', end: '2024-03-18T09:30:00.000Z' });
+		const dayBefore = find([{ ...daily, alarms: [alarm({ trigger: '-P1D' })] }], { now: DateTime.fromISO('2024-03-19T08:50:00Z') });
+		expect(dayBefore.map(alert => alert.event.occurrenceDate)).toEqual(['2024-03-20T09:00:00.000Z']);
+
+		const afterEnd = find([{ ...daily, alarms: [alarm({ trigger: 'PT2H', related: 'END' })] }], {
+			now: DateTime.fromISO('2024-03-20T11:00:00Z')
+		});
+		expect(afterEnd.map(alert => alert.at)).toEqual(['2024-03-20T12:30:00.000+01:00']);
+	});
+
+	it('lists each repeat that falls in the window, earliest first', () => {
+		const repeating = event({ alarms: [alarm({ trigger: '-PT40M', repeat: 3, interval: 'PT10M' }), alarm({ trigger: '-PT5M' })] });
+		expect(find([repeating], { minutes: 20 }).map(alert => [alert.minutesUntil, alert.repeat])).toEqual([
+			[0, 1],
+			[10, 2]
+		]);
+		expect(find([repeating]).map(alert => alert.minutesUntil)).toEqual([0, 10, 20, 25]);
+	});
+
+	it('raises an absolute alarm once', () => {
+		const daily = event({ rrule: 'FREQ=DAILY', alarms: [alarm({ trigger: null, related: null, at: '2024-03-20T09:00:00.000Z' })] });
+		expect(find([daily]).map(alert => alert.minutesUntil)).toEqual([30]);
+	});
+
+	it('leaves out cancelled events, filtered events and other actions', () => {
+		expect(find([event({ status: 'CANCELLED' })])).toEqual([]);
+		expect(find([event()], { filters: parseFilters(new URLSearchParams('include=title:lunch')) })).toEqual([]);
+		expect(find([event()], { actions: ['EMAIL'] })).toEqual([]);
+	});
+});
+
+describe('/alerts', () => {
+	const reminder = ['BEGIN:VALARM', 'ACTION:DISPLAY', 'TRIGGER:-PT15M', 'DESCRIPTION:Bring the slides', 'END:VALARM'];
+	const ics = feed(
+		['UID:review', 'SUMMARY:Design review', 'LOCATION:Room 4', 'DTSTART:20261019T090000Z', 'DTEND:20261019T100000Z', ...reminder],
+		['UID:doctor', 'SUMMARY:Doctor', 'CLASS:PRIVATE', 'DTSTART:20261019T091000Z', 'DTEND:20261019T100000Z', ...reminder]
+	);
+	const path = query => `/alerts?url=${encodeURIComponent(FEED_URL)}&${query}`;
+
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:30:00Z'));
+		stubFeed(ics);
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	it('lists the alarms due in the next minutes as JSON', async () => {
+		const response = await callWorker(path('minutes=30&timezone=Europe/Paris'), { headers: { 'X-API-Key': await apiKey() } });
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('application/json');
+		expect(response.headers.get('ETag')).toMatch(/^W\//);
+
+		const body = await response.json();
+		expect(body).toMatchObject({ timezone: 'Europe/Paris', until: '2026-10-19T11:00:00.000+02:00', request: { minutes: 30, actions: null } });
+		expect(body.alerts.map(alert => [alert.at, alert.event.title, alert.description])).toEqual([
+			['2026-10-19T10:45:00.000+02:00', 'Design review', 'Bring the slides'],
+			['2026-10-19T10:55:00.000+02:00', 'Doctor', 'Bring the slides']
+		]);
+	});
+
+	it('redacts the alarms and leaves out private events when asked to', async () => {
+		const response = await callWorker(path('redact=true'), { headers: { 'X-API-Key': await apiKey() } });
+		const body = await response.json();
+		expect(body.alerts).toHaveLength(1);
+		expect(body.alerts[0]).toMatchObject({ description: '', event: { title: 'Busy', location: '' } });
+		expect(JSON.stringify(body)).not.toMatch(/Doctor|slides|Room 4/);
+		expect(body.request.redacted).toBe(true);
+	});
+
+	it('refuses other formats and invalid options with 400', async () => {
+		const headers = { 'X-API-Key': await apiKey() };
+		for (const [query, error] of [
+			['format=ics', 'Unsupported format "ics" for /alerts, expected json'],
+			['minutes=0', 'Invalid minutes "0"'],
+			['action=popup', 'Invalid action "POPUP"']
+		]) {
+			const response = await callWorker(path(query), { headers });
+			expect(response.status).toBe(400);
+			expect((await response.json()).error).toContain(error);
+		}
+	});
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { authorizeRequest, createApiKey, timingSafeEqual, validateApiKey } from '../src/auth';
+
+const env = { MASTER_KEY: 'a-long-master-secret' };
+const claims = {
+	id: 'k1',
+	exp: '2999-01-01',
+	calendars: ['calendar.example.com', '*.example.org'],
+	formats: ['json'],
+	redact: true,
+	tier: 'gold'
+};
+const request = key => new Request(`https://worker.example/?key=${key}`);
+
+describe('timingSafeEqual', () => {
+	it('compares strings and bytes', () => {
+		expect(timingSafeEqual('abc', 'abc')).toBe(true);
+		expect(timingSafeEqual('abc', 'abd')).toBe(false);
+		expect(timingSafeEqual('abc', 'ab')).toBe(false);
+		expect(timingSafeEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2]))).toBe(true);
+	});
+});
+
+describe('validateApiKey', () => {
+	it('returns the claims of a v2 key', async () => {
+		const key = await createApiKey(claims, env.MASTER_KEY);
+		expect(key.startsWith('stucal2.')).toBe(true);
+		expect(await validateApiKey(key, env)).toEqual({
+			version: 2,
+			keyId: 'k1',
+			expires: '2999-01-01',
+			calendars: ['calendar.example.com', '*.example.org'],
+			formats: ['json'],
+			redact: true,
+			tier: 'gold'
+		});
+	});
+
+	it('reads the key from the query string', async () => {
+		const key = await createApiKey({ id: 'k2', exp: '2999-01-01' }, env.MASTER_KEY);
+		expect(await validateApiKey(null, env, request(key))).toMatchObject({ keyId: 'k2', calendars: null, redact: false });
+		await expect(validateApiKey(null, env, request(''))).rejects.toMatchObject({ status: 401 });
+	});
+
+	it('rejects tampered, foreign and expired v2 keys', async () => {
+		const key = await createApiKey(claims, env.MASTER_KEY);
+		const [prefix, , signature] = key.split('.');
+		const widened = Buffer.from(JSON.stringify({ ...claims, calendars: undefined })).toString('base64url');
+		await expect(validateApiKey(`${prefix}.${widened}.${signature}`, env)).rejects.toThrow('Invalid API key signature');
+		await expect(validateApiKey(await createApiKey(claims, 'another-secret'), env)).rejects.toThrow('Invalid API key signature');
+		await expect(validateApiKey(await createApiKey({ ...claims, exp: '2000-01-01' }, env.MASTER_KEY), env)).rejects.toThrow('expired');
+		await expect(validateApiKey(await createApiKey({ ...claims, formats: 'json' }, env.MASTER_KEY), env)).rejects.toThrow('claims');
+	});
+
+	it('accepts v1 keys until V1_KEYS_UNTIL, when it is set', async () => {
+		// Minted with scripts/generate-api-key.js --v1 --redact for this MASTER_KEY
+		const v1Key = 'stucal_18c9f0a1b2c.redact_2999-01-01_16e17d85';
+		expect(await validateApiKey(v1Key, env)).toMatchObject({ version: 1, keyId: '18c9f0a1b2c', redact: true, calendars: null });
+		expect(await validateApiKey(v1Key, { ...env, V1_KEYS_UNTIL: '2999-01-01' })).toMatchObject({ version: 1 });
+		await expect(validateApiKey(v1Key.replace('.redact', ''), env)).rejects.toThrow('Invalid API key signature');
+	});
+
+	it('refuses v1 keys after V1_KEYS_UNTIL, or with an unreadable one', async () => {
+		const v1Key = 'stucal_18c9f0a1b2c.redact_2999-01-01_16e17d85';
+		await expect(validateApiKey(v1Key, { ...env, V1_KEYS_UNTIL: '2000-01-01' })).rejects.toThrow('no longer accepted');
+		await expect(validateApiKey(v1Key, { ...env, V1_KEYS_UNTIL: 'someday' })).rejects.toThrow('no longer accepted');
+	});
+
+	it('refuses revoked keys', async () => {
+		const key = await createApiKey(claims, env.MASTER_KEY);
+		const API_KEYS = { get: async name => (name === 'revoked:k1' ? 'lost badge' : null) };
+		await expect(validateApiKey(key, { ...env, API_KEYS })).rejects.toMatchObject({ message: 'API key has been revoked', status: 403 });
+	});
+});
+
+describe('authorizeRequest', () => {
+	const sources = urls => urls.map(url => ({ url }));
+
+	it('allows listed hosts, subdomains and URLs', () => {
+		const allowed = { calendars: ['calendar.example.com', '*.example.org', 'webcal://feeds.example.net/team.ics'], formats: null };
+		expect(() => authorizeRequest(allowed, {
+			sources: sources(['https://calendar.example.com/a.ics', 'https://www.example.org/b.ics', 'https://feeds.example.net/team.ics']),
+			format: 'csv'
+		})).not.toThrow();
+		expect(() => authorizeRequest(allowed, { sources: sources(['https://example.org/b.ics']), format: 'json' })).toThrow('example.org');
+		expect(() => authorizeRequest(allowed, { sources: sources(['https://feeds.example.net/other.ics']), format: 'json' })).toThrow();
+	});
+
+	it('limits the formats', () => {
+		expect(() => authorizeRequest({ calendars: null, formats: ['json'] }, { sources: [], format: 'html' })).toThrow('html format');
+		expect(() => authorizeRequest({ calendars: null, formats: null }, { sources: [], format: 'html' })).not.toThrow();
+	});
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getCachedFeed, getFeedCacheConfig } from '../src/cache';
+
+const FEED_URL = 'https://calendar.example/feed.ics';
+const decode = body => new TextDecoder().decode(body);
+
+function memoryStore() {
+	const entries = new Map();
+	return {
+		entries,
+		async get(url) {
+			return entries.get(url) || null;
+		},
+		async put(url, entry) {
+			entries.set(url, entry);
+		}
+	};
+}
+
+// Ages the cached copy of the feed by the given number of seconds
+function age(store, seconds) {
+	const entry = store.entries.get(FEED_URL);
+	store.entries.set(FEED_URL, { ...entry, fetchedAt: entry.fetchedAt - seconds * 1000 });
+}
+
+describe('getCachedFeed', () => {
+	let upstream;
+
+	beforeEach(() => {
+		upstream = vi.fn(async (url, { headers }) => {
+			if (headers['If-None-Match'] === '"v1"') return new Response(null, { status: 304 });
+			return new Response('BEGIN:VCALENDAR', { headers: { ETag: '"v1"', 'Last-Modified': 'Mon, 19 Oct 2026 08:00:00 GMT' } });
+		});
+		vi.stubGlobal('fetch', upstream);
+	});
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('fetches on a miss and serves the cached copy while it is fresh', async () => {
+		const store = memoryStore();
+		const first = await getCachedFeed(FEED_URL, { store, ttl: 300 });
+		const second = await getCachedFeed(FEED_URL, { store, ttl: 300 });
+
+		expect(first.cache.status).toBe('miss');
+		expect(second.cache.status).toBe('fresh');
+		expect(decode(second.body)).toBe('BEGIN:VCALENDAR');
+		expect(upstream).toHaveBeenCalledTimes(1);
+	});
+
+	it('serves a stale copy and revalidates it in the background', async () => {
+		const store = memoryStore();
+		await getCachedFeed(FEED_URL, { store, ttl: 300 });
+		age(store, 600);
+
+		const background = [];
+		const stale = await getCachedFeed(FEED_URL, { store, ttl: 300, waitUntil: promise => background.push(promise) });
+		expect(stale.cache.status).toBe('stale');
+		expect(stale.cache.age).toBe(600);
+		expect(decode(stale.body)).toBe('BEGIN:VCALENDAR');
+
+		await Promise.all(background);
+		const [, { headers }] = upstream.mock.calls[1];
+		expect(headers).toEqual({ 'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 19 Oct 2026 08:00:00 GMT' });
+		expect((await getCachedFeed(FEED_URL, { store, ttl: 300 })).cache.status).toBe('fresh');
+	});
+
+	it('revalidates before responding once the copy is past its max-stale age', async () => {
+		const store = memoryStore();
+		await getCachedFeed(FEED_URL, { store, ttl: 300, maxStale: 60 });
+		age(store, 600);
+
+		const revalidated = await getCachedFeed(FEED_URL, { store, ttl: 300, maxStale: 60, waitUntil: () => {} });
+		expect(revalidated.cache).toMatchObject({ status: 'revalidated', age: 0 });
+		expect(decode(revalidated.body)).toBe('BEGIN:VCALENDAR');
+	});
+
+	it('falls back to the cached copy when the upstream fails', async () => {
+		const store = memoryStore();
+		await getCachedFeed(FEED_URL, { store, ttl: 300 });
+		age(store, 600);
+		upstream.mockResolvedValueOnce(new Response('rate limited', { status: 429, statusText: 'Too Many Requests' }));
+
+		const fallback = await getCachedFeed(FEED_URL, { store, ttl: 300 });
+		expect(fallback.cache).toMatchObject({ status: 'stale', error: 'Failed to fetch calendar' });
+		expect(decode(fallback.body)).toBe('BEGIN:VCALENDAR');
+	});
+
+	it('refetches in full when a 304 comes without a cached body to keep', async () => {
+		const store = memoryStore();
+		store.entries.set(FEED_URL, { body: null, etag: '"v1"', lastModified: null, fetchedAt: Date.now() - 600000 });
+
+		const refetched = await getCachedFeed(FEED_URL, { store, ttl: 300 });
+		expect(refetched.cache.status).toBe('miss');
+		expect(decode(refetched.body)).toBe('BEGIN:VCALENDAR');
+		expect(upstream.mock.calls[1][1].headers).toEqual({});
+	});
+
+	it('refuses a 304 to a request that was not conditional', async () => {
+		upstream.mockResolvedValueOnce(new Response(null, { status: 304 }));
+		await expect(getCachedFeed(FEED_URL, { store: memoryStore(), ttl: 300 })).rejects.toMatchObject({ status: 502 });
+	});
+
+	it('always fetches without a store', async () => {
+		const result = await getCachedFeed(FEED_URL);
+		expect(result.cache.status).toBe('bypass');
+		expect(upstream.mock.calls[0][1].headers).toEqual({});
+	});
+});
+
+describe('getFeedCacheConfig', () => {
+	it('reads the TTL and max-stale age from the environment', () => {
+		const config = getFeedCacheConfig({ FEED_CACHE_TTL: '60', FEED_CACHE_MAX_STALE: '3600', FEED_CACHE: {} });
+		expect(config).toMatchObject({ ttl: 60, maxStale: 3600 });
+		expect(config.store).not.toBeNull();
+	});
+
+	it('turns caching off with a TTL of 0', () => {
+		expect(getFeedCacheConfig({ FEED_CACHE_TTL: '0', FEED_CACHE: {} }).store).toBeNull();
+	});
+});
@@ -0,0 +1,203 @@
+import { env } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { calendarSources, handleCalendarRequest, parseCalendarPath, validateCalendar, withCalendarDefaults } from '../src/calendars';
+import { getUpstreamPolicy } from '../src/upstream';
+import { apiKey, callWorker, feed, FEED_URL, stubFeed } from './fixtures';
+
+const policy = getUpstreamPolicy();
+const owner = { keyId: 'owner-key', calendars: null, formats: null };
+const other = { keyId: 'other-key', calendars: null, formats: null };
+const PRIVATE_URL = 'https://p01-caldav.icloud.com/published/2/secret-token';
+
+function call(claims, method, path, body) {
+	const request = new Request(`https://worker.example${path}`, { method, ...(body ? { body: JSON.stringify(body) } : {}) });
+	return handleCalendarRequest(request, { CALENDARS: env.CALENDARS }, claims, parseCalendarPath(path), policy);
+}
+
+describe('parseCalendarPath', () => {
+	it('splits management and view paths', () => {
+		expect(parseCalendarPath('/calendars')).toEqual({ id: null, view: null });
+		expect(parseCalendarPath('/calendars/Family')).toEqual({ id: 'family', view: null });
+		expect(parseCalendarPath('/calendars/family/agenda')).toEqual({ id: 'family', view: '' });
+		expect(parseCalendarPath('/calendars/family/freebusy')).toEqual({ id: 'family', view: '/freebusy' });
+		expect(parseCalendarPath('/calendars/family/alerts')).toEqual({ id: 'family', view: '/alerts' });
+		expect(parseCalendarPath('/calendars/family/now')).toEqual({ id: 'family', view: '/now' });
+		expect(parseCalendarPath('/calendars/family/stats')).toEqual({ id: 'family', view: '/stats' });
+		expect(parseCalendarPath('/calendars/family/toString')).toEqual({ id: 'family', view: undefined });
+		expect(parseCalendarPath('/view')).toBeNull();
+	});
+});
+
+describe('validateCalendar', () => {
+	it('normalizes sources, colour and filters', () => {
+		const calendar = validateCalendar(
+			{ label: ' Family ', color: 'E91E63', timezone: 'Europe/London', sources: [PRIVATE_URL], filters: { exclude: 'title:"Bin day"' } },
+			{ claims: owner, policy }
+		);
+		expect(calendar).toEqual({
+			label: 'Family',
+			color: '#e91e63',
+			timezone: 'Europe/London',
+			sources: [{ url: PRIVATE_URL, label: 'p01-caldav.icloud.com', color: null }],
+			filters: { exclude: 'title:"Bin day"' },
+			webhooks: []
+		});
+	});
+
+	it.each([
+		[{ sources: [] }, /list of sources/],
+		[{ sources: ['http://localhost/x.ics'] }, /local or private/],
+		[{ sources: [PRIVATE_URL], timezone: 'Mars/Olympus' }, /Invalid timezone/],
+		[{ sources: [PRIVATE_URL], filters: { days: '3' } }, /Unknown filter "days"/],
+		[{ sources: [PRIVATE_URL], filters: { include: '/(/' } }, /Invalid filter/]
+	])('refuses %j', (input, message) => {
+		expect(() => validateCalendar(input, { claims: owner, policy })).toThrow(message);
+	});
+
+	it('keeps a key to the calendars it may read', () => {
+		const limited = { ...owner, calendars: ['calendar.google.com'] };
+		expect(() => validateCalendar({ sources: [PRIVATE_URL] }, { claims: limited, policy })).toThrow(/not allowed to read calendars/);
+	});
+});
+
+describe('withCalendarDefaults', () => {
+	const calendar = { timezone: 'Europe/London', filters: { exclude: ['title:Bins', 'status:cancelled'], allDay: 'exclude' } };
+
+	it('fills in the timezone and filters the request does not give, and drops feed parameters', () => {
+		const params = withCalendarDefaults(calendar, new URLSearchParams('allDay=only&days=3&url=https://evil.example/x.ics'));
+		expect(params.get('timezone')).toBe('Europe/London');
+		expect(params.getAll('exclude')).toEqual(['title:Bins', 'status:cancelled']);
+		expect(params.get('allDay')).toBe('only');
+		expect(params.get('days')).toBe('3');
+		expect(params.has('url')).toBe(false);
+	});
+
+	it('colours sources with the calendar colour', () => {
+		const sources = calendarSources({
+			color: 'teal',
+			sources: [
+				{ url: PRIVATE_URL, label: 'a', color: null },
+				{ url: PRIVATE_URL, label: 'b', color: 'red' }
+			]
+		});
+		expect(sources.map(source => source.color)).toEqual(['teal', 'red']);
+	});
+});
+
+describe('handleCalendarRequest', () => {
+	it('creates, describes, replaces and deletes a calendar', async () => {
+		const created = await call(owner, 'POST', '/calendars', { id: 'family', label: 'Family', sources: [PRIVATE_URL] });
+		expect(created.status).toBe(201);
+		expect(created.headers.get('Location')).toBe('/calendars/family');
+		expect((await created.json()).sources[0].url).toBe(PRIVATE_URL);
+
+		const conflict = await call(owner, 'POST', '/calendars', { id: 'family', sources: [PRIVATE_URL] });
+		expect(conflict.status).toBe(409);
+
+		// Other keys see where the feeds are from, but not their URLs
+		const described = await (await call(other, 'GET', '/calendars/family')).json();
+		expect(described.sources).toEqual([{ label: 'p01-caldav.icloud.com', color: null, calendar: 'p01-caldav.icloud.com' }]);
+		expect(JSON.stringify(described)).not.toContain('secret-token');
+
+		expect((await call(other, 'PUT', '/calendars/family', { sources: [PRIVATE_URL] })).status).toBe(403);
+		const replaced = await call(owner, 'PUT', '/calendars/family', { label: 'Home', sources: [PRIVATE_URL] });
+		expect((await replaced.json()).label).toBe('Home');
+
+		expect((await call(other, 'DELETE', '/calendars/family')).status).toBe(403);
+		expect((await call(owner, 'DELETE', '/calendars/family')).status).toBe(204);
+		expect((await call(owner, 'GET', '/calendars/family')).status).toBe(404);
+	});
+
+	it('gives new calendars a random ID and rejects bad bodies', async () => {
+		const created = await (await call(owner, 'POST', '/calendars', { sources: [PRIVATE_URL] })).json();
+		expect(created.id).toMatch(/^[0-9a-f]{16}$/);
+
+		expect((await call(owner, 'POST', '/calendars', { id: 'Not OK!', sources: [PRIVATE_URL] })).status).toBe(400);
+		expect((await call(owner, 'POST', '/calendars', { sources: ['not a url'] })).status).toBe(400);
+		expect((await call(owner, 'GET', '/calendars')).status).toBe(405);
+		expect((await call(owner, 'GET', '/calendars/family/nope')).status).toBe(404);
+	});
+});
+
+describe('saved calendars in the worker', () => {
+	const ics = feed(
+		['UID:standup', 'SUMMARY:Standup', 'DTSTART:20261019T090000Z', 'DTEND:20261019T091500Z'],
+		['UID:doctor', 'SUMMARY:Doctor', 'CLASS:PRIVATE', 'DTSTART:20261019T110000Z', 'DTEND:20261019T120000Z']
+	);
+
+	beforeEach(async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		stubFeed(ics);
+
+		const created = await callWorker('/calendars', {
+			method: 'POST',
+			headers: { 'X-API-Key': await apiKey({ id: 'owner-key' }), 'Content-Type': 'application/json' },
+			body: JSON.stringify({ id: 'team', label: 'Team', timezone: 'Europe/London', sources: [FEED_URL] })
+		});
+		expect(created.status).toBe(201);
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	it('reads a saved calendar through each of its views, with its timezone', async () => {
+		const headers = { 'X-API-Key': await apiKey({ id: 'other-key' }) };
+		for (const [view, contentType] of [
+			['agenda?format=json', 'application/json'],
+			['agenda?format=ics', 'text/calendar; charset=utf-8'],
+			['view', 'text/html; charset=utf-8'],
+			['freebusy', 'application/json'],
+			['alerts', 'application/json'],
+			['now', 'application/json'],
+			['stats', 'application/json']
+		]) {
+			const response = await callWorker(`/calendars/team/${view}`, { headers });
+			expect(response.status, view).toBe(200);
+			expect(response.headers.get('Content-Type'), view).toBe(contentType);
+			if (contentType === 'application/json') {
+				expect((await response.json()).timezone, view).toBe('Europe/London');
+			}
+		}
+		expect(fetch).toHaveBeenCalledWith(FEED_URL, expect.anything());
+	});
+
+	it('lets the request override the timezone but not the feeds', async () => {
+		const elsewhere = encodeURIComponent('https://elsewhere.example/a.ics');
+		const headers = { 'X-API-Key': await apiKey() };
+		const response = await callWorker(`/calendars/team/agenda?format=json&timezone=UTC&url=${elsewhere}`, { headers });
+		const body = await response.json();
+		expect(body.timezone).toBe('UTC');
+		expect(body.sources.map(source => source.calendar)).toEqual(['calendar.example']);
+	});
+
+	it('redacts the views for a key limited to redacted output', async () => {
+		const headers = { 'X-API-Key': await apiKey({ redact: true }) };
+		const agenda = await (await callWorker('/calendars/team/agenda?format=json', { headers })).json();
+		const titles = agenda.agenda.flatMap(day => day.events.map(event => event.title));
+		expect(titles).toEqual(['Busy']);
+		expect(agenda.request.redacted).toBe(true);
+
+		const busy = await (await callWorker('/calendars/team/freebusy', { headers })).json();
+		expect(busy.busy).toHaveLength(2);
+	});
+
+	it('answers 404 for an unknown calendar or view, and 400 for a bad parameter', async () => {
+		const headers = { 'X-API-Key': await apiKey() };
+		expect((await callWorker('/calendars/nobody/agenda', { headers })).status).toBe(404);
+		expect((await callWorker('/calendars/team/nope', { headers })).status).toBe(404);
+
+		const bad = await callWorker('/calendars/team/stats?format=csv', { headers });
+		expect(bad.status).toBe(400);
+		expect((await bad.json()).error).toBe('Unsupported format "csv" for /stats, expected json');
+	});
+
+	it('answers 404 without the CALENDARS namespace', async () => {
+		const headers = { 'X-API-Key': await apiKey() };
+		const response = await callWorker('/calendars/team/agenda', { headers, bindings: { CALENDARS: undefined } });
+		expect(response.status).toBe(404);
+		expect((await response.json()).error).toBe('Named calendars need the CALENDARS KV namespace');
+	});
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { parseICSDate, parseICSDuration, TIME_TYPES } from '../src/dates';
+
+describe('parseICSDate', () => {
+	it('treats "Z" values as UTC even when a TZID is given', () => {
+		const parsed = parseICSDate('20240320T100000Z', { zone: 'Europe/Berlin' });
+		expect(parsed.type).toBe(TIME_TYPES.UTC);
+		expect(parsed.dateTime.toISO()).toBe('2024-03-20T10:00:00.000Z');
+	});
+
+	it('places TZID-qualified values in their zone', () => {
+		const parsed = parseICSDate('20240320T100000', { zone: 'Europe/Berlin', floatingZone: 'America/New_York' });
+		expect(parsed.type).toBe(TIME_TYPES.ZONED);
+		expect(parsed.dateTime.toISO()).toBe('2024-03-20T10:00:00.000+01:00');
+	});
+
+	it('places floating values in the requested timezone', () => {
+		const parsed = parseICSDate('20240320T100000', { floatingZone: 'America/New_York' });
+		expect(parsed.type).toBe(TIME_TYPES.FLOATING);
+		expect(parsed.dateTime.toISO()).toBe('2024-03-20T10:00:00.000-04:00');
+	});
+
+	it('places DATE values at the start of the day in the requested timezone', () => {
+		const parsed = parseICSDate('20240320', { zone: 'Europe/Berlin', floatingZone: 'America/New_York' });
+		expect(parsed.type).toBe(TIME_TYPES.DATE);
+		expect(parsed.dateTime.toISO()).toBe('2024-03-20T00:00:00.000-04:00');
+	});
+
+	it('keeps only the date of VALUE=DATE properties', () => {
+		const parsed = parseICSDate('20240320T100000', { isDate: true });
+		expect(parsed.type).toBe(TIME_TYPES.DATE);
+		expect(parsed.dateTime.toISO()).toBe('2024-03-20T00:00:00.000Z');
+	});
+
+	it('returns null for values it cannot parse', () => {
+		expect(parseICSDate('2024-03-20')).toBeNull();
+		expect(parseICSDate('20241320T100000Z')).toBeNull();
+		expect(parseICSDate('')).toBeNull();
+		expect(parseICSDate(undefined)).toBeNull();
+	});
+});
+
+describe('parseICSDuration', () => {
+	it('parses weeks, days and times', () => {
+		expect(parseICSDuration('PT1H30M').as('minutes')).toBe(90);
+		expect(parseICSDuration('P1DT12H').as('hours')).toBe(36);
+		expect(parseICSDuration('P2W').as('days')).toBe(14);
+	});
+
+	it('parses negative durations', () => {
+		expect(parseICSDuration('-PT15M').as('minutes')).toBe(-15);
+	});
+
+	it('returns null for values it cannot parse', () => {
+		expect(parseICSDuration('1 hour')).toBeNull();
+		expect(parseICSDuration('PT')).toBeNull();
+		expect(parseICSDuration('')).toBeNull();
+	});
+});
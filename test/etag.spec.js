@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { cacheControl, computeETag, matchesETag } from '../src/etag';
+import { apiKey, callWorker, feed, FEED_URL, stubFeed } from './fixtures';
+
+describe('computeETag', () => {
+	it('is stable for the same content and changes with it', async () => {
+		const agenda = [{ date: '2024-03-20', events: [{ title: 'Standup' }] }];
+		const etag = await computeETag({ agenda });
+
+		expect(etag).toMatch(/^W\/"[0-9a-f]{32}"$/);
+		expect(await computeETag({ agenda: structuredClone(agenda) })).toBe(etag);
+		expect(await computeETag({ agenda: [{ date: '2024-03-20', events: [{ title: 'Retro' }] }] })).not.toBe(etag);
+	});
+});
+
+describe('matchesETag', () => {
+	const etag = 'W/"abc"';
+
+	it('compares tags weakly', () => {
+		expect(matchesETag('W/"abc"', etag)).toBe(true);
+		expect(matchesETag('"abc"', etag)).toBe(true);
+		expect(matchesETag('"xyz", W/"abc"', etag)).toBe(true);
+		expect(matchesETag('*', etag)).toBe(true);
+	});
+
+	it('does not match other or missing tags', () => {
+		expect(matchesETag('"xyz"', etag)).toBe(false);
+		expect(matchesETag(null, etag)).toBe(false);
+	});
+});
+
+describe('cacheControl', () => {
+	it('uses RESPONSE_MAX_AGE when set', () => {
+		expect(cacheControl()).toBe('private, max-age=60');
+		expect(cacheControl({ RESPONSE_MAX_AGE: '300' })).toBe('private, max-age=300');
+	});
+});
+
+describe('conditional requests to the worker', () => {
+	const ics = feed(['UID:standup', 'SUMMARY:Standup', 'DTSTART:20261019T090000Z', 'DTEND:20261019T091500Z']);
+	const agendaPath = `/?url=${encodeURIComponent(FEED_URL)}&format=json`;
+
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		stubFeed(ics);
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	it('tags an answer and answers 304 to a request with a matching If-None-Match', async () => {
+		const headers = { 'X-API-Key': await apiKey() };
+		const first = await callWorker(agendaPath, { headers });
+		const etag = first.headers.get('ETag');
+		expect(first.status).toBe(200);
+		expect(etag).toMatch(/^W\/"[0-9a-f]{32}"$/);
+		expect(first.headers.get('Cache-Control')).toBe('private, max-age=60');
+		expect(first.headers.get('Vary')).toBe('Accept');
+		expect(first.headers.get('Access-Control-Expose-Headers')).toContain('ETag');
+
+		const revalidated = await callWorker(agendaPath, { headers: { ...headers, 'If-None-Match': etag } });
+		expect(revalidated.status).toBe(304);
+		expect(revalidated.headers.get('ETag')).toBe(etag);
+		expect(await revalidated.text()).toBe('');
+
+		const changed = await callWorker(agendaPath, { headers: { ...headers, 'If-None-Match': 'W/"0123"' } });
+		expect(changed.status).toBe(200);
+	});
+
+	it('keeps the tag when only the key, the time or the cache metadata change', async () => {
+		const first = await callWorker(agendaPath, { headers: { 'X-API-Key': await apiKey({ id: 'k1' }) } });
+		vi.setSystemTime(new Date('2026-10-19T08:00:45Z'));
+		const second = await callWorker(agendaPath, { headers: { 'X-API-Key': await apiKey({ id: 'k2' }) } });
+
+		expect(second.headers.get('ETag')).toBe(first.headers.get('ETag'));
+		expect(await second.text()).not.toBe(await first.text());
+	});
+
+	it('changes the tag when an event changes', async () => {
+		const headers = { 'X-API-Key': await apiKey() };
+		const first = await callWorker(agendaPath, { headers });
+		stubFeed(feed(['UID:standup', 'SUMMARY:Standup', 'DTSTART:20261019T093000Z', 'DTEND:20261019T094500Z']));
+		const second = await callWorker(agendaPath, { headers: { ...headers, 'If-None-Match': first.headers.get('ETag') } });
+
+		expect(second.status).toBe(200);
+		expect(second.headers.get('ETag')).not.toBe(first.headers.get('ETag'));
+	});
+
+	it('does not tag /now, whose countdowns change every second', async () => {
+		const response = await callWorker(`/now?url=${encodeURIComponent(FEED_URL)}`, {
+			headers: { 'X-API-Key': await apiKey(), 'If-None-Match': '*' }
+		});
+		expect(response.status).toBe(200);
+		expect(response.headers.get('ETag')).toBeNull();
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+	});
+});
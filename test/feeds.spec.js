@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FeedError, MAX_FEEDS, fetchFeed, mergeFeedEvents, parseFeedSources } from '../src/feeds';
+import { getUpstreamPolicy } from '../src/upstream';
+
+const params = query => new URLSearchParams(query);
+
+describe('parseFeedSources', () => {
+	it('pairs repeated url, label and color parameters by position', () => {
+		const sources = parseFeedSources(params('url=webcal://a.example/a.ics&url=https://b.example/b.ics&label=Family&color=E91E63'));
+		expect(sources).toEqual([
+			{ url: 'https://a.example/a.ics', label: 'Family', color: '#e91e63' },
+			{ url: 'https://b.example/b.ics', label: 'b.example', color: null }
+		]);
+	});
+
+	it('reads a JSON list of feeds', () => {
+		const feeds = JSON.stringify([{ url: 'https://a.example/a.ics', label: 'Team', color: 'teal' }, 'https://b.example/b.ics']);
+		expect(parseFeedSources(params({ feeds }))).toEqual([
+			{ url: 'https://a.example/a.ics', label: 'Team', color: 'teal' },
+			{ url: 'https://b.example/b.ics', label: 'b.example', color: null }
+		]);
+	});
+
+	it('rejects missing, invalid or too many feeds', () => {
+		expect(() => parseFeedSources(params(''))).toThrow('Missing url parameter');
+		expect(() => parseFeedSources(params('feeds={"url":"x"}'))).toThrow(FeedError);
+		expect(() => parseFeedSources(params('url=https://a.example/a.ics&color=red;x'))).toThrow('Invalid color');
+		const tooMany = Array.from({ length: MAX_FEEDS + 1 }, (_, index) => `url=https://a.example/${index}.ics`).join('&');
+		expect(() => parseFeedSources(params(tooMany))).toThrow('Too many feeds');
+	});
+});
+
+describe('mergeFeedEvents', () => {
+	const family = { label: 'Family', color: '#e91e63' };
+	const work = { label: 'Work', color: null };
+
+	it('tags events with their source', () => {
+		const [event] = mergeFeedEvents([{ source: family, events: [{ uid: 'a', title: 'Dinner', sequence: 0 }] }]);
+		expect(event).toMatchObject({ title: 'Dinner', source: 'Family', color: '#e91e63' });
+	});
+
+	it('keeps one copy of an event shared between feeds, preferring the newer revision', () => {
+		const merged = mergeFeedEvents([
+			{ source: family, events: [{ uid: 'shared', title: 'Old', sequence: 1 }, { uid: 'b', title: 'Other', sequence: 0 }] },
+			{ source: work, events: [{ uid: 'shared', title: 'New', sequence: 2 }] }
+		]);
+		expect(merged.map(event => [event.title, event.source])).toEqual([
+			['New', 'Work'],
+			['Other', 'Family']
+		]);
+	});
+
+	it('keeps overrides and events without a UID', () => {
+		const merged = mergeFeedEvents([
+			{ source: family, events: [{ uid: 'series', sequence: 0 }, { uid: '', title: 'No UID', sequence: 0 }] },
+			{ source: work, events: [{ uid: 'series', recurrenceId: '2024-03-20T10:00:00.000Z', sequence: 0 }, { uid: '', title: 'No UID', sequence: 0 }] }
+		]);
+		expect(merged).toHaveLength(4);
+	});
+});
+
+describe('fetchFeed', () => {
+	const CALENDAR = 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n';
+	let upstream;
+
+	beforeEach(() => {
+		upstream = vi.fn(async () => new Response(CALENDAR, { headers: { 'Content-Type': 'text/calendar' } }));
+		vi.stubGlobal('fetch', upstream);
+	});
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+		vi.useRealTimers();
+	});
+
+	const failure = promise => promise.then(() => null, error => error);
+
+	it('checks every redirect and stops after the limit', async () => {
+		upstream.mockResolvedValueOnce(new Response(null, { status: 302, headers: { Location: '/moved.ics' } }));
+		const { body } = await fetchFeed('https://a.example/a.ics');
+		expect(new TextDecoder().decode(body)).toBe(CALENDAR);
+		expect(upstream.mock.calls[1][0]).toBe('https://a.example/moved.ics');
+
+		upstream.mockResolvedValueOnce(new Response(null, { status: 301, headers: { Location: 'http://169.254.169.254/' } }));
+		const refused = await failure(fetchFeed('https://a.example/a.ics'));
+		expect(refused.status).toBe(403);
+		expect(refused.message).toMatch(/private/);
+
+		upstream.mockImplementation(async () => new Response(null, { status: 302, headers: { Location: '/again' } }));
+		const looped = await failure(fetchFeed('https://a.example/a.ics', { policy: getUpstreamPolicy({ FEED_MAX_REDIRECTS: '2' }) }));
+		expect(looped.message).toMatch(/Too many redirects/);
+		expect(upstream).toHaveBeenCalledTimes(6);
+	});
+
+	it('refuses bodies over the size limit and responses that are not calendars', async () => {
+		const policy = getUpstreamPolicy({ FEED_MAX_BYTES: '10' });
+		expect((await failure(fetchFeed('https://a.example/a.ics', { policy }))).message).toMatch(/larger than the 10 byte limit/);
+
+		upstream.mockResolvedValueOnce(new Response('<html>Sign in</html>', { headers: { 'Content-Type': 'text/html' } }));
+		const html = await failure(fetchFeed('https://a.example/a.ics'));
+		expect([html.status, html.details]).toEqual([502, 'Content-Type is text/html']);
+
+		upstream.mockResolvedValueOnce(new Response('{"events": []}', { headers: { 'Content-Type': 'text/plain' } }));
+		expect((await failure(fetchFeed('https://a.example/a.ics'))).details).toMatch(/BEGIN:VCALENDAR/);
+	});
+
+	it('times out slow upstreams', async () => {
+		vi.useFakeTimers();
+		const hang = (url, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+		upstream.mockImplementation(hang);
+		const pending = failure(fetchFeed('https://a.example/a.ics'));
+		await vi.advanceTimersByTimeAsync(10000);
+		const error = await pending;
+		expect([error.status, error.message]).toEqual([504, 'Timed out fetching calendar after 10 seconds']);
+	});
+
+	it('passes on a short, clean excerpt of upstream errors', async () => {
+		const page = `<html><body><h1>Forbidden</h1>${'<p>internal trace</p>'.repeat(500)}</body></html>`;
+		upstream.mockResolvedValueOnce(new Response(page, { status: 403, statusText: 'Forbidden' }));
+		const error = await failure(fetchFeed('https://a.example/a.ics'));
+		expect(error.status).toBe(403);
+		expect(error.details.startsWith('Forbidden internal trace')).toBe(true);
+		expect(error.details.length).toBeLessThanOrEqual(200);
+	});
+});
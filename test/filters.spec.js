@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { createEventFilter, matchesQuery, parseFilters, parseQuery } from '../src/filters';
+
+const standup = {
+	title: 'Daily Standup',
+	description: 'Sync on blockers',
+	location: 'Remote',
+	categories: ['Work', 'Meetings'],
+	organizer: { name: 'Ada', email: 'ada@example.com' },
+	isAllDay: false,
+	status: 'CONFIRMED',
+	transparency: 'OPAQUE'
+};
+const holiday = {
+	title: 'Bank holiday',
+	description: '',
+	location: '',
+	categories: [],
+	organizer: null,
+	isAllDay: true,
+	status: null,
+	transparency: 'TRANSPARENT'
+};
+const matches = (query, event) => matchesQuery(parseQuery(query), event);
+
+describe('parseQuery', () => {
+	it('parses fields, operators and parentheses', () => {
+		expect(parseQuery('title:standup AND NOT location:remote')).toEqual({
+			type: 'and',
+			terms: [
+				{ type: 'term', field: 'title', text: 'standup' },
+				{ type: 'not', term: { type: 'term', field: 'location', text: 'remote' } }
+			]
+		});
+		expect(parseQuery('(a OR b) c').type).toBe('and');
+	});
+
+	it('rejects invalid queries', () => {
+		expect(() => parseQuery('(title:x')).toThrow('missing ")"');
+		expect(() => parseQuery('standup AND')).toThrow('expected a search term');
+		expect(() => parseQuery('a )')).toThrow('unexpected ")"');
+		expect(() => parseQuery('/[/')).toThrow('Invalid filter "/[/"');
+		expect(() => parseQuery('/x/g')).toThrow('Invalid regular expression flags');
+		expect(() => parseQuery('x'.repeat(501))).toThrow('too long');
+	});
+
+	it('rejects regular expressions that can backtrack catastrophically', () => {
+		expect(() => parseQuery('/(a+)+$/')).toThrow('Unsupported regular expression "/(a+)+$/"');
+		expect(() => parseQuery('title:/(a|aa)*b/')).toThrow('a repeated group cannot contain a quantifier or "|"');
+		expect(() => parseQuery('/(?:\\w+\\s?){2,}x/')).toThrow('a repeated group');
+		expect(() => parseQuery('/(a)\\1/')).toThrow('backreferences are not supported');
+		expect(() => parseQuery('/(?<x>a)\\k<x>/')).toThrow('backreferences are not supported');
+		expect(() => parseQuery('/a*a*a*b/')).toThrow('repeated parts cannot follow each other');
+		expect(() => parseQuery('/\\s+(x)+/')).toThrow('repeated parts cannot follow each other');
+		expect(() => parseQuery('/^stand-?up$/i')).not.toThrow();
+		expect(() => parseQuery('/^(daily )?stand[ -]?ups*?\\b/')).not.toThrow();
+		expect(() => parseQuery('/(foo|bar)/ /[(+]+/ /a{2,3}?/ /\\d+:\\d+ ?-?/')).not.toThrow();
+	});
+});
+
+describe('matchesQuery', () => {
+	it('matches substrings case-insensitively, in one field or any', () => {
+		expect(matches('standup', standup)).toBe(true);
+		expect(matches('title:blockers', standup)).toBe(false);
+		expect(matches('blockers', standup)).toBe(true);
+		expect(matches('category:meet organizer:ada@', standup)).toBe(true);
+		expect(matches('"daily standup"', standup)).toBe(true);
+	});
+
+	it('matches regular expressions', () => {
+		expect(matches('title:/^daily/i', standup)).toBe(true);
+		expect(matches('title:/^daily/', standup)).toBe(false);
+		expect(matches('description:/x$/', { ...standup, description: 'a'.repeat(2000) + 'x' })).toBe(false);
+	});
+
+	it('combines terms with AND, OR and NOT', () => {
+		expect(matches('title:standup AND NOT location:remote', standup)).toBe(false);
+		expect(matches('title:standup NOT location:office', standup)).toBe(true);
+		expect(matches('holiday OR standup', holiday)).toBe(true);
+		expect(matches('NOT (holiday OR standup)', holiday)).toBe(false);
+	});
+
+	it('searches unknown field names as typed', () => {
+		expect(matches('10:30', { ...standup, title: 'Call at 10:30' })).toBe(true);
+		expect(matches('http://x', standup)).toBe(false);
+	});
+});
+
+describe('parseFilters', () => {
+	it('reads the queries and switches', () => {
+		const params = new URLSearchParams('include=standup&exclude=remote&allDay=Exclude&status!=tentative,cancelled&transparent=exclude');
+		expect(parseFilters(params)).toEqual({
+			include: ['standup'],
+			exclude: ['remote'],
+			allDay: 'exclude',
+			status: { include: [], exclude: ['TENTATIVE', 'CANCELLED'] },
+			transparent: 'exclude'
+		});
+	});
+
+	it('rejects invalid filters', () => {
+		expect(() => parseFilters(new URLSearchParams('include=(x'))).toThrow('Invalid filter');
+		expect(() => parseFilters(new URLSearchParams('allDay=yes'))).toThrow('Invalid allDay');
+		expect(() => parseFilters(new URLSearchParams('status=maybe'))).toThrow('Invalid status');
+	});
+});
+
+describe('createEventFilter', () => {
+	const filter = query => [standup, holiday].filter(createEventFilter(parseFilters(new URLSearchParams(query)))).map(event => event.title);
+
+	it('keeps events matching an include query and no exclude query', () => {
+		expect(filter('include=standup&include=holiday&exclude=bank')).toEqual(['Daily Standup']);
+	});
+
+	it('applies the switches', () => {
+		expect(filter('allDay=only')).toEqual(['Bank holiday']);
+		expect(filter('transparent=exclude')).toEqual(['Daily Standup']);
+		expect(filter('status=confirmed')).toEqual(['Daily Standup']);
+		expect(filter('status!=confirmed')).toEqual(['Bank holiday']);
+	});
+
+	it('keeps everything without filters', () => {
+		expect(filter('')).toEqual(['Daily Standup', 'Bank holiday']);
+		expect([standup].filter(createEventFilter(null))).toHaveLength(1);
+	});
+});
@@ -0,0 +1,53 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { vi } from 'vitest';
+import worker from '../src';
+import { createApiKey } from '../src/auth';
+
+// An agenda item as createGroupedEvents returns it, on a day of March 2024 in Paris: item('Standup', '20T09:00', '20T09:30')
+export const item = (title, start, end, details = {}) => ({
+	type: 'event',
+	title,
+	start: `2024-03-${start}:00.000+01:00`,
+	end: `2024-03-${end}:00.000+01:00`,
+	isFullDay: false,
+	crossDay: false,
+	uid: title.toLowerCase(),
+	occurrenceDate: null,
+	status: null,
+	transparency: 'OPAQUE',
+	categories: [],
+	source: null,
+	...details
+});
+
+export const FEED_URL = 'https://calendar.example/work.ics';
+export const MASTER_KEY = 'a-long-master-secret';
+
+// A feed holding the given VEVENTs, each a list of content lines
+export function feed(...events) {
+	const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']), 'END:VCALENDAR'];
+	return lines.join('\r\n') + '\r\n';
+}
+
+// Answers every upstream fetch with `ics`; returns the mock to check the calls
+export function stubFeed(ics) {
+	const upstream = vi.fn(async () => new Response(ics, { headers: { 'Content-Type': 'text/calendar' } }));
+	vi.stubGlobal('fetch', upstream);
+	return upstream;
+}
+
+export const apiKey = (claims = {}) => createApiKey({ id: 'k1', exp: '2999-01-01', ...claims }, MASTER_KEY);
+
+/**
+ * Sends a request through the worker as a production deployment would see it: keys are checked against
+ * MASTER_KEY and feeds are not cached. The pool's bindings are passed on, except RATE_LIMITER unless `bindings`
+ * asks for it.
+ */
+export async function callWorker(path, { method = 'GET', headers = {}, body, bindings = {} } = {}) {
+	const ctx = createExecutionContext();
+	const request = new Request(`https://worker.example${path}`, { method, headers, body });
+	const workerEnv = { ...env, ENVIRONMENT: 'production', MASTER_KEY, FEED_CACHE_TTL: '0', RATE_LIMITER: undefined, ...bindings };
+	const response = await worker.fetch(request, workerEnv, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { DateTime } from 'luxon';
+import { encodeBmp, rasterize, renderBmp } from '../../src/formats/bmp';
+import { agenda } from './fixtures';
+
+const request = { startFrom: '2024-03-20T00:00:00.000Z' };
+const now = DateTime.fromISO('2024-03-20T14:30:00Z');
+
+describe('encodeBmp', () => {
+	it('writes a bottom-up 1-bit bitmap with padded rows', () => {
+		// 3x2: the top row is black, white, black and the bottom row white
+		const bytes = encodeBmp(new Uint8Array([0, 1, 0, 1, 1, 1]), 3, 2);
+		const view = new DataView(bytes.buffer);
+		expect(String.fromCharCode(bytes[0], bytes[1])).toBe('BM');
+		expect(view.getUint32(2, true)).toBe(62 + 2 * 4);
+		expect(bytes.length).toBe(70);
+		expect(view.getUint32(10, true)).toBe(62);
+		expect([view.getInt32(18, true), view.getInt32(22, true), view.getUint16(28, true)]).toEqual([3, 2, 1]);
+		expect([...bytes.slice(54, 62)]).toEqual([0, 0, 0, 0, 255, 255, 255, 0]);
+		expect([...bytes.slice(62)]).toEqual([0xe0, 0, 0, 0, 0x40, 0, 0, 0]);
+	});
+});
+
+describe('rasterize', () => {
+	it('draws rectangles and glyphs', () => {
+		const pixels = rasterize({
+			width: 8,
+			height: 8,
+			shapes: [
+				{ type: 'rect', x: 0, y: 0, width: 8, height: 8, color: 'white' },
+				{ type: 'text', x: 1, y: 0, text: 'l', scale: 1, color: 'black', bold: false },
+				{ type: 'rect', x: 0, y: 7, width: 20, height: 5, color: 'black' }
+			]
+		});
+		const rows = Array.from({ length: 8 }, (_, y) => [...pixels.slice(y * 8, y * 8 + 8)].map(pixel => (pixel ? '.' : '#')).join(''));
+		expect(rows).toEqual(['..##....', '...#....', '...#....', '...#....', '...#....', '...#....', '..###...', '########']);
+	});
+});
+
+describe('renderBmp', () => {
+	it('renders the agenda at the requested size', () => {
+		const bytes = renderBmp({ agenda, request }, { now, width: 100, height: 64 });
+		const view = new DataView(bytes.buffer);
+		expect([view.getInt32(18, true), view.getInt32(22, true)]).toEqual([100, 64]);
+		expect(bytes.length).toBe(62 + 16 * 64);
+		// The header bar is black: the top row, stored last, has no white pixels
+		expect([...bytes.slice(-16, -4)].every(byte => byte === 0)).toBe(true);
+	});
+});
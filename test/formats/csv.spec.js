@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { renderCsv } from '../../src/formats/csv';
+import { agenda } from './fixtures';
+
+describe('renderCsv', () => {
+	const rows = renderCsv({ agenda }).split('\r\n');
+
+	it('writes a header and a row per event per day', () => {
+		expect(rows[0]).toBe('date,start,end,all_day,title,location,description,status,source,uid');
+		expect(rows).toHaveLength(6);
+		expect(rows[5]).toBe('');
+		expect(rows[1]).toBe('2024-03-20,2024-03-20T00:00:00.000Z,2024-03-21T00:00:00.000Z,true,Holiday,,,,Family,holiday');
+	});
+
+	it('quotes fields with commas, quotes and newlines', () => {
+		expect(rows[2]).toContain(',"Bring ""numbers"", please\nand slides",');
+	});
+
+	it('keeps spreadsheets from running text as formulas', () => {
+		expect(rows[4]).toContain(",'=SUM(A1:A2),");
+	});
+});
@@ -0,0 +1,61 @@
+// A grouped agenda as createGroupedEvents returns it, for the renderer tests
+export const agenda = [
+	{
+		date: '2024-03-20',
+		events: [
+			{
+				title: 'Holiday',
+				start: '2024-03-20T00:00:00.000Z',
+				end: '2024-03-21T00:00:00.000Z',
+				isFullDay: true,
+				crossDay: false,
+				location: '',
+				description: '',
+				status: null,
+				source: 'Family',
+				uid: 'holiday',
+			},
+			{
+				title: 'Planning *Q3*',
+				start: '2024-03-20T14:00:00.000Z',
+				end: '2024-03-20T15:30:00.000Z',
+				isFullDay: false,
+				crossDay: false,
+				location: 'Room 1',
+				description: 'Bring "numbers", please\nand slides',
+				status: 'CONFIRMED',
+				source: 'Work',
+				uid: 'planning',
+			},
+			{
+				title: 'Night shift',
+				start: '2024-03-20T22:00:00.000Z',
+				end: '2024-03-20T23:59:59.999Z',
+				isFullDay: false,
+				crossDay: true,
+				location: '',
+				description: '',
+				status: null,
+				source: 'Work',
+				uid: 'night',
+			},
+		],
+	},
+	{
+		date: '2024-03-21',
+		events: [
+			{
+				title: '=SUM(A1:A2)',
+				start: '2024-03-21T00:00:00.000Z',
+				end: '2024-03-21T06:00:00.000Z',
+				isFullDay: false,
+				crossDay: true,
+				location: '',
+				description: '',
+				status: null,
+				source: 'Work',
+				uid: 'night',
+			},
+		],
+	},
+];
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { DateTime } from 'luxon';
+import { escapeHtml, findHighlights, renderHtml } from '../../src/formats/html';
+import { agenda } from './fixtures';
+
+const request = { startFrom: '2024-03-20T00:00:00.000Z' };
+
+describe('escapeHtml', () => {
+	it('escapes markup and quotes', () => {
+		expect(escapeHtml(`<img src=x onerror="alert('x')">&`)).toBe('&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;&amp;');
+	});
+});
+
+describe('findHighlights', () => {
+	it('finds the timed events in progress and the next one to start', () => {
+		expect(findHighlights(agenda, DateTime.fromISO('2024-03-20T14:30:00Z'))).toEqual({
+			current: ['planning|2024-03-20T14:00:00.000Z'],
+			next: 'night|2024-03-20T22:00:00.000Z',
+		});
+	});
+
+	it('ignores all-day events', () => {
+		expect(findHighlights(agenda, DateTime.fromISO('2024-03-20T08:00:00Z')).current).toEqual([]);
+	});
+});
+
+describe('renderHtml', () => {
+	const now = DateTime.fromISO('2024-03-20T14:30:00Z');
+
+	it('renders a self-contained page without scripts', () => {
+		const html = renderHtml({ agenda, request }, { now });
+		expect(html.startsWith('<!doctype html>')).toBe(true);
+		expect(html).not.toMatch(/<script|<link|src=/i);
+		expect(html).toContain('<section class="day today"><h2>Wed 20 Mar 2024</h2>');
+	});
+
+	it('escapes event text', () => {
+		const hostile = [{ date: '2024-03-20', events: [{ ...agenda[0].events[1], title: '<script>alert(1)</script>', location: '"><b>x' }] }];
+		const html = renderHtml({ agenda: hostile, request }, { now });
+		expect(html).not.toContain('<script>');
+		expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+		expect(html).toContain('&quot;&gt;&lt;b&gt;x');
+	});
+
+	it('marks the current and next events', () => {
+		const html = renderHtml({ agenda, request }, { now });
+		expect(html).toMatch(/<li class="event now">[^]*?Planning \*Q3\*[^]*?<span class="badge">Now<\/span>/);
+		expect(html).toMatch(/<li class="event next">[^]*?Night shift/);
+	});
+
+	it('applies the layout, theme and refresh interval', () => {
+		const html = renderHtml({ agenda, request }, { now, layout: 'week', theme: 'dark', refresh: 60 });
+		expect(html).toContain('<meta http-equiv="refresh" content="60">');
+		expect(html).toContain('<body class="theme-dark layout-week">');
+		expect(html.match(/<section class="day/g)).toHaveLength(7);
+	});
+
+	it('shows only the first day in the day layout', () => {
+		const html = renderHtml({ agenda, request }, { now, layout: 'day' });
+		expect(html.match(/<section class="day/g)).toHaveLength(1);
+		expect(html).not.toContain('=SUM');
+	});
+
+	it('colours events by source and lists failed feeds', () => {
+		const coloured = [{ date: '2024-03-20', events: [{ ...agenda[0].events[0], color: '#e91e63' }] }];
+		const html = renderHtml({ agenda: coloured, request, errors: [{ source: 'Work' }] }, { now });
+		expect(html).toContain('style="--source-color: #e91e63"');
+		expect(html).toContain('<footer>Could not load: Work</footer>');
+	});
+});
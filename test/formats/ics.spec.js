@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import { DateTime } from 'luxon';
+import { parseComponents, getProperty, getProperties } from '../../src/ics';
+import { buildTimezones } from '../../src/timezones';
+import { buildVTimezone, escapeText, foldLine, serializeCalendar, serializeFreeBusy } from '../../src/formats/ics';
+
+const octets = line => new TextEncoder().encode(line).length;
+
+const standup = {
+	uid: 'standup',
+	title: 'Standup, daily; "team"',
+	start: '2024-03-20T09:00:00.000+01:00',
+	end: '2024-03-20T09:15:00.000+01:00',
+	description: 'Line one\nLine two',
+	location: '',
+	isAllDay: false,
+	isRecurring: true,
+	occurrenceDate: '2024-03-20T09:00:00.000+01:00',
+	status: 'CONFIRMED',
+	transparency: 'OPAQUE',
+	classification: 'PUBLIC',
+	sequence: 2,
+	categories: ['Work', 'Daily, recurring'],
+	organizer: { name: 'Smith; John', email: 'john@example.com' },
+	attendees: [{ name: 'Jane', email: 'jane@example.com', role: 'CHAIR', partstat: 'ACCEPTED', rsvp: true, type: 'INDIVIDUAL' }],
+	lastModified: '2024-03-01T12:00:00.000Z'
+};
+
+const holiday = {
+	uid: 'holiday',
+	title: 'Holiday',
+	start: '2024-03-22T00:00:00.000-04:00',
+	end: '2024-03-23T00:00:00.000-04:00',
+	isAllDay: true
+};
+
+describe('escapeText', () => {
+	it('escapes backslashes, separators and newlines', () => {
+		expect(escapeText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+	});
+});
+
+describe('foldLine', () => {
+	it('folds at 75 octets without splitting multi-byte characters', () => {
+		const folded = foldLine(`SUMMARY:${'ü'.repeat(100)}`);
+		const lines = folded.split('\r\n');
+
+		expect(lines.length).toBeGreaterThan(1);
+		lines.forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+		expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+		expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'ü'.repeat(100)}`);
+	});
+
+	it('leaves short lines alone', () => {
+		expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+	});
+});
+
+describe('buildVTimezone', () => {
+	it('lists the daylight saving transitions of the year', () => {
+		const lines = buildVTimezone('America/New_York', DateTime.fromISO('2024-03-01'), DateTime.fromISO('2024-03-31'));
+		const [vtimezone] = parseComponents(lines.join('\r\n'));
+		const [, daylight, standard] = vtimezone.components;
+
+		expect(daylight.name).toBe('DAYLIGHT');
+		expect(getProperty(daylight, 'DTSTART').value).toBe('20240310T020000');
+		expect(getProperty(daylight, 'TZOFFSETTO').value).toBe('-0400');
+		expect(standard.name).toBe('STANDARD');
+		expect(getProperty(standard, 'DTSTART').value).toBe('20241103T020000');
+	});
+
+	it('produces a zone that resolves back to the same offsets', () => {
+		const lines = buildVTimezone('Europe/Berlin', DateTime.fromISO('2024-01-01'), DateTime.fromISO('2024-12-31'));
+		// Renamed so the zone is built from the observances rather than looked up by its IANA name
+		const custom = buildTimezones(parseComponents(lines.join('\r\n').replace('TZID:Europe/Berlin', 'TZID:Custom'))).get('Custom');
+
+		expect(DateTime.fromObject({ year: 2024, month: 7, day: 1, hour: 9 }, { zone: custom }).offset).toBe(120);
+		expect(DateTime.fromObject({ year: 2024, month: 12, day: 1, hour: 9 }, { zone: custom }).offset).toBe(60);
+	});
+});
+
+describe('serializeCalendar', () => {
+	const ics = serializeCalendar([standup, holiday], {
+		timezone: 'America/New_York',
+		from: DateTime.fromISO('2024-03-18'),
+		to: DateTime.fromISO('2024-03-25'),
+		name: 'Team'
+	});
+	const [calendar] = parseComponents(ics);
+	const [event, allDay] = calendar.components.filter(component => component.name === 'VEVENT');
+
+	it('writes a folded CRLF feed', () => {
+		expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+		expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+		ics.split('\r\n').forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+		expect(getProperty(calendar, 'X-WR-CALNAME').value).toBe('Team');
+	});
+
+	it('includes a VTIMEZONE for the requested timezone', () => {
+		const vtimezone = calendar.components.find(component => component.name === 'VTIMEZONE');
+		expect(getProperty(vtimezone, 'TZID').value).toBe('America/New_York');
+	});
+
+	it('writes times in the requested timezone', () => {
+		expect(getProperty(event, 'DTSTART').params).toEqual({ TZID: 'America/New_York' });
+		expect(getProperty(event, 'DTSTART').value).toBe('20240320T040000');
+		expect(getProperty(event, 'DTEND').value).toBe('20240320T041500');
+	});
+
+	it('round-trips escaped text and parameters', () => {
+		expect(getProperty(event, 'SUMMARY').value).toBe(standup.title);
+		expect(getProperty(event, 'DESCRIPTION').value).toBe(standup.description);
+		expect(getProperty(event, 'CATEGORIES').rawValue).toBe('Work,Daily\\, recurring');
+		expect(getProperty(event, 'ORGANIZER').params.CN).toBe('Smith; John');
+		expect(getProperties(event, 'ATTENDEE')[0].params).toMatchObject({ CN: 'Jane', ROLE: 'CHAIR', PARTSTAT: 'ACCEPTED', RSVP: 'TRUE' });
+		expect(getProperty(event, 'SEQUENCE').value).toBe('2');
+	});
+
+	it('keeps the series UID and marks each occurrence with a RECURRENCE-ID', () => {
+		expect(getProperty(event, 'UID').value).toBe('standup');
+		expect(getProperty(event, 'RECURRENCE-ID')).toMatchObject({ params: { TZID: 'America/New_York' }, value: '20240320T040000' });
+		expect(getProperty(allDay, 'UID').value).toBe('holiday');
+		expect(getProperty(allDay, 'RECURRENCE-ID')).toBeNull();
+
+		const series = serializeCalendar([{ ...holiday, isRecurring: true, occurrenceDate: holiday.start }], { timezone: 'America/New_York' });
+		const [yearly] = parseComponents(series)[0].components.filter(component => component.name === 'VEVENT');
+		expect(getProperty(yearly, 'RECURRENCE-ID')).toMatchObject({ params: { VALUE: 'DATE' }, value: '20240322' });
+		expect(getProperty(event, 'DTSTAMP').value).toBe('20240301T120000Z');
+	});
+
+	it('writes all-day events as dates', () => {
+		expect(getProperty(allDay, 'DTSTART')).toMatchObject({ params: { VALUE: 'DATE' }, value: '20240322' });
+		expect(getProperty(allDay, 'DTEND').value).toBe('20240323');
+	});
+
+	it('writes UTC times without a VTIMEZONE', () => {
+		const utc = serializeCalendar([standup], { timezone: 'UTC' });
+		expect(utc).not.toContain('BEGIN:VTIMEZONE');
+		expect(utc).toContain('DTSTART:20240320T080000Z');
+	});
+});
+
+describe('serializeFreeBusy', () => {
+	it('writes busy periods in UTC with their FBTYPE', () => {
+		const busy = [
+			{ start: '2024-03-20T10:00:00.000+01:00', end: '2024-03-20T11:00:00.000+01:00', tentative: false },
+			{ start: '2024-03-20T11:00:00.000+01:00', end: '2024-03-20T12:00:00.000+01:00', tentative: true }
+		];
+		const from = DateTime.fromISO('2024-03-20T00:00:00Z', { zone: 'utc' });
+		const lines = serializeFreeBusy(busy, { from, to: from.plus({ days: 1 }), name: 'Work' }).split('\r\n');
+
+		expect(lines).toContain('BEGIN:VFREEBUSY');
+		expect(lines).toContain('DTSTART:20240320T000000Z');
+		expect(lines).toContain('DTEND:20240321T000000Z');
+		expect(lines).toContain('FREEBUSY;FBTYPE=BUSY:20240320T090000Z/20240320T100000Z');
+		expect(lines).toContain('FREEBUSY;FBTYPE=BUSY-TENTATIVE:20240320T100000Z/20240320T110000Z');
+		expect(lines).not.toContain('BEGIN:VEVENT');
+	});
+});
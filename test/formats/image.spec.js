@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { DateTime } from 'luxon';
+import { layoutAgenda, truncate } from '../../src/formats/image';
+import { agenda } from './fixtures';
+
+const request = { startFrom: '2024-03-20T00:00:00.000Z' };
+const now = DateTime.fromISO('2024-03-20T14:30:00Z');
+const texts = layout => layout.shapes.filter(shape => shape.type === 'text').map(shape => shape.text);
+
+describe('truncate', () => {
+	it('cuts long text with an ellipsis', () => {
+		expect(truncate('Planning', 8)).toBe('Planning');
+		expect(truncate('Planning', 5)).toBe('Plan…');
+		expect(truncate('😀😀😀', 2)).toBe('😀…');
+	});
+});
+
+describe('layoutAgenda', () => {
+	it('lists the days with events under a date header', () => {
+		const layout = layoutAgenda({ agenda, request }, { now });
+		expect(layout).toMatchObject({ width: 296, height: 128 });
+		expect(texts(layout)).toEqual([
+			'Wed 20 Mar',
+			'Wed 20 Mar', 'All day', 'Holiday', '14:00', 'Planning *Q3*', '22:00', 'Night shift',
+			'Thu 21 Mar', '-06:00', '=SUM(A1:A2)'
+		]);
+	});
+
+	it('inverts the event on now and bolds the next one', () => {
+		const { shapes } = layoutAgenda({ agenda, request }, { now });
+		expect(shapes.find(shape => shape.text === 'Planning *Q3*')).toMatchObject({ color: 'white', bold: false });
+		expect(shapes.find(shape => shape.text === 'Night shift')).toMatchObject({ color: 'black', bold: true });
+	});
+
+	it('shows one day with full time ranges for the today template', () => {
+		const layout = layoutAgenda({ agenda, request }, { now, template: 'today' });
+		expect(texts(layout)).toEqual(['Wednesday 20 March', 'All day', 'Holiday', '14:00-15:30', 'Planning *Q3*', '22:00-', 'Night shift']);
+		const empty = layoutAgenda({ agenda: [], request }, { now, template: 'today' });
+		expect(texts(empty)).toContain('No events today');
+	});
+
+	it('shows three days, including empty ones, for the next-3-days template', () => {
+		const layout = layoutAgenda({ agenda, request }, { now, template: 'next-3-days', height: 200 });
+		expect(texts(layout).slice(-3)).toEqual(['=SUM(A1:A2)', 'Fri 22 Mar', 'No events']);
+	});
+
+	it('truncates titles and summarises the rows that do not fit', () => {
+		const layout = layoutAgenda({ agenda, request }, { now, width: 100, height: 64 });
+		expect(texts(layout)).toEqual(['Wed 20 Mar', 'Wed 20 Mar', 'All day', 'Holiday', '14:00', 'Planni…', '+2 more']);
+	});
+
+	it('flags feeds that could not be loaded', () => {
+		const layout = layoutAgenda({ agenda, request, errors: [{ source: 'Work' }] }, { now });
+		expect(texts(layout)[1]).toBe('!');
+	});
+});
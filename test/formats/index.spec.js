@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { negotiateFormat, parseFormatOptions } from '../../src/formats';
+
+describe('negotiateFormat', () => {
+	it('prefers the format parameter', () => {
+		expect(negotiateFormat('CSV', 'text/plain')).toBe('csv');
+		expect(() => negotiateFormat('xml', null)).toThrow('Unsupported format "xml"');
+	});
+
+	it('picks the most preferred type in the Accept header', () => {
+		expect(negotiateFormat(null, 'text/markdown')).toBe('markdown');
+		expect(negotiateFormat(null, 'text/csv;q=0.5, text/plain;q=0.9')).toBe('text');
+		expect(negotiateFormat(null, 'text/calendar, application/json')).toBe('ics');
+		expect(negotiateFormat(null, 'text/plain;q=0, text/csv')).toBe('csv');
+	});
+
+	it('falls back to JSON', () => {
+		expect(negotiateFormat(null, null)).toBe('json');
+		expect(negotiateFormat(null, 'text/html,*/*;q=0.8')).toBe('json');
+	});
+});
+
+describe('parseFormatOptions', () => {
+	it('defaults to 80 columns and a 24h clock', () => {
+		expect(parseFormatOptions(new URLSearchParams())).toMatchObject({ columns: 80, clock: '24h' });
+		expect(parseFormatOptions(new URLSearchParams('columns=32&clock=12'))).toMatchObject({ columns: 32, clock: '12h' });
+	});
+
+	it('rejects invalid values', () => {
+		expect(() => parseFormatOptions(new URLSearchParams('columns=5'))).toThrow('Invalid columns');
+		expect(() => parseFormatOptions(new URLSearchParams('columns=wide'))).toThrow('Invalid columns');
+		expect(() => parseFormatOptions(new URLSearchParams('clock=13'))).toThrow('Invalid clock');
+	});
+});
+
+describe('parseFormatOptions for the HTML page', () => {
+	it('reads the layout, theme and refresh interval', () => {
+		expect(parseFormatOptions(new URLSearchParams('layout=week&theme=dark&refresh=60'))).toMatchObject({ layout: 'week', theme: 'dark', refresh: 60 });
+		expect(parseFormatOptions(new URLSearchParams())).toMatchObject({ layout: 'list', theme: 'auto', refresh: null });
+	});
+
+	it('rejects invalid values', () => {
+		expect(() => parseFormatOptions(new URLSearchParams('layout=grid'))).toThrow('Invalid layout');
+		expect(() => parseFormatOptions(new URLSearchParams('theme=blue'))).toThrow('Invalid theme');
+		expect(() => parseFormatOptions(new URLSearchParams('refresh=5'))).toThrow('Invalid refresh');
+	});
+
+	it('does not pick HTML from the Accept header', () => {
+		expect(negotiateFormat(null, 'text/html')).toBe('json');
+		expect(negotiateFormat('html', null)).toBe('html');
+	});
+});
+
+describe('parseFormatOptions for images', () => {
+	it('reads the size and template', () => {
+		expect(parseFormatOptions(new URLSearchParams())).toMatchObject({ width: 296, height: 128, template: 'agenda' });
+		expect(parseFormatOptions(new URLSearchParams('width=400&height=300&template=Today'))).toMatchObject({
+			width: 400,
+			height: 300,
+			template: 'today'
+		});
+		expect(negotiateFormat(null, 'image/bmp')).toBe('bmp');
+	});
+
+	it('rejects invalid values', () => {
+		expect(() => parseFormatOptions(new URLSearchParams('width=10'))).toThrow('Invalid width');
+		expect(() => parseFormatOptions(new URLSearchParams('height=1.5'))).toThrow('Invalid height');
+		expect(() => parseFormatOptions(new URLSearchParams('template=month'))).toThrow('Invalid template');
+	});
+});
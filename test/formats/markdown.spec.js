@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown } from '../../src/formats/markdown';
+import { agenda } from './fixtures';
+
+describe('renderMarkdown', () => {
+	it('renders a heading per day and a bullet per event', () => {
+		const markdown = renderMarkdown({ agenda });
+		expect(markdown).toContain('## Wed 20 Mar 2024\n\n- **All day** Holiday\n- **14:00-15:30** Planning \\*Q3\\* — Room 1\n');
+		expect(markdown).not.toContain('_(Work)_');
+	});
+
+	it('names the source when several feeds are merged', () => {
+		const markdown = renderMarkdown({ agenda, sources: [{ label: 'Family' }, { label: 'Work' }] }, { clock: '12h' });
+		expect(markdown).toContain('- **2:00pm-3:30pm** Planning \\*Q3\\* — Room 1 _(Work)_');
+	});
+
+	it('notes feeds that could not be loaded', () => {
+		expect(renderMarkdown({ agenda: [], errors: [{ source: 'Family' }] })).toBe('_No events_\n\n> Could not load: Family\n');
+	});
+});
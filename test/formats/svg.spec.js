@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { DateTime } from 'luxon';
+import { renderSvg } from '../../src/formats/svg';
+import { agenda } from './fixtures';
+
+const request = { startFrom: '2024-03-20T00:00:00.000Z' };
+const now = DateTime.fromISO('2024-03-20T14:30:00Z');
+
+describe('renderSvg', () => {
+	it('draws a black and white image of the requested size', () => {
+		const svg = renderSvg({ agenda, request }, { now, width: 400, height: 300 });
+		expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="0 0 400 300"')).toBe(true);
+		expect(svg.match(/fill="(#[0-9a-f]+)"/g).every(fill => fill === 'fill="#000"' || fill === 'fill="#fff"')).toBe(true);
+	});
+
+	it('fits the text to the bitmap font cells', () => {
+		const svg = renderSvg({ agenda, request }, { now });
+		expect(svg).toContain(
+			'<text x="51" y="53" font-size="10" textLength="77" lengthAdjust="spacingAndGlyphs" fill="#fff">Planning *Q3*</text>'
+		);
+	});
+
+	it('escapes event text', () => {
+		const hostile = [{ date: '2024-03-20', events: [{ ...agenda[0].events[1], title: '<script>&' }] }];
+		const svg = renderSvg({ agenda: hostile, request }, { now });
+		expect(svg).not.toContain('<script>');
+		expect(svg).toContain('&lt;script&gt;&amp;');
+	});
+});
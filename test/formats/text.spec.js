@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { formatTimeRange, renderText, wrapText } from '../../src/formats/text';
+import { agenda } from './fixtures';
+
+describe('formatTimeRange', () => {
+	const [holiday, planning, night] = agenda[0].events;
+
+	it('formats times on a 24h or 12h clock', () => {
+		expect(formatTimeRange(planning)).toBe('14:00-15:30');
+		expect(formatTimeRange(planning, '12h')).toBe('2:00pm-3:30pm');
+		expect(formatTimeRange(holiday)).toBe('All day');
+	});
+
+	it('leaves out the ends of events that cross midnight', () => {
+		expect(formatTimeRange(night)).toBe('22:00-');
+		expect(formatTimeRange(agenda[1].events[0])).toBe('-06:00');
+	});
+});
+
+describe('wrapText', () => {
+	it('wraps on spaces and breaks long words', () => {
+		expect(wrapText('one two three four', 9)).toEqual(['one two', 'three', 'four']);
+		expect(wrapText('abcdefghij', 4)).toEqual(['abcd', 'efgh', 'ij']);
+	});
+});
+
+describe('renderText', () => {
+	it('lists events under a heading per day', () => {
+		expect(renderText({ agenda }, { columns: 40 })).toBe(
+			[
+				'Wed 20 Mar 2024',
+				'All day     Holiday',
+				'14:00-15:30 Planning *Q3* @ Room 1',
+				'22:00-      Night shift',
+				'',
+				'Thu 21 Mar 2024',
+				'-06:00      =SUM(A1:A2)',
+				''
+			].join('\n')
+		);
+	});
+
+	it('wraps lines to the column width', () => {
+		const lines = renderText({ agenda }, { columns: 24, clock: '12h' }).split('\n');
+		lines.forEach(line => expect(line.length).toBeLessThanOrEqual(24));
+		expect(lines).toContain('2:00pm-3:30pm   Planning');
+		expect(lines).toContain('                *Q3* @');
+	});
+
+	it('says when there are no events and which feeds failed', () => {
+		expect(renderText({ agenda: [], errors: [{ source: 'Family' }] })).toBe('No events\n\nCould not load: Family\n');
+	});
+});
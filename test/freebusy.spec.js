@@ -0,0 +1,159 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { DateTime } from 'luxon';
+import { computeAvailability, parseAvailabilityOptions } from '../src/freebusy';
+import { apiKey, callWorker, feed, FEED_URL, stubFeed } from './fixtures';
+
+const options = { hours: { start: '09:00', end: '17:00' }, workdays: ['mon', 'tue', 'wed', 'thu', 'fri'], minSlot: 30, buffer: 0 };
+// Wednesday 20 March to Saturday 23 March 2024, in London (UTC+0 until 31 March)
+const window = {
+	timezone: 'Europe/London',
+	from: DateTime.fromISO('2024-03-20T00:00:00', { zone: 'Europe/London' }),
+	to: DateTime.fromISO('2024-03-23T00:00:00', { zone: 'Europe/London' }),
+	now: DateTime.fromISO('2024-03-19T00:00:00Z')
+};
+const event = (start, end, details = {}) => ({
+	start: `2024-03-${start}Z`,
+	end: `2024-03-${end}Z`,
+	transparency: 'OPAQUE',
+	status: null,
+	...details
+});
+const times = intervals => intervals.map(({ start, end }) => `${start.slice(11, 16)}-${end.slice(11, 16)}`);
+
+describe('parseAvailabilityOptions', () => {
+	it('defaults to 09:00-17:00 on weekdays, with 30 minute slots', () => {
+		expect(parseAvailabilityOptions(new URLSearchParams())).toEqual(options);
+	});
+
+	it('reads hours, workdays, minimum slot and buffer', () => {
+		expect(parseAvailabilityOptions(new URLSearchParams('hours=8-12:30&workdays=sat-mon,wed&minSlot=15&buffer=10'))).toEqual({
+			hours: { start: '08:00', end: '12:30' },
+			workdays: ['mon', 'wed', 'sat', 'sun'],
+			minSlot: 15,
+			buffer: 10
+		});
+	});
+
+	it('rejects invalid options', () => {
+		expect(() => parseAvailabilityOptions(new URLSearchParams('hours=17:00-09:00'))).toThrow('Invalid hours');
+		expect(() => parseAvailabilityOptions(new URLSearchParams('hours=09:75-17:00'))).toThrow('Invalid hours');
+		expect(() => parseAvailabilityOptions(new URLSearchParams('workdays=mon-fry'))).toThrow('Invalid workdays');
+		expect(() => parseAvailabilityOptions(new URLSearchParams('minSlot=0'))).toThrow('Invalid minSlot');
+		expect(() => parseAvailabilityOptions(new URLSearchParams('buffer=-5'))).toThrow('Invalid buffer');
+	});
+});
+
+describe('computeAvailability', () => {
+	it('merges busy time and leaves out transparent and cancelled events', () => {
+		const { busy } = computeAvailability([
+			event('20T10:00:00', '20T11:00:00'),
+			event('20T10:30:00', '20T12:00:00'),
+			event('20T12:00:00', '20T12:30:00'),
+			event('20T13:00:00', '20T14:00:00', { transparency: 'TRANSPARENT' }),
+			event('20T15:00:00', '20T16:00:00', { status: 'CANCELLED' })
+		], { ...window, ...options });
+		expect(times(busy)).toEqual(['10:00-12:30']);
+	});
+
+	it('marks tentative time that no confirmed event covers', () => {
+		const { busy } = computeAvailability([
+			event('20T10:00:00', '20T11:00:00'),
+			event('20T09:00:00', '20T12:00:00', { status: 'TENTATIVE' })
+		], { ...window, ...options });
+		expect(busy.map(({ tentative }) => tentative)).toEqual([true, false, true]);
+		expect(times(busy)).toEqual(['09:00-10:00', '10:00-11:00', '11:00-12:00']);
+	});
+
+	it('finds free slots in working hours, around buffers and shorter than the minimum', () => {
+		const { days } = computeAvailability([
+			event('20T10:00:00', '20T11:00:00'),
+			event('20T11:40:00', '20T16:30:00')
+		], { ...window, ...options, buffer: 10 });
+		// 11:10-11:30 is shorter than 30 minutes
+		expect(times(days[0].free)).toEqual(['09:00-09:50']);
+		expect(days[0].free[0].minutes).toBe(50);
+	});
+
+	it('splits busy time across days and leaves days off without free slots', () => {
+		const events = [event('21T22:00:00', '22T10:00:00'), event('22T00:00:00', '23T00:00:00')];
+		const { days } = computeAvailability(events, { ...window, ...options });
+		expect(days.map(day => day.date)).toEqual(['2024-03-20', '2024-03-21', '2024-03-22']);
+		expect(times(days[1].busy)).toEqual(['22:00-00:00']);
+		expect(times(days[2].busy)).toEqual(['00:00-00:00']);
+		expect(days[2].free).toEqual([]);
+
+		const weekend = computeAvailability([], { ...window, ...options, workdays: ['mon'] });
+		expect(weekend.days.every(day => day.free.length === 0)).toBe(true);
+	});
+
+	it('does not offer free time in the past', () => {
+		const { days } = computeAvailability([], { ...window, ...options, now: DateTime.fromISO('2024-03-20T13:20:45Z') });
+		expect(times(days[0].free)).toEqual(['13:20-17:00']);
+	});
+});
+
+describe('/freebusy', () => {
+	// Monday 19 October 2026, with a private meeting in the morning
+	const ics = feed(
+		['UID:standup', 'SUMMARY:Standup', 'DTSTART:20261019T090000Z', 'DTEND:20261019T091500Z'],
+		['UID:doctor', 'SUMMARY:Doctor', 'CLASS:PRIVATE', 'DTSTART:20261019T110000Z', 'DTEND:20261019T120000Z']
+	);
+	const path = query => `/freebusy?url=${encodeURIComponent(FEED_URL)}&days=1&${query}`;
+
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		stubFeed(ics);
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	it('answers with busy times and free slots as JSON', async () => {
+		const response = await callWorker(path('hours=09:00-17:00'), { headers: { 'X-API-Key': await apiKey() } });
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('application/json');
+		const body = await response.json();
+		expect(body.busy.map(interval => interval.start)).toEqual(['2026-10-19T09:00:00.000Z', '2026-10-19T11:00:00.000Z']);
+		expect(body.request).toMatchObject({ hours: { start: '09:00', end: '17:00' }, redacted: false });
+		expect(JSON.stringify(body)).not.toContain('Doctor');
+	});
+
+	it('answers with a VFREEBUSY calendar for format=ics or an Accept header', async () => {
+		const headers = { 'X-API-Key': await apiKey() };
+		for (const response of [
+			await callWorker(path('format=ics'), { headers }),
+			await callWorker(path(''), { headers: { ...headers, Accept: 'text/calendar' } })
+		]) {
+			expect(response.status).toBe(200);
+			expect(response.headers.get('Content-Type')).toBe('text/calendar; charset=utf-8');
+			const body = await response.text();
+			expect(body).toContain('BEGIN:VFREEBUSY');
+			expect(body).toContain('FREEBUSY;FBTYPE=BUSY:20261019T090000Z/20261019T091500Z');
+		}
+	});
+
+	it('still counts private events for a key limited to redacted output', async () => {
+		const response = await callWorker(path(''), { headers: { 'X-API-Key': await apiKey({ redact: true }) } });
+		const body = await response.json();
+		expect(body.busy).toHaveLength(2);
+		expect(body.request.redacted).toBe(true);
+	});
+
+	it('refuses other formats and unreadable parameters with 400', async () => {
+		const headers = { 'X-API-Key': await apiKey() };
+		for (const [query, error] of [
+			['format=html', 'Unsupported format "html" for /freebusy, expected json or ics'],
+			['hours=nine-to-five', 'Invalid hours "nine-to-five"'],
+			['redact=maybe', 'Invalid redact "maybe"'],
+			['timezone=Mars/Olympus', 'Mars/Olympus']
+		]) {
+			const response = await callWorker(path(query), { headers });
+			expect(response.status).toBe(400);
+			expect(response.headers.get('Content-Type')).toBe('application/json');
+			expect((await response.json()).error).toContain(error);
+		}
+	});
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { unfoldLines, parseContentLine, splitText, parseComponents, getProperty, getProperties } from '../src/ics';
+
+describe('unfoldLines', () => {
+	it('joins folded lines and drops blank ones', () => {
+		expect(unfoldLines('SUMMARY:Team\r\n  meeting\r\n\r\nUID:1\n\tabc')).toEqual(['SUMMARY:Team meeting', 'UID:1abc']);
+	});
+
+	it('rejoins a multi-byte character folded across lines', () => {
+		const bytes = new TextEncoder().encode('SUMMARY:Café');
+		// Fold between the two bytes of "é"
+		const folded = new Uint8Array([...bytes.subarray(0, bytes.length - 1), 0x0d, 0x0a, 0x20, bytes[bytes.length - 1]]);
+		expect(unfoldLines(folded)).toEqual(['SUMMARY:Café']);
+	});
+});
+
+describe('parseContentLine', () => {
+	it('reads quoted parameters containing separators', () => {
+		const attendee = parseContentLine('ATTENDEE;CN="Smith; John";PARTSTAT=ACCEPTED:mailto:john@example.com');
+		expect(attendee.name).toBe('ATTENDEE');
+		expect(attendee.params).toEqual({ CN: 'Smith; John', PARTSTAT: 'ACCEPTED' });
+		expect(attendee.value).toBe('mailto:john@example.com');
+	});
+
+	it('returns multi-valued parameters as arrays', () => {
+		const attendee = parseContentLine('ATTENDEE;DELEGATED-FROM="mailto:a@example.com","mailto:b@example.com":mailto:c@example.com');
+		expect(attendee.params['DELEGATED-FROM']).toEqual(['mailto:a@example.com', 'mailto:b@example.com']);
+	});
+
+	it('decodes caret escapes in parameter values', () => {
+		const line = parseContentLine('ATTENDEE;CN="George ^\'Herb^\' Bush^nJr":mailto:gb@example.com');
+		expect(line.params.CN).toBe('George "Herb" Bush\nJr');
+	});
+
+	it('unescapes TEXT values but keeps the raw value', () => {
+		const line = parseContentLine('DESCRIPTION:Agenda\\nItem one\\, two\\; three \\\\ done');
+		expect(line.value).toBe('Agenda\nItem one, two; three \\ done');
+		expect(line.rawValue).toBe('Agenda\\nItem one\\, two\\; three \\\\ done');
+	});
+
+	it('leaves non-TEXT values alone', () => {
+		expect(parseContentLine('URL:https://example.com/a\\,b').value).toBe('https://example.com/a\\,b');
+	});
+
+	it('keeps the whitespace of a value', () => {
+		expect(parseContentLine('SUMMARY:  Lunch \\n ').value).toBe('  Lunch \n ');
+	});
+
+	it('returns null for malformed lines', () => {
+		expect(parseContentLine('not a property')).toBeNull();
+		expect(parseContentLine('ATTENDEE;CN="unterminated:mailto:x@example.com')).toBeNull();
+	});
+});
+
+describe('splitText', () => {
+	it('splits on unescaped commas only, keeping whitespace', () => {
+		expect(splitText('Work,Planning\\, Q3, Travel')).toEqual(['Work', 'Planning, Q3', ' Travel']);
+	});
+
+	it('reads escapes left to right', () => {
+		expect(splitText('a\\\\,b')).toEqual(['a\\', 'b']);
+		expect(splitText('a\\\\\\,b')).toEqual(['a\\,b']);
+	});
+});
+
+describe('parseComponents', () => {
+	const [calendar] = parseComponents(
+		[
+			'BEGIN:VCALENDAR',
+			'BEGIN:VEVENT',
+			'SUMMARY:Review',
+			'ATTENDEE:mailto:a@example.com',
+			'ATTENDEE:mailto:b@example.com',
+			'BEGIN:VALARM',
+			'TRIGGER:-PT15M',
+			'END:VALARM',
+			'END:VEVENT',
+			'END:VCALENDAR'
+		].join('\r\n')
+	);
+
+	it('builds nested components', () => {
+		expect(calendar.name).toBe('VCALENDAR');
+		const [event] = calendar.components;
+		expect(event.name).toBe('VEVENT');
+		expect(event.components.map(component => component.name)).toEqual(['VALARM']);
+		expect(getProperty(event.components[0], 'TRIGGER').value).toBe('-PT15M');
+	});
+
+	it('keeps every occurrence of repeated properties', () => {
+		const [event] = calendar.components;
+		expect(getProperties(event, 'ATTENDEE').map(attendee => attendee.value)).toEqual(['mailto:a@example.com', 'mailto:b@example.com']);
+		expect(getProperty(event, 'SUMMARY').value).toBe('Review');
+		expect(getProperty(event, 'LOCATION')).toBeNull();
+	});
+
+	it('tolerates a missing END', () => {
+		const [unclosed] = parseComponents('BEGIN:VCALENDAR\nBEGIN:VEVENT\nSUMMARY:One\nEND:VCALENDAR\nBEGIN:VCALENDAR\nEND:VCALENDAR');
+		expect(unclosed.components[0].properties.SUMMARY[0].value).toBe('One');
+	});
+});
@@ -0,0 +1,136 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { DateTime } from 'luxon';
+import { parseAt, summarizeNow } from '../src/now';
+import { apiKey, callWorker, feed, FEED_URL, item, stubFeed } from './fixtures';
+
+const zone = 'Europe/Paris';
+const agenda = [
+	{
+		date: '2024-03-20',
+		events: [
+			item('Holiday', '20T00:00', '21T00:00', { isFullDay: true }),
+			item('Standup', '20T09:00', '20T09:30'),
+			item('Planning', '20T09:30', '20T10:30'),
+			item('Report', '20T10:00', '20T10:00', { type: 'task' }),
+			item('Lunch', '20T12:00', '20T13:00', { transparency: 'TRANSPARENT' }),
+			item('Review', '20T14:00', '20T15:00'),
+			item('Night shift', '20T22:00', '20T23:59', { crossDay: true, end: '2024-03-20T23:59:59.999+01:00' })
+		]
+	},
+	{ date: '2024-03-21', events: [item('Night shift', '21T00:00', '21T06:00', { crossDay: true })] }
+];
+const at = time => DateTime.fromISO(`2024-03-${time}`, { zone });
+const titles = items => items.map(event => event.title);
+
+describe('parseAt', () => {
+	it('reads an ISO date-time in the requested timezone', () => {
+		expect(parseAt(null)).toBeNull();
+		expect(parseAt('2024-03-20T09:30', zone).toISO()).toBe('2024-03-20T09:30:00.000+01:00');
+		expect(parseAt('2024-03-20T08:30:00Z', zone).toISO()).toBe('2024-03-20T09:30:00.000+01:00');
+	});
+
+	it('rejects anything else', () => {
+		expect(() => parseAt('soon', zone)).toThrow('Invalid at "soon"');
+	});
+});
+
+describe('summarizeNow', () => {
+	it('counts down the current event, and runs busy time through back-to-back events', () => {
+		const summary = summarizeNow(agenda, at('20T09:15'));
+		expect(titles(summary.current)).toEqual(['Standup']);
+		expect(summary.current[0]).toMatchObject({ secondsRemaining: 900, minutesRemaining: 15 });
+		expect(summary.next).toMatchObject({ title: 'Planning', secondsUntil: 900, minutesUntil: 15 });
+		expect(titles(summary.allDay)).toEqual(['Holiday']);
+		expect(summary).toMatchObject({ busy: true, busyUntil: '2024-03-20T10:30:00.000+01:00', freeUntil: null });
+	});
+
+	it('is free until the next event that blocks time', () => {
+		const summary = summarizeNow(agenda, at('20T10:45:30'));
+		expect(summary.current).toEqual([]);
+		expect(summary.next).toMatchObject({ title: 'Lunch', secondsUntil: 4470, minutesUntil: 75 });
+		expect(summary).toMatchObject({ busy: false, busyUntil: null, freeUntil: '2024-03-20T14:00:00.000+01:00' });
+	});
+
+	it('shows transparent events as current without being busy', () => {
+		expect(summarizeNow(agenda, at('20T12:30'))).toMatchObject({ current: [{ title: 'Lunch' }], busy: false });
+	});
+
+	it('joins an event across midnight back together', () => {
+		const summary = summarizeNow(agenda, at('21T02:00'));
+		expect(summary.current).toMatchObject([
+			{ title: 'Night shift', start: '2024-03-20T22:00:00.000+01:00', end: '2024-03-21T06:00:00.000+01:00', minutesRemaining: 240 }
+		]);
+		expect(summary).toMatchObject({ next: null, allDay: [], busyUntil: '2024-03-21T06:00:00.000+01:00' });
+	});
+
+	it('has nothing to say after the agenda', () => {
+		expect(summarizeNow(agenda, at('22T12:00'))).toEqual({
+			current: [],
+			next: null,
+			allDay: [],
+			busy: false,
+			busyUntil: null,
+			freeUntil: null
+		});
+	});
+});
+
+describe('/now', () => {
+	const ics = feed(
+		['UID:standup', 'SUMMARY:Standup', 'LOCATION:Room 4', 'DTSTART:20261019T090000Z', 'DTEND:20261019T093000Z'],
+		['UID:doctor', 'SUMMARY:Doctor', 'CLASS:PRIVATE', 'DTSTART:20261019T100000Z', 'DTEND:20261019T110000Z'],
+		['UID:review', 'SUMMARY:Review', 'DTSTART:20261019T140000Z', 'DTEND:20261019T150000Z']
+	);
+	const path = query => `/now?url=${encodeURIComponent(FEED_URL)}&${query}`;
+
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T09:10:00Z'));
+		stubFeed(ics);
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	it('says what is on now and next, as JSON that is not cached', async () => {
+		const response = await callWorker(path('timezone=Europe/Paris'), { headers: { 'X-API-Key': await apiKey() } });
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('application/json');
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+
+		const body = await response.json();
+		expect(body).toMatchObject({ timezone: 'Europe/Paris', at: '2026-10-19T11:10:00.000+02:00', busy: true, request: { at: null } });
+		expect(body.current.map(item => [item.title, item.minutesRemaining])).toEqual([['Standup', 20]]);
+		expect(body.next).toMatchObject({ title: 'Doctor', minutesUntil: 50 });
+	});
+
+	it('answers for the moment given with at', async () => {
+		const response = await callWorker(path('at=2026-10-19T12:00&timezone=Europe/Paris'), { headers: { 'X-API-Key': await apiKey() } });
+		const body = await response.json();
+		expect(body.at).toBe('2026-10-19T12:00:00.000+02:00');
+		expect(body.current.map(item => item.title)).toEqual(['Doctor']);
+		expect(body.request.at).toBe('2026-10-19T12:00:00.000+02:00');
+	});
+
+	it('redacts titles and leaves out private events when asked to', async () => {
+		const response = await callWorker(path('redact=true'), { headers: { 'X-API-Key': await apiKey() } });
+		const body = await response.json();
+		expect(body.current).toMatchObject([{ title: 'Busy', location: '' }]);
+		expect(body.next).toMatchObject({ title: 'Busy', start: '2026-10-19T14:00:00.000Z' });
+		expect(JSON.stringify(body)).not.toMatch(/Standup|Doctor|Room 4/);
+	});
+
+	it('refuses other formats and an unreadable at with 400', async () => {
+		const headers = { 'X-API-Key': await apiKey() };
+		for (const [query, error] of [
+			['format=html', 'Unsupported format "html" for /now, expected json'],
+			['at=tomorrow', 'Invalid at "tomorrow"']
+		]) {
+			const response = await callWorker(path(query), { headers });
+			expect(response.status).toBe(400);
+			expect((await response.json()).error).toContain(error);
+		}
+	});
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { DateTime } from 'luxon';
+import { checkTimezone, parseRange, resolveDay, resolveRange } from '../src/range';
+
+// A Wednesday afternoon
+const now = DateTime.fromISO('2024-03-20T15:30:00Z');
+const zone = 'Europe/Paris';
+const day = (expression, options = {}) => resolveDay(expression, { timezone: zone, now, ...options })?.toISO() ?? null;
+const window = ({ from, to }) => [from.toISO(), to.toISO()];
+
+describe('resolveDay', () => {
+	it('reads plain words', () => {
+		expect(day('now')).toBe('2024-03-20T00:00:00.000+01:00');
+		expect(day('Today')).toBe('2024-03-20T00:00:00.000+01:00');
+		expect(day('tomorrow')).toBe('2024-03-21T00:00:00.000+01:00');
+		expect(day('yesterday')).toBe('2024-03-19T00:00:00.000+01:00');
+		expect(day('start-of-month')).toBe('2024-03-01T00:00:00.000+01:00');
+	});
+
+	it('reads weekdays as today or the coming one', () => {
+		expect(day('wednesday')).toBe('2024-03-20T00:00:00.000+01:00');
+		expect(day('fri')).toBe('2024-03-22T00:00:00.000+01:00');
+		expect(day('Monday')).toBe('2024-03-25T00:00:00.000+01:00');
+		expect(day('mo')).toBeNull();
+	});
+
+	it('starts weeks on the configured day', () => {
+		expect(day('start-of-week')).toBe('2024-03-18T00:00:00.000+01:00');
+		expect(day('start-of-week', { weekStart: 7 })).toBe('2024-03-17T00:00:00.000+01:00');
+		expect(day('start-of-week', { weekStart: 3 })).toBe('2024-03-20T00:00:00.000+01:00');
+	});
+
+	it('reads offsets and durations from today', () => {
+		expect(day('+3d')).toBe('2024-03-23T00:00:00.000+01:00');
+		expect(day('-1w')).toBe('2024-03-13T00:00:00.000+01:00');
+		expect(day('P2W')).toBe('2024-04-03T00:00:00.000+02:00');
+		expect(day('-P1M')).toBe('2024-02-20T00:00:00.000+01:00');
+	});
+
+	it('reads ISO dates as days in the timezone', () => {
+		expect(day('2024-04-01')).toBe('2024-04-01T00:00:00.000+02:00');
+		expect(day('2024-04-01T23:30:00Z')).toBe('2024-04-02T00:00:00.000+02:00');
+		expect(day('someday')).toBeNull();
+	});
+});
+
+describe('resolveRange', () => {
+	it('defaults to a week from today', () => {
+		expect(window(resolveRange({}, zone, now))).toEqual(['2024-03-20T00:00:00.000+01:00', '2024-03-27T00:00:00.000+01:00']);
+	});
+
+	it('runs for a number of days or a duration from the start', () => {
+		expect(window(resolveRange({ startFrom: 'tomorrow', days: '2' }, zone, now))).toEqual([
+			'2024-03-21T00:00:00.000+01:00',
+			'2024-03-23T00:00:00.000+01:00'
+		]);
+		expect(window(resolveRange({ startFrom: 'start-of-month', days: 'P1M' }, zone, now))).toEqual([
+			'2024-03-01T00:00:00.000+01:00',
+			'2024-04-01T00:00:00.000+02:00'
+		]);
+	});
+
+	it('includes the end day', () => {
+		expect(window(resolveRange({ startFrom: 'start-of-week', end: 'sun' }, zone, now))).toEqual([
+			'2024-03-18T00:00:00.000+01:00',
+			'2024-03-25T00:00:00.000+01:00'
+		]);
+		expect(window(resolveRange({ end: 'today' }, zone, now))).toEqual(['2024-03-20T00:00:00.000+01:00', '2024-03-21T00:00:00.000+01:00']);
+	});
+
+	it('rejects values it cannot read', () => {
+		const range = options => () => resolveRange(options, zone, now);
+		expect(range({ startFrom: 'someday' })).toThrow('Invalid startFrom "someday"');
+		expect(range({ weekStart: 'funday' })).toThrow('Invalid weekStart "funday"');
+		expect(range({ days: 'abc' })).toThrow('Invalid days "abc"');
+		expect(range({ days: '0' })).toThrow('Invalid days "0"');
+		expect(range({ days: '-P1D' })).toThrow('Invalid days "-P1D"');
+		expect(range({ end: 'whenever' })).toThrow('Invalid end "whenever"');
+		expect(range({ startFrom: 'friday', end: 'today' })).toThrow('2024-03-20 is before the start, 2024-03-22');
+		expect(range({ days: '3', end: 'friday' })).toThrow('Use either days or end, not both');
+	});
+
+	it('refuses windows longer than a year', () => {
+		const range = options => () => resolveRange(options, zone, now);
+		expect(range({ days: 'P100Y' })).toThrow('The window from 2024-03-20 to 2124-03-20 is too long, at most 366 days are allowed');
+		expect(range({ days: '367' })).toThrow('too long');
+		expect(range({ end: '2025-03-21' })).toThrow('too long');
+		expect(window(range({ days: '366' })())).toEqual(['2024-03-20T00:00:00.000+01:00', '2025-03-21T00:00:00.000+01:00']);
+		expect(window(range({ end: '2025-03-20' })())).toEqual(['2024-03-20T00:00:00.000+01:00', '2025-03-21T00:00:00.000+01:00']);
+	});
+
+	it('rejects an unknown timezone', () => {
+		expect(() => resolveRange({}, 'Mars/Olympus', now)).toThrow('Invalid timezone "Mars/Olympus"');
+		expect(() => parseRange(new URLSearchParams('days=3'), { timezone: 'Mars/Olympus', now })).toThrow('Invalid timezone "Mars/Olympus"');
+		expect(() => checkTimezone('America/New_York')).not.toThrow();
+	});
+});
+
+describe('parseRange', () => {
+	it('echoes the parameters as given, with the window they resolve to', () => {
+		const range = parseRange(new URLSearchParams('startFrom=start-of-week&weekStart=sunday&days=P2W'), { timezone: zone, now });
+		expect(range.options).toEqual({ startFrom: 'start-of-week', days: 'P2W', end: null, weekStart: 'sunday' });
+		expect(window(range)).toEqual(['2024-03-17T00:00:00.000+01:00', '2024-03-31T00:00:00.000+01:00']);
+	});
+
+	it('treats empty parameters as unset', () => {
+		expect(parseRange(new URLSearchParams('startFrom=&days=&end='), { timezone: zone, now }).options).toEqual({
+			startFrom: 'now',
+			days: null,
+			end: null,
+			weekStart: 'monday'
+		});
+	});
+});
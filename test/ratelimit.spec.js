@@ -0,0 +1,179 @@
+import { env, runDurableObjectAlarm, runInDurableObject } from 'cloudflare:test';
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { getRateLimiter, getTierLimits, rateLimitHeaders, takeToken } from '../src/ratelimit';
+import { apiKey, callWorker, feed, FEED_URL, stubFeed } from './fixtures';
+
+const LIMITS = { burst: 2, perMinute: 6 };
+const NOW = Date.parse('2026-10-19T08:00:00Z');
+// The Durable Object tests count in the future, so the alarms they set do not fire before the test runs them
+const LATER = Date.parse('2036-10-19T08:00:00Z');
+const TIERS = JSON.stringify({ tiny: { burst: 1, perMinute: 1 } });
+
+const limiterFor = keyId => env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(keyId));
+
+describe('getTierLimits', () => {
+	it('uses the built-in tiers, and the default one for unknown tiers', () => {
+		expect(getTierLimits('premium')).toEqual({ burst: 300, perMinute: 300 });
+		expect(getTierLimits('gold')).toEqual(getTierLimits(null));
+	});
+
+	it('takes extra tiers from RATE_LIMIT_TIERS', () => {
+		const env = { RATE_LIMIT_TIERS: '{"kiosk": {"burst": 10, "perMinute": 2}}' };
+		expect(getTierLimits('kiosk', env)).toEqual({ burst: 10, perMinute: 2 });
+		expect(getTierLimits('standard', env)).toEqual({ burst: 60, perMinute: 60 });
+	});
+});
+
+describe('takeToken', () => {
+	it('allows a burst, then refuses until a token has been refilled', () => {
+		const first = takeToken(null, LIMITS, NOW);
+		const second = takeToken(first.bucket, LIMITS, NOW);
+		const third = takeToken(second.bucket, LIMITS, NOW + 1000);
+
+		expect([first.allowed, second.allowed, third.allowed]).toEqual([true, true, false]);
+		expect(second.remaining).toBe(0);
+		// Six tokens a minute is one every ten seconds, and one second has passed
+		expect(third.retryAfter).toBe(9);
+		expect(takeToken(third.bucket, LIMITS, NOW + 10000).allowed).toBe(true);
+	});
+
+	it('never refills past the burst size', () => {
+		const result = takeToken({ tokens: 0, updatedAt: NOW }, LIMITS, NOW + 3600000);
+		expect(result.remaining).toBe(1);
+		expect(result.reset).toBe(10);
+	});
+});
+
+describe('rateLimitHeaders', () => {
+	it('describes the bucket, with Retry-After when refused', () => {
+		const refused = takeToken({ tokens: 0, updatedAt: NOW }, LIMITS, NOW);
+		expect(rateLimitHeaders(refused, LIMITS)).toEqual({
+			'RateLimit-Limit': '2',
+			'RateLimit-Remaining': '0',
+			'RateLimit-Reset': '20',
+			'RateLimit-Policy': '2;w=20',
+			'Retry-After': '10'
+		});
+		expect(rateLimitHeaders(takeToken(null, LIMITS, NOW), LIMITS)).not.toHaveProperty('Retry-After');
+	});
+});
+
+describe('RateLimiter', () => {
+	it('counts requests, refused requests and upstream bytes per day', async () => {
+		const usage = await runInDurableObject(limiterFor('k1'), async limiter => {
+			await limiter.take({ keyId: 'k1', limits: LIMITS, now: LATER });
+			await limiter.take({ keyId: 'k1', limits: LIMITS, now: LATER });
+			await limiter.take({ keyId: 'k1', limits: LIMITS, now: LATER });
+			await limiter.record({ upstreamFetches: 2, upstreamBytes: 1500, now: LATER });
+			await limiter.take({ keyId: 'k1', limits: LIMITS, now: LATER + 86400000 });
+			return limiter.usage();
+		});
+
+		expect(usage).toEqual([
+			{ date: '2036-10-20', requests: 1, limited: 0, upstreamFetches: 0, upstreamBytes: 0 },
+			{ date: '2036-10-19', requests: 3, limited: 1, upstreamFetches: 2, upstreamBytes: 1500 }
+		]);
+	});
+
+	it('copies every day counted since the last copy to the USAGE namespace when its alarm fires', async () => {
+		const stub = limiterFor('k1');
+		const alarm = await runInDurableObject(stub, async (limiter, state) => {
+			await limiter.take({ keyId: 'k1', limits: LIMITS, now: LATER });
+			// The next day is counted before the alarm set on the first one has fired
+			await limiter.take({ keyId: 'k1', limits: LIMITS, now: LATER + 86400000 });
+			return state.storage.getAlarm();
+		});
+
+		expect(alarm).toBe(LATER + 60000);
+		expect(await runDurableObjectAlarm(stub)).toBe(true);
+		expect(await env.USAGE.get('usage:2036-10-19:k1', 'json')).toEqual({ requests: 1, limited: 0, upstreamFetches: 0, upstreamBytes: 0 });
+		expect(await env.USAGE.get('usage:2036-10-20:k1', 'json')).toEqual({ requests: 1, limited: 0, upstreamFetches: 0, upstreamBytes: 0 });
+	});
+
+	it('does not copy days again that have not changed since the last alarm', async () => {
+		const stub = limiterFor('k1');
+		await runInDurableObject(stub, limiter => limiter.take({ keyId: 'k1', limits: LIMITS, now: LATER }));
+		await runDurableObjectAlarm(stub);
+		await env.USAGE.delete('usage:2036-10-19:k1');
+
+		await runInDurableObject(stub, limiter => limiter.take({ keyId: 'k1', limits: LIMITS, now: LATER + 86400000 }));
+		await runDurableObjectAlarm(stub);
+		expect(await env.USAGE.get('usage:2036-10-19:k1')).toBeNull();
+		expect(await env.USAGE.get('usage:2036-10-20:k1', 'json')).toMatchObject({ requests: 1 });
+	});
+});
+
+describe('getRateLimiter', () => {
+	it('is not used without a binding or a key', () => {
+		expect(getRateLimiter({}, { keyId: 'k1' })).toBeNull();
+		expect(getRateLimiter(env, { keyId: null })).toBeNull();
+	});
+
+	it('keeps a bucket per key, sized by its tier', async () => {
+		const limiterEnv = { RATE_LIMITER: env.RATE_LIMITER, RATE_LIMIT_TIERS: TIERS };
+		const tiny = getRateLimiter(limiterEnv, { keyId: 'k1', tier: 'tiny' });
+		const other = getRateLimiter(limiterEnv, { keyId: 'k2', tier: 'tiny' });
+
+		expect((await tiny.take()).allowed).toBe(true);
+		expect((await tiny.take()).allowed).toBe(false);
+		expect((await other.take()).allowed).toBe(true);
+
+		await tiny.record({ upstreamFetches: 1, upstreamBytes: 42 });
+		const [today] = await tiny.usage();
+		expect(today).toMatchObject({ requests: 2, limited: 1, upstreamFetches: 1, upstreamBytes: 42 });
+	});
+});
+
+describe('rate limiting in the worker', () => {
+	const limited = { RATE_LIMITER: env.RATE_LIMITER, RATE_LIMIT_TIERS: TIERS };
+	const ics = feed(['UID:standup', 'SUMMARY:Standup', 'DTSTART:20261019T090000Z', 'DTEND:20261019T091500Z']);
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('describes the bucket on every answer, and refuses with 429 and Retry-After once it is empty', async () => {
+		stubFeed(ics);
+		const headers = { 'X-API-Key': await apiKey({ tier: 'tiny' }) };
+		const first = await callWorker(`/?url=${encodeURIComponent(FEED_URL)}&format=json`, { headers, bindings: limited });
+		expect(first.status).toBe(200);
+		expect(first.headers.get('RateLimit-Limit')).toBe('1');
+		expect(first.headers.get('RateLimit-Remaining')).toBe('0');
+		expect(first.headers.get('RateLimit-Policy')).toBe('1;w=60');
+		expect(first.headers.get('Retry-After')).toBeNull();
+
+		const second = await callWorker(`/?url=${encodeURIComponent(FEED_URL)}&format=json`, { headers, bindings: limited });
+		expect(second.status).toBe(429);
+		expect(second.headers.get('Content-Type')).toBe('application/json');
+		expect(Number(second.headers.get('Retry-After'))).toBeGreaterThan(0);
+		expect(second.headers.get('Access-Control-Expose-Headers')).toContain('Retry-After');
+		expect(await second.json()).toMatchObject({ error: 'Rate limit exceeded' });
+	});
+
+	it('keeps a separate bucket for each key', async () => {
+		const one = await callWorker('/usage', { headers: { 'X-API-Key': await apiKey({ id: 'k1', tier: 'tiny' }) }, bindings: limited });
+		const other = await callWorker('/usage', { headers: { 'X-API-Key': await apiKey({ id: 'k2', tier: 'tiny' }) }, bindings: limited });
+		expect([one.status, other.status]).toEqual([200, 200]);
+	});
+
+	it('reports the requests and upstream fetches of a key on /usage', async () => {
+		stubFeed(ics);
+		const headers = { 'X-API-Key': await apiKey({ tier: 'standard' }) };
+		await callWorker(`/?url=${encodeURIComponent(FEED_URL)}&format=json`, { headers, bindings: limited });
+
+		const response = await callWorker('/usage', { headers, bindings: limited });
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		expect(response.headers.get('RateLimit-Remaining')).toBe('58');
+		const usage = await response.json();
+		expect(usage).toMatchObject({ keyId: 'k1', tier: 'standard', limits: { burst: 60, perMinute: 60 } });
+		expect(usage.days).toHaveLength(1);
+		expect(usage.days[0]).toMatchObject({ requests: 2, limited: 0, upstreamFetches: 1, upstreamBytes: ics.length });
+	});
+
+	it('answers /usage with 404 when rate limiting is not configured', async () => {
+		const response = await callWorker('/usage', { headers: { 'X-API-Key': await apiKey() } });
+		expect(response.status).toBe(404);
+		expect(response.headers.get('RateLimit-Limit')).toBeNull();
+	});
+});
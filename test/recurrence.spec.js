@@ -0,0 +1,268 @@
+import { describe, it, expect } from 'vitest';
+import { DateTime } from 'luxon';
+import { parseRRule, iterateRule, expandEvent, expandEvents } from '../src/recurrence';
+
+const NY = 'America/New_York';
+
+function occurrences(rrule, dtstart, rangeEnd = '2100-01-01', zone = NY) {
+	const start = DateTime.fromISO(dtstart, { zone });
+	const rule = parseRRule(rrule, zone);
+	return [...iterateRule(rule, start, start, DateTime.fromISO(rangeEnd, { zone }))].map(dt => dt.toFormat("yyyy-MM-dd'T'HH:mm"));
+}
+
+describe('parseRRule', () => {
+	it('parses rule parts', () => {
+		const rule = parseRRule('FREQ=MONTHLY;INTERVAL=2;COUNT=10;BYDAY=1SU,-1SU;WKST=SU');
+		expect(rule).toMatchObject({
+			freq: 'MONTHLY',
+			interval: 2,
+			count: 10,
+			wkst: 7,
+			byDay: [
+				{ weekday: 7, n: 1 },
+				{ weekday: 7, n: -1 }
+			]
+		});
+	});
+
+	it('rejects unknown frequencies', () => {
+		expect(() => parseRRule('FREQ=FORTNIGHTLY')).toThrow('Unsupported recurrence frequency');
+	});
+});
+
+// Examples from RFC 5545 section 3.8.5.3
+describe('iterateRule', () => {
+	it('expands daily for 10 occurrences', () => {
+		const result = occurrences('FREQ=DAILY;COUNT=10', '1997-09-02T09:00');
+		expect(result).toHaveLength(10);
+		expect(result[9]).toBe('1997-09-11T09:00');
+	});
+
+	it('stops at UNTIL', () => {
+		const result = occurrences('FREQ=DAILY;UNTIL=19971224T000000Z', '1997-09-02T09:00');
+		expect(result).toHaveLength(113);
+		expect(result[result.length - 1]).toBe('1997-12-23T09:00');
+	});
+
+	it('keeps wall-clock time across daylight saving changes', () => {
+		const result = occurrences('FREQ=WEEKLY;COUNT=10', '1997-09-02T09:00');
+		expect(result.every(dt => dt.endsWith('T09:00'))).toBe(true);
+	});
+
+	it('expands every other week on several days with WKST', () => {
+		const result = occurrences('FREQ=WEEKLY;INTERVAL=2;COUNT=8;WKST=SU;BYDAY=TU,TH', '1997-09-02T09:00');
+		expect(result.map(dt => dt.slice(0, 10))).toEqual([
+			'1997-09-02',
+			'1997-09-04',
+			'1997-09-16',
+			'1997-09-18',
+			'1997-09-30',
+			'1997-10-02',
+			'1997-10-14',
+			'1997-10-16'
+		]);
+	});
+
+	it('expands ordinal weekdays within the month', () => {
+		const result = occurrences('FREQ=MONTHLY;COUNT=6;BYDAY=-2MO', '1997-09-22T09:00');
+		expect(result.map(dt => dt.slice(0, 10))).toEqual(['1997-09-22', '1997-10-20', '1997-11-17', '1997-12-22', '1998-01-19', '1998-02-16']);
+	});
+
+	it('expands negative month days', () => {
+		const result = occurrences('FREQ=MONTHLY;COUNT=6;BYMONTHDAY=-3', '1997-09-28T09:00');
+		expect(result.map(dt => dt.slice(0, 10))).toEqual(['1997-09-28', '1997-10-29', '1997-11-28', '1997-12-29', '1998-01-29', '1998-02-26']);
+	});
+
+	it('applies BYSETPOS to pick the last workday of the month', () => {
+		const result = occurrences('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', '1997-09-30T09:00', '1998-03-01');
+		expect(result.map(dt => dt.slice(0, 10))).toEqual(['1997-09-30', '1997-10-31', '1997-11-28', '1997-12-31', '1998-01-30', '1998-02-27']);
+	});
+
+	it('expands yearly rules by month and week number', () => {
+		expect(occurrences('FREQ=YEARLY;COUNT=3;BYMONTH=6,7', '1997-06-10T09:00').map(dt => dt.slice(0, 10))).toEqual([
+			'1997-06-10',
+			'1997-07-10',
+			'1998-06-10'
+		]);
+		expect(occurrences('FREQ=YEARLY;COUNT=3;BYWEEKNO=20;BYDAY=MO', '1997-05-12T09:00').map(dt => dt.slice(0, 10))).toEqual([
+			'1997-05-12',
+			'1998-05-11',
+			'1999-05-17'
+		]);
+	});
+
+	it('finds Friday the 13th', () => {
+		const result = occurrences('FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13;COUNT=3', '1997-09-02T09:00');
+		expect(result.map(dt => dt.slice(0, 10))).toEqual(['1998-02-13', '1998-03-13', '1998-11-13']);
+	});
+
+	it('expands hourly rules with a limit on the hour', () => {
+		const result = occurrences('FREQ=MINUTELY;INTERVAL=20;BYHOUR=9,10;COUNT=7', '1997-09-02T09:00');
+		expect(result).toEqual([
+			'1997-09-02T09:00',
+			'1997-09-02T09:20',
+			'1997-09-02T09:40',
+			'1997-09-02T10:00',
+			'1997-09-02T10:20',
+			'1997-09-02T10:40',
+			'1997-09-03T09:00'
+		]);
+	});
+});
+
+describe('expandEvent', () => {
+	const standup = {
+		title: 'Standup',
+		start: '2023-01-02T09:00:00.000+01:00',
+		end: '2023-01-02T09:15:00.000+01:00',
+		timezone: 'Europe/Berlin',
+		uid: 'standup@example.com',
+		rrule: 'FREQ=WEEKLY;BYDAY=MO,WE',
+		rdates: [],
+		exdates: []
+	};
+	const rangeStart = DateTime.fromISO('2024-03-18T00:00:00Z');
+	const rangeEnd = DateTime.fromISO('2024-03-25T00:00:00Z');
+
+	it('returns non-recurring events unchanged', () => {
+		const event = { ...standup, rrule: null };
+		expect(expandEvent(event, rangeStart, rangeEnd)).toEqual([event]);
+	});
+
+	it('only generates occurrences inside the window', () => {
+		const result = expandEvent(standup, rangeStart, rangeEnd);
+		expect(result.map(event => event.start)).toEqual(['2024-03-18T09:00:00.000+01:00', '2024-03-20T09:00:00.000+01:00']);
+		expect(result[0]).toMatchObject({
+			uid: 'standup@example.com',
+			end: '2024-03-18T09:15:00.000+01:00',
+			occurrenceDate: '2024-03-18T09:00:00.000+01:00',
+			isRecurring: true
+		});
+	});
+
+	it('removes EXDATE occurrences and adds RDATE occurrences', () => {
+		const result = expandEvent(
+			{
+				...standup,
+				exdates: ['2024-03-20T08:00:00.000Z'],
+				rdates: [{ start: '2024-03-22T14:00:00.000+01:00', end: '2024-03-22T15:00:00.000+01:00' }]
+			},
+			rangeStart,
+			rangeEnd
+		);
+		expect(result.map(event => [event.start, event.end])).toEqual([
+			['2024-03-18T09:00:00.000+01:00', '2024-03-18T09:15:00.000+01:00'],
+			['2024-03-22T14:00:00.000+01:00', '2024-03-22T15:00:00.000+01:00']
+		]);
+	});
+
+	it('falls back to DTSTART for an invalid rule, with a warning', () => {
+		const warnings = [];
+		const result = expandEvent({ ...standup, rrule: 'FREQ=NEVER' }, DateTime.fromISO('2023-01-01'), DateTime.fromISO('2023-01-10'), {
+			warnings
+		});
+		expect(result).toHaveLength(1);
+		expect(result[0].start).toBe('2023-01-02T09:00:00.000+01:00');
+		expect(warnings).toEqual(['Invalid RRULE "FREQ=NEVER", using DTSTART only: Unsupported recurrence frequency: NEVER']);
+	});
+
+	it('stops a rule after the occurrence limit and says so', () => {
+		const warnings = [];
+		const result = expandEvent({ ...standup, rrule: 'FREQ=MINUTELY' }, rangeStart, rangeEnd, { limit: 10, warnings });
+		expect(result).toHaveLength(10);
+		expect(result[9].start).toBe('2024-03-18T00:54:00.000+01:00');
+		expect(warnings).toEqual(['Stopped after 10 occurrences in the window']);
+	});
+});
+
+describe('expandEvents', () => {
+	const series = {
+		title: 'Standup',
+		start: '2024-03-04T09:00:00.000+01:00',
+		end: '2024-03-04T09:15:00.000+01:00',
+		timezone: 'Europe/Berlin',
+		uid: 'standup@example.com',
+		rrule: 'FREQ=DAILY',
+		rdates: [],
+		exdates: [],
+		status: 'CONFIRMED',
+		recurrenceId: null,
+		recurrenceRange: null
+	};
+	const override = (recurrenceId, changes) => ({
+		...series,
+		rrule: null,
+		recurrenceId,
+		...changes
+	});
+	const rangeStart = DateTime.fromISO('2024-03-11T00:00:00+01:00');
+	const rangeEnd = DateTime.fromISO('2024-03-14T00:00:00+01:00');
+	const summarize = events => events.map(event => [event.title, event.start, event.isModified || false]);
+
+	it('replaces the occurrence matching a RECURRENCE-ID', () => {
+		const events = [
+			series,
+			override('2024-03-12T09:00:00.000+01:00', {
+				title: 'Standup (moved)',
+				start: '2024-03-12T11:00:00.000+01:00',
+				end: '2024-03-12T11:30:00.000+01:00'
+			})
+		];
+		const result = expandEvents(events, rangeStart, rangeEnd);
+		expect(summarize(result)).toEqual([
+			['Standup', '2024-03-11T09:00:00.000+01:00', false],
+			['Standup', '2024-03-13T09:00:00.000+01:00', false],
+			['Standup (moved)', '2024-03-12T11:00:00.000+01:00', true]
+		]);
+		expect(result[2]).toMatchObject({ occurrenceDate: '2024-03-12T09:00:00.000+01:00', isRecurring: true });
+	});
+
+	it('drops cancelled occurrences and cancelled series', () => {
+		const cancelled = override('2024-03-12T09:00:00.000+01:00', {
+			start: '2024-03-12T09:00:00.000+01:00',
+			end: '2024-03-12T09:15:00.000+01:00',
+			status: 'CANCELLED'
+		});
+		expect(summarize(expandEvents([series, cancelled], rangeStart, rangeEnd)).map(([, start]) => start)).toEqual([
+			'2024-03-11T09:00:00.000+01:00',
+			'2024-03-13T09:00:00.000+01:00'
+		]);
+		expect(expandEvents([{ ...series, status: 'CANCELLED' }], rangeStart, rangeEnd)).toEqual([]);
+	});
+
+	it('applies RANGE=THISANDFUTURE to later occurrences', () => {
+		const future = override('2024-03-12T09:00:00.000+01:00', {
+			title: 'Standup v2',
+			start: '2024-03-12T09:30:00.000+01:00',
+			end: '2024-03-12T10:00:00.000+01:00',
+			recurrenceRange: 'THISANDFUTURE'
+		});
+		expect(summarize(expandEvents([series, future], rangeStart, rangeEnd))).toEqual([
+			['Standup', '2024-03-11T09:00:00.000+01:00', false],
+			['Standup v2', '2024-03-13T09:30:00.000+01:00', true],
+			['Standup v2', '2024-03-12T09:30:00.000+01:00', true]
+		]);
+	});
+
+	it('keeps overrides whose series is missing from the feed', () => {
+		const orphan = override('2024-03-12T09:00:00.000+01:00', {
+			uid: 'orphan@example.com',
+			start: '2024-03-12T10:00:00.000+01:00',
+			end: '2024-03-12T10:15:00.000+01:00'
+		});
+		expect(summarize(expandEvents([orphan], rangeStart, rangeEnd))).toEqual([['Standup', '2024-03-12T10:00:00.000+01:00', true]]);
+	});
+
+	it('stops after the total occurrence limit and lists the series cut short or left out', () => {
+		const other = { ...series, uid: 'review@example.com', title: 'Review' };
+		const warnings = [];
+		expect(summarize(expandEvents([series, other], rangeStart, rangeEnd, { limit: 2, warnings }))).toEqual([
+			['Standup', '2024-03-11T09:00:00.000+01:00', false],
+			['Standup', '2024-03-12T09:00:00.000+01:00', false]
+		]);
+		expect(warnings).toEqual([
+			{ uid: 'standup@example.com', title: 'Standup', warnings: ['Stopped after 2 occurrences in the window'] },
+			{ uid: 'review@example.com', title: 'Review', warnings: ['Left out, the expansion stopped after 2 occurrences'] }
+		]);
+	});
+});
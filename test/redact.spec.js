@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { parseRedact, redactEvent, redactEvents } from '../src/redact';
+
+const meeting = {
+	uid: 'meeting',
+	title: 'Reorg planning',
+	start: '2024-03-20T14:00:00.000Z',
+	end: '2024-03-20T15:00:00.000Z',
+	description: 'Agenda attached',
+	location: 'Room 1',
+	categories: ['HR'],
+	url: 'https://example.com/meeting',
+	geo: { latitude: 51.5, longitude: -0.1 },
+	organizer: { name: 'Ada', email: 'ada@example.com' },
+	attendees: [{ name: 'Bob', email: 'bob@example.com' }],
+	alarms: [{ action: 'EMAIL', trigger: '-PT15M', description: 'Reorg in 15 minutes', summary: 'Reorg', attendees: ['ada@example.com'] }],
+	status: 'CONFIRMED',
+	classification: 'PUBLIC'
+};
+
+describe('parseRedact', () => {
+	it('reads a boolean', () => {
+		expect(parseRedact(new URLSearchParams())).toBe(false);
+		expect(parseRedact(new URLSearchParams('redact=true'))).toBe(true);
+		expect(parseRedact(new URLSearchParams('redact=0'))).toBe(false);
+		expect(() => parseRedact(new URLSearchParams('redact=maybe'))).toThrow('Invalid redact');
+	});
+});
+
+describe('redactEvent', () => {
+	it('keeps only the times and status', () => {
+		expect(redactEvent(meeting)).toEqual({
+			...meeting,
+			title: 'Busy',
+			description: '',
+			location: '',
+			categories: [],
+			url: null,
+			geo: null,
+			organizer: null,
+			attendees: [],
+			alarms: [{ action: 'EMAIL', trigger: '-PT15M', description: '', summary: '', attendees: [] }]
+		});
+	});
+});
+
+describe('redactEvents', () => {
+	const events = [
+		meeting,
+		{ ...meeting, uid: 'private', classification: 'PRIVATE' },
+		{ ...meeting, uid: 'secret', classification: 'CONFIDENTIAL' }
+	];
+
+	it('hides private and confidential events', () => {
+		expect(redactEvents(events).map(event => event.uid)).toEqual(['meeting']);
+	});
+
+	it('keeps them, redacted, for free/busy time', () => {
+		const redacted = redactEvents(events, { hidePrivate: false });
+		expect(redacted.map(event => event.uid)).toEqual(['meeting', 'private', 'secret']);
+		expect(redacted.every(event => event.title === 'Busy')).toBe(true);
+	});
+});
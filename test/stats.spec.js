@@ -0,0 +1,171 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { DateTime } from 'luxon';
+import { computeStats, parseStatsOptions } from '../src/stats';
+import { apiKey, callWorker, feed, FEED_URL, item, stubFeed } from './fixtures';
+
+const zone = 'Europe/Paris';
+// Monday 18 to Wednesday 20 March 2024, as the agenda groups it
+const agenda = [
+	{
+		date: '2024-03-18',
+		events: [
+			item('Conference', '18T00:00', '18T23:59', { isFullDay: true, crossDay: true, end: '2024-03-18T23:59:59.999+01:00' }),
+			item('Standup', '18T09:00', '18T09:15', { categories: ['Team'] }),
+			item('Planning', '18T09:15', '18T10:00', { categories: ['Team', 'Product'] }),
+			item('1:1 with Sam', '18T09:30', '18T10:30'),
+			item('Lunch', '18T12:00', '18T13:00', { transparency: 'TRANSPARENT' }),
+			item('Cancelled sync', '18T14:00', '18T15:00', { status: 'CANCELLED' }),
+			item('Night deploy', '18T22:00', '18T23:59', { crossDay: true, end: '2024-03-18T23:59:59.999+01:00' })
+		]
+	},
+	{
+		date: '2024-03-19',
+		events: [
+			item('Conference', '19T00:00', '20T00:00', { isFullDay: true, crossDay: true }),
+			item('Night deploy', '19T00:00', '19T02:00', { crossDay: true }),
+			item('Standup', '19T09:00', '19T09:15', { categories: ['Team'] }),
+			item('Report', '19T10:00', '19T10:00', { type: 'task' })
+		]
+	},
+	{ date: '2024-03-21', events: [item('Standup', '21T00:00', '21T00:15')] }
+];
+const options = {
+	from: DateTime.fromISO('2024-03-18T00:00:00', { zone }),
+	to: DateTime.fromISO('2024-03-21T00:00:00', { zone }),
+	timezone: zone,
+	...parseStatsOptions(new URLSearchParams('bucket=Standups:standup,daily&bucket=One-on-ones:1:1'))
+};
+const titles = items => items.map(event => event.title);
+
+describe('parseStatsOptions', () => {
+	it('defaults to working hours on weekdays, a 5 minute gap and no buckets', () => {
+		expect(parseStatsOptions(new URLSearchParams())).toEqual({
+			hours: { start: '09:00', end: '17:00' },
+			workdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+			gap: 5,
+			buckets: []
+		});
+	});
+
+	it('reads buckets of title keywords', () => {
+		expect(parseStatsOptions(new URLSearchParams('gap=0&bucket= Reviews : Review, retro ,')).buckets).toEqual([
+			{ name: 'Reviews', keywords: ['review', 'retro'] }
+		]);
+	});
+
+	it('rejects invalid options', () => {
+		expect(() => parseStatsOptions(new URLSearchParams('gap=90'))).toThrow('Invalid gap "90"');
+		expect(() => parseStatsOptions(new URLSearchParams('bucket=Reviews'))).toThrow('Invalid bucket "Reviews"');
+		expect(() => parseStatsOptions(new URLSearchParams('bucket=Reviews:'))).toThrow('Invalid bucket "Reviews:"');
+		expect(() => parseStatsOptions(new URLSearchParams('hours=17-9'))).toThrow('Invalid hours');
+	});
+});
+
+describe('computeStats', () => {
+	const stats = computeStats(agenda, options);
+
+	it('adds up busy time per day, counting a meeting across midnight once', () => {
+		expect(stats.totals).toEqual({ busyHours: 5.75, meetings: 5, allDayEvents: 1 });
+		expect(stats.days.map(({ date, busyHours, meetings, allDayEvents }) => [date, busyHours, meetings, allDayEvents])).toEqual([
+			['2024-03-18', 3.5, 4, 1],
+			['2024-03-19', 2.25, 1, 1],
+			['2024-03-20', 0, 0, 0]
+		]);
+	});
+
+	it('adds up weeks from the week start', () => {
+		expect(stats.weeks).toEqual([{ start: '2024-03-18', days: 3, busyHours: 5.75, meetings: 5, allDayEvents: 1 }]);
+		expect(computeStats(agenda, { ...options, weekStart: 'tuesday' }).weeks.map(week => [week.start, week.days, week.meetings])).toEqual([
+			['2024-03-12', 1, 4],
+			['2024-03-19', 2, 1]
+		]);
+	});
+
+	it('finds the longest free block inside working hours', () => {
+		expect(stats.days[0].longestFree).toEqual({ start: '2024-03-18T10:30:00.000+01:00', end: '2024-03-18T17:00:00.000+01:00', minutes: 390 });
+		expect(stats.longestFreeBlock).toEqual({ start: '2024-03-20T09:00:00.000+01:00', end: '2024-03-20T17:00:00.000+01:00', minutes: 480 });
+	});
+
+	it('finds back-to-back meetings and double bookings', () => {
+		expect(stats.backToBack).toHaveLength(1);
+		expect(stats.backToBack[0]).toMatchObject({ start: '2024-03-18T09:00:00.000+01:00', end: '2024-03-18T10:30:00.000+01:00', minutes: 90 });
+		expect(titles(stats.backToBack[0].meetings)).toEqual(['Standup', 'Planning', '1:1 with Sam']);
+		expect(computeStats(agenda, { ...options, gap: 0 }).backToBack).toHaveLength(1);
+
+		expect(stats.overlaps).toHaveLength(1);
+		expect(stats.overlaps[0]).toMatchObject({ start: '2024-03-18T09:30:00.000+01:00', end: '2024-03-18T10:00:00.000+01:00', minutes: 30 });
+		expect(titles(stats.overlaps[0].events)).toEqual(['Planning', '1:1 with Sam']);
+	});
+
+	it('breaks time down by category and by title keywords', () => {
+		expect(stats.categories).toEqual([
+			{ name: 'Uncategorized', meetings: 2, hours: 5 },
+			{ name: 'Team', meetings: 3, hours: 1.25 },
+			{ name: 'Product', meetings: 1, hours: 0.75 }
+		]);
+		expect(stats.buckets).toEqual([
+			{ name: 'Other', meetings: 2, hours: 4.75 },
+			{ name: 'One-on-ones', meetings: 1, hours: 1 },
+			{ name: 'Standups', meetings: 2, hours: 0.5 }
+		]);
+	});
+});
+
+describe('/stats', () => {
+	// Monday 19 October 2026: a standup straight into a review, and a private appointment
+	const ics = feed(
+		['UID:standup', 'SUMMARY:Standup', 'CATEGORIES:Team', 'DTSTART:20261019T090000Z', 'DTEND:20261019T091500Z'],
+		['UID:review', 'SUMMARY:Design review', 'CATEGORIES:Product', 'DTSTART:20261019T091500Z', 'DTEND:20261019T100000Z'],
+		['UID:doctor', 'SUMMARY:Doctor', 'CLASS:PRIVATE', 'DTSTART:20261019T140000Z', 'DTEND:20261019T150000Z']
+	);
+	const path = query => `/stats?url=${encodeURIComponent(FEED_URL)}&days=1&${query}`;
+
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+		stubFeed(ics);
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	it('reports the time spent in meetings as JSON, by category and bucket', async () => {
+		const response = await callWorker(path('bucket=Reviews:review'), { headers: { 'X-API-Key': await apiKey() } });
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('application/json');
+		expect(response.headers.get('ETag')).toMatch(/^W\//);
+
+		const body = await response.json();
+		expect(body.totals).toEqual({ busyHours: 2, meetings: 3, allDayEvents: 0 });
+		expect(body.categories.map(group => group.name)).toEqual(['Uncategorized', 'Product', 'Team']);
+		expect(body.buckets).toEqual([
+			{ name: 'Other', meetings: 2, hours: 1.25 },
+			{ name: 'Reviews', meetings: 1, hours: 0.75 }
+		]);
+		expect(body.backToBack.map(chain => chain.meetings.map(meeting => meeting.title))).toEqual([['Standup', 'Design review']]);
+	});
+
+	it('counts redacted time without its titles, and leaves out private events', async () => {
+		const response = await callWorker(path('bucket=Reviews:review'), { headers: { 'X-API-Key': await apiKey({ redact: true }) } });
+		const body = await response.json();
+		expect(body.totals).toEqual({ busyHours: 1, meetings: 2, allDayEvents: 0 });
+		expect(body.categories).toEqual([{ name: 'Uncategorized', meetings: 2, hours: 1 }]);
+		expect(body.buckets).toEqual([{ name: 'Other', meetings: 2, hours: 1 }]);
+		expect(JSON.stringify(body)).not.toMatch(/Standup|Design|Doctor|Team|Product/);
+	});
+
+	it('refuses other formats and invalid options with 400', async () => {
+		const headers = { 'X-API-Key': await apiKey() };
+		for (const [query, error] of [
+			['format=csv', 'Unsupported format "csv" for /stats, expected json'],
+			['gap=-5', 'Invalid gap "-5"'],
+			['bucket=Reviews', 'Invalid bucket "Reviews"']
+		]) {
+			const response = await callWorker(path(query), { headers });
+			expect(response.status).toBe(400);
+			expect((await response.json()).error).toContain(error);
+		}
+	});
+});
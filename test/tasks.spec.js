@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { DateTime } from 'luxon';
+import { parseFilters } from '../src/filters';
+import { isIncomplete, isOverdue, parseTaskOptions, placeTasks, sortTasks } from '../src/tasks';
+
+const task = details => ({
+	type: 'task',
+	title: 'Task',
+	description: '',
+	location: '',
+	uid: 'task',
+	status: null,
+	start: null,
+	due: null,
+	isAllDay: false,
+	completed: null,
+	percentComplete: null,
+	priority: null,
+	classification: 'PUBLIC',
+	categories: [],
+	url: null,
+	organizer: null,
+	attendees: [],
+	rrule: null,
+	warnings: [],
+	...details
+});
+const now = DateTime.fromISO('2024-03-20T12:00:00Z');
+const titles = items => items.map(item => item.title);
+
+describe('parseTaskOptions', () => {
+	it('defaults to every task, by due date', () => {
+		expect(parseTaskOptions(new URLSearchParams())).toEqual({ show: 'all', sort: 'due' });
+		expect(parseTaskOptions(new URLSearchParams('tasks=Overdue&taskSort=priority'))).toEqual({ show: 'overdue', sort: 'priority' });
+	});
+
+	it('rejects invalid options', () => {
+		expect(() => parseTaskOptions(new URLSearchParams('tasks=late'))).toThrow('Invalid tasks "late"');
+		expect(() => parseTaskOptions(new URLSearchParams('taskSort=title'))).toThrow('Invalid taskSort "title"');
+	});
+});
+
+describe('isIncomplete and isOverdue', () => {
+	it('counts tasks not completed or cancelled', () => {
+		expect(isIncomplete(task({ status: 'IN-PROCESS' }))).toBe(true);
+		expect(isIncomplete(task({ status: 'COMPLETED' }))).toBe(false);
+		expect(isIncomplete(task({ status: 'CANCELLED' }))).toBe(false);
+		expect(isIncomplete(task({ completed: '2024-03-19T10:00:00.000Z' }))).toBe(false);
+		expect(isIncomplete(task({ type: 'journal' }))).toBe(false);
+	});
+
+	it('keeps a task due on a date until the end of that day', () => {
+		expect(isOverdue(task({ due: '2024-03-20T11:00:00.000Z' }), now)).toBe(true);
+		expect(isOverdue(task({ due: '2024-03-20T13:00:00.000Z' }), now)).toBe(false);
+		expect(isOverdue(task({ due: '2024-03-20T00:00:00.000Z', isAllDay: true }), now)).toBe(false);
+		expect(isOverdue(task({ due: '2024-03-19T00:00:00.000Z', isAllDay: true }), now)).toBe(true);
+		expect(isOverdue(task({ due: '2024-03-19T00:00:00.000Z', status: 'COMPLETED' }), now)).toBe(false);
+		expect(isOverdue(task(), now)).toBe(false);
+	});
+});
+
+describe('sortTasks', () => {
+	const tasks = [
+		task({ title: 'Someday', priority: 1 }),
+		task({ title: 'Friday', due: '2024-03-22T09:00:00.000Z', priority: 5 }),
+		task({ title: 'Thursday', due: '2024-03-21T09:00:00.000Z' }),
+		task({ title: 'Notes', type: 'journal', start: '2024-03-21T12:00:00.000Z' })
+	];
+
+	it('sorts by due date, with undated tasks last', () => {
+		expect(titles(sortTasks(tasks))).toEqual(['Thursday', 'Notes', 'Friday', 'Someday']);
+	});
+
+	it('sorts by priority, then due date', () => {
+		expect(titles(sortTasks(tasks, 'priority'))).toEqual(['Someday', 'Friday', 'Thursday', 'Notes']);
+	});
+});
+
+describe('placeTasks', () => {
+	const window = {
+		now,
+		from: DateTime.fromISO('2024-03-20T00:00:00', { zone: 'Europe/Paris' }),
+		to: DateTime.fromISO('2024-03-23T00:00:00', { zone: 'Europe/Paris' }),
+		timezone: 'Europe/Paris'
+	};
+	const tasks = [
+		task({ title: 'Report', due: '2024-03-21T16:00:00.000Z', priority: 2 }),
+		task({ title: 'Bins', due: '2024-03-22T00:00:00.000+01:00', isAllDay: true }),
+		task({ title: 'Taxes', due: '2024-03-18T09:00:00.000Z', priority: 1 }),
+		task({ title: 'Done', due: '2024-03-18T10:00:00.000Z', status: 'COMPLETED' }),
+		task({ title: 'Someday' })
+	];
+
+	it('puts tasks due in the window on their due date, and lists the rest', () => {
+		const { scheduled, listed } = placeTasks(tasks, window);
+		expect(scheduled.map(({ date, item }) => [date, item.title, item.start, item.end, item.isFullDay])).toEqual([
+			['2024-03-21', 'Report', '2024-03-21T17:00:00.000+01:00', '2024-03-21T17:00:00.000+01:00', false],
+			['2024-03-22', 'Bins', '2024-03-22T00:00:00.000+01:00', '2024-03-23T00:00:00.000+01:00', true]
+		]);
+		expect(listed.map(item => [item.title, item.overdue])).toEqual([
+			['Taxes', true],
+			['Done', false],
+			['Someday', false]
+		]);
+		expect(listed[0].due).toBe('2024-03-18T10:00:00.000+01:00');
+	});
+
+	it('keeps incomplete or overdue tasks, or none', () => {
+		const place = options => placeTasks(tasks, { ...window, options });
+		expect(titles(place({ show: 'incomplete', sort: 'priority' }).listed)).toEqual(['Taxes', 'Someday']);
+		expect(titles(place({ show: 'overdue', sort: 'due' }).listed)).toEqual(['Taxes']);
+		expect(place({ show: 'overdue', sort: 'due' }).scheduled).toEqual([]);
+		expect(place({ show: 'none', sort: 'due' })).toEqual({ scheduled: [], listed: [] });
+	});
+
+	it('applies the event filters', () => {
+		const { scheduled, listed } = placeTasks(tasks, { ...window, filters: parseFilters(new URLSearchParams('exclude=bins OR taxes')) });
+		expect([...scheduled.map(({ item }) => item.title), ...titles(listed)]).toEqual(['Report', 'Done', 'Someday']);
+	});
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { DateTime, IANAZone } from 'luxon';
+import { parseComponents } from '../src/ics';
+import { WINDOWS_ZONES, VTimezoneZone, buildTimezones, resolveTimezone } from '../src/timezones';
+
+// The VTIMEZONE Outlook emits for "W. Europe Standard Time"
+const outlookTimezone = `BEGIN:VTIMEZONE
+TZID:Customized Time Zone
+BEGIN:STANDARD
+DTSTART:16010101T030000
+TZOFFSETFROM:+0200
+TZOFFSETTO:+0100
+RRULE:FREQ=YEARLY;INTERVAL=1;BYDAY=-1SU;BYMONTH=10
+END:STANDARD
+BEGIN:DAYLIGHT
+DTSTART:16010101T020000
+TZOFFSETFROM:+0100
+TZOFFSETTO:+0200
+RRULE:FREQ=YEARLY;INTERVAL=1;BYDAY=-1SU;BYMONTH=3
+END:DAYLIGHT
+END:VTIMEZONE`;
+
+const build = ics => buildTimezones(parseComponents(ics));
+
+describe('WINDOWS_ZONES', () => {
+	it('maps only to zones Luxon accepts', () => {
+		const invalid = Object.values(WINDOWS_ZONES).filter(zone => !IANAZone.isValidZone(zone));
+		expect(invalid).toEqual([]);
+	});
+});
+
+describe('VTimezoneZone', () => {
+	const zone = build(outlookTimezone).get('Customized Time Zone');
+
+	it('is built from STANDARD/DAYLIGHT observances', () => {
+		expect(zone).toBeInstanceOf(VTimezoneZone);
+		expect(zone.isValid).toBe(true);
+	});
+
+	it('applies the recurring transitions', () => {
+		const summer = DateTime.fromObject({ year: 2024, month: 7, day: 1, hour: 9 }, { zone });
+		const winter = DateTime.fromObject({ year: 2024, month: 12, day: 1, hour: 9 }, { zone });
+		expect(summer.toISO()).toBe('2024-07-01T09:00:00.000+02:00');
+		expect(winter.toISO()).toBe('2024-12-01T09:00:00.000+01:00');
+	});
+
+	it('switches offset at the transition instant', () => {
+		// Last Sunday of March 2024: 02:00 local (01:00Z) jumps to 03:00
+		expect(zone.offset(Date.UTC(2024, 2, 31, 0, 59))).toBe(60);
+		expect(zone.offset(Date.UTC(2024, 2, 31, 1, 0))).toBe(120);
+	});
+
+	it('uses a single observance without a rule as a fixed offset', () => {
+		const fixed = build(`BEGIN:VTIMEZONE
+TZID:India
+BEGIN:STANDARD
+DTSTART:16010101T000000
+TZOFFSETFROM:+0530
+TZOFFSETTO:+0530
+END:STANDARD
+END:VTIMEZONE`).get('India');
+		expect(DateTime.fromObject({ year: 2024, month: 5, day: 1, hour: 12 }, { zone: fixed }).toISO()).toBe('2024-05-01T12:00:00.000+05:30');
+	});
+
+	it('picks the latest of several fixed observances', () => {
+		const moved = build(`BEGIN:VTIMEZONE
+TZID:Moved
+BEGIN:STANDARD
+DTSTART:19700101T000000
+TZOFFSETFROM:+0300
+TZOFFSETTO:+0300
+END:STANDARD
+BEGIN:STANDARD
+DTSTART:20141026T020000
+TZOFFSETFROM:+0400
+TZOFFSETTO:+0300
+END:STANDARD
+BEGIN:STANDARD
+DTSTART:20110327T020000
+TZOFFSETFROM:+0300
+TZOFFSETTO:+0400
+END:STANDARD
+END:VTIMEZONE`).get('Moved');
+		expect(moved.offset(Date.UTC(2010, 0, 1))).toBe(180);
+		expect(moved.offset(Date.UTC(2012, 0, 1))).toBe(240);
+		expect(moved.offset(Date.UTC(2014, 9, 25, 21, 59))).toBe(240);
+		expect(moved.offset(Date.UTC(2014, 9, 25, 22, 0))).toBe(180);
+		expect(moved.offset(Date.UTC(2024, 0, 1))).toBe(180);
+	});
+
+	it('keeps the last transitions of a rule that ended', () => {
+		const ended = build(
+			outlookTimezone
+				.replace('BYMONTH=10', 'BYMONTH=10;UNTIL=20101031T010000Z')
+				.replace('BYMONTH=3', 'BYMONTH=3;UNTIL=20100328T010000Z')
+		).get('Customized Time Zone');
+		expect(ended.offset(Date.UTC(2010, 6, 1))).toBe(120);
+		expect(ended.offset(Date.UTC(2024, 6, 1))).toBe(60);
+	});
+
+	it('prefers the IANA zone named by X-LIC-LOCATION', () => {
+		const timezones = build(outlookTimezone.replace('TZID:Customized Time Zone', 'TZID:Customized Time Zone\nX-LIC-LOCATION:Europe/Berlin'));
+		expect(timezones.get('Customized Time Zone')).toBe('Europe/Berlin');
+	});
+});
+
+describe('resolveTimezone', () => {
+	it('passes IANA names through', () => {
+		expect(resolveTimezone('Australia/Sydney')).toBe('Australia/Sydney');
+	});
+
+	it('maps Windows zone names', () => {
+		expect(resolveTimezone('W. Europe Standard Time')).toBe('Europe/Berlin');
+		expect(resolveTimezone('eastern standard time')).toBe('America/New_York');
+		expect(resolveTimezone('"AUS Eastern Standard Time"')).toBe('Australia/Sydney');
+	});
+
+	it('uses zones defined in the feed', () => {
+		const timezones = build(outlookTimezone);
+		expect(resolveTimezone('Customized Time Zone', timezones)).toBe(timezones.get('Customized Time Zone'));
+	});
+
+	it('prefers the feed\'s own definition of a known name', () => {
+		const timezones = build(outlookTimezone.replace('TZID:Customized Time Zone', 'TZID:W. Europe Standard Time'));
+		expect(resolveTimezone('W. Europe Standard Time', timezones)).toBe(timezones.get('W. Europe Standard Time'));
+	});
+
+	it('strips prefixes from IANA names', () => {
+		expect(resolveTimezone('/mozilla.org/20070129_1/Europe/Berlin')).toBe('Europe/Berlin');
+	});
+
+	it('returns null for unknown zones', () => {
+		expect(resolveTimezone('Middle Earth Standard Time')).toBeNull();
+		expect(resolveTimezone(undefined)).toBeNull();
+	});
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { checkFeedUrl, getUpstreamPolicy, isPrivateHost, matchesHost, readBody, sanitizeErrorBody } from '../src/upstream';
+
+const hostOf = url => new URL(url).hostname;
+
+describe('getUpstreamPolicy', () => {
+	it('has safe defaults', () => {
+		expect(getUpstreamPolicy({})).toEqual({
+			allowedHosts: null,
+			deniedHosts: [],
+			schemes: ['https', 'http'],
+			maxBytes: 5 * 1024 * 1024,
+			timeout: 10,
+			maxRedirects: 3,
+			allowPrivate: false
+		});
+	});
+
+	it('reads host lists and limits from the environment', () => {
+		const policy = getUpstreamPolicy({
+			FEED_ALLOWED_HOSTS: 'calendar.google.com, *.example.com',
+			FEED_ALLOWED_SCHEMES: 'https',
+			FEED_MAX_REDIRECTS: '0',
+			FEED_TIMEOUT: 'soon'
+		});
+		expect(policy.allowedHosts).toEqual(['calendar.google.com', '*.example.com']);
+		expect(policy.schemes).toEqual(['https']);
+		expect(policy.maxRedirects).toBe(0);
+		expect(policy.timeout).toBe(10);
+	});
+});
+
+describe('isPrivateHost', () => {
+	it.each([
+		'http://localhost/',
+		'http://api.localhost/',
+		'http://printer.local/',
+		'http://intranet/',
+		'http://127.0.0.1/',
+		'http://2130706433/',
+		'http://0x7f.1/',
+		'http://10.1.2.3/',
+		'http://172.20.0.1/',
+		'http://192.168.1.10/',
+		'http://169.254.169.254/',
+		'http://100.64.0.1/',
+		'http://0.0.0.0/',
+		'http://[::1]/',
+		'http://[fd00::1]/',
+		'http://[fe80::1]/',
+		'http://[::ffff:127.0.0.1]/',
+		'http://[64:ff9b::a00:1]/',
+		'http://[2002:c0a8:101::]/',
+		'http://192.88.99.1/',
+		'http://[2001:0:4136:e378:8000:63bf:3fff:fdd2]/',
+		'http://[2001::1]/'
+	])('refuses %s', url => {
+		expect(isPrivateHost(hostOf(url))).toBe(true);
+	});
+
+	it.each([
+		'https://calendar.google.com/',
+		'http://8.8.8.8/',
+		'http://172.32.0.1/',
+		'http://[2606:4700::1]/',
+		'http://[::ffff:8.8.8.8]/',
+		'http://[2001:4860:4860::8888]/'
+	])(
+		'allows %s',
+		url => expect(isPrivateHost(hostOf(url))).toBe(false)
+	);
+});
+
+describe('checkFeedUrl', () => {
+	const policy = getUpstreamPolicy({ FEED_ALLOWED_HOSTS: '*.example.com,calendar.google.com', FEED_DENIED_HOSTS: 'bad.example.com' });
+
+	it('allows listed hosts and refuses the rest', () => {
+		expect(checkFeedUrl('https://team.example.com/a.ics', policy)).toBeNull();
+		expect(checkFeedUrl('https://calendar.google.com/a.ics', policy)).toBeNull();
+		expect(checkFeedUrl('https://example.org/a.ics', policy)).toMatch(/not allowed/);
+		expect(checkFeedUrl('https://bad.example.com/a.ics', policy)).toMatch(/not allowed/);
+	});
+
+	it('refuses other schemes and private addresses whatever the lists say', () => {
+		expect(checkFeedUrl('file:///etc/passwd', getUpstreamPolicy())).toMatch(/must use https or http/);
+		expect(checkFeedUrl('ftp://example.com/a.ics', getUpstreamPolicy())).toMatch(/not ftp/);
+		expect(checkFeedUrl('http://169.254.169.254/latest/meta-data', getUpstreamPolicy({ FEED_ALLOWED_HOSTS: '169.254.169.254' }))).toMatch(
+			/local or private/
+		);
+	});
+
+	it('allows local addresses only when asked to in development', () => {
+		const policy = ENVIRONMENT => getUpstreamPolicy({ ENVIRONMENT, FEED_ALLOW_PRIVATE: 'true' });
+		expect(checkFeedUrl('http://127.0.0.1:8788/', policy('development'))).toBeNull();
+		expect(checkFeedUrl('http://127.0.0.1:8788/', policy('production'))).toMatch(/private/);
+	});
+
+	it('matches host patterns on whole labels', () => {
+		expect(matchesHost('*.example.com', 'a.example.com')).toBe(true);
+		expect(matchesHost('*.example.com', 'badexample.com')).toBe(false);
+	});
+});
+
+describe('readBody', () => {
+	it('stops reading past the limit', async () => {
+		const stream = new ReadableStream({
+			pull(controller) {
+				controller.enqueue(new Uint8Array(1024));
+			}
+		});
+		const { bytes, truncated } = await readBody(new Response(stream), 3000);
+		expect(truncated).toBe(true);
+		expect(bytes).toHaveLength(3000);
+	});
+
+	it('reads a body within the limit', async () => {
+		const { bytes, truncated } = await readBody(new Response('BEGIN:VCALENDAR'), 3000);
+		expect(truncated).toBe(false);
+		expect(new TextDecoder().decode(bytes)).toBe('BEGIN:VCALENDAR');
+	});
+});
+
+describe('sanitizeErrorBody', () => {
+	it('removes markup and control characters and truncates', () => {
+		expect(sanitizeErrorBody('<html><style>p{}</style><p>Not\u0007 found</p>\n\n</html>')).toBe('Not found');
+		const long = sanitizeErrorBody('x'.repeat(1000));
+		expect(long).toHaveLength(200);
+		expect(long.endsWith('…')).toBe(true);
+	});
+});
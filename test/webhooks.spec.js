@@ -0,0 +1,141 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { deliverWebhook, diffSnapshots, runWebhooks, signPayload, snapshotEvents } from '../src/webhooks';
+
+const FEED_URL = 'https://calendar.example/family.ics';
+const HOOK_URL = 'https://hooks.example/calendar';
+const SECRET = 'a-webhook-secret';
+
+const event = (uid, details = {}) => ({ uid, recurrenceId: null, title: uid, start: '2026-10-20T09:00:00.000Z', sequence: 0, ...details });
+
+// The feed carries its events as JSON after BEGIN:VCALENDAR, read back by a stand-in parser
+const feedBody = events => `BEGIN:VCALENDAR\n${JSON.stringify(events)}`;
+const parse = body => JSON.parse(new TextDecoder().decode(body).split('\n')[1]);
+
+describe('diffSnapshots', () => {
+	it('reports added, updated, cancelled and removed events', () => {
+		const before = snapshotEvents([event('kept'), event('moved'), event('cancelled'), event('gone')]);
+		const after = snapshotEvents([
+			event('kept'),
+			event('moved', { start: '2026-10-21T09:00:00.000Z', sequence: 1 }),
+			event('cancelled', { status: 'CANCELLED' }),
+			event('new'),
+			{ uid: '', title: 'No UID' }
+		]);
+
+		const changes = diffSnapshots(before, after);
+		expect(changes.map(change => [change.type, change.uid])).toEqual([
+			['updated', 'moved'],
+			['updated', 'cancelled'],
+			['added', 'new'],
+			['removed', 'gone']
+		]);
+		expect(changes[0].before.start).toBe('2026-10-20T09:00:00.000Z');
+		expect(changes[0].after.start).toBe('2026-10-21T09:00:00.000Z');
+		expect(changes[1].after.status).toBe('CANCELLED');
+	});
+
+	it('tells occurrences of a series apart by RECURRENCE-ID', () => {
+		const before = snapshotEvents([event('series')]);
+		const after = snapshotEvents([event('series'), event('series', { recurrenceId: '2026-10-27T09:00:00.000Z', title: 'Moved' })]);
+		expect(diffSnapshots(before, after)).toMatchObject([{ type: 'added', uid: 'series', recurrenceId: '2026-10-27T09:00:00.000Z' }]);
+	});
+});
+
+describe('deliverWebhook', () => {
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('retries failed deliveries with a doubling wait', async () => {
+		const receiver = vi.fn();
+		receiver.mockResolvedValueOnce(new Response(null, { status: 503 }));
+		receiver.mockRejectedValueOnce(new Error('connection reset'));
+		receiver.mockResolvedValueOnce(new Response(null, { status: 204 }));
+		vi.stubGlobal('fetch', receiver);
+		const sleep = vi.fn(async () => {});
+
+		const result = await deliverWebhook({ id: 'd1', url: HOOK_URL, body: '{}' }, SECRET, { sleep });
+		expect(result).toBe('delivered');
+		expect(sleep.mock.calls).toEqual([[1000], [2000]]);
+	});
+
+	it('does not retry deliveries the receiver refuses', async () => {
+		const receiver = vi.fn(async () => new Response(null, { status: 410 }));
+		vi.stubGlobal('fetch', receiver);
+		expect(await deliverWebhook({ id: 'd1', url: HOOK_URL, body: '{}' }, SECRET, { sleep: async () => {} })).toBe('refused');
+		expect(receiver).toHaveBeenCalledTimes(1);
+		expect(await deliverWebhook({ id: 'd2', url: 'http://10.0.0.5/hook', body: '{}' }, SECRET)).toBe('refused');
+	});
+});
+
+describe('runWebhooks', () => {
+	let feed;
+	let received;
+	let receiverStatus;
+
+	beforeEach(async () => {
+		feed = [event('standup'), event('dentist')];
+		received = [];
+		receiverStatus = 204;
+		const calendar = {
+			id: 'family',
+			label: 'Family',
+			sources: [{ url: FEED_URL, label: 'Family', color: null }],
+			webhooks: [HOOK_URL],
+			webhookSecret: SECRET
+		};
+		await env.CALENDARS.put('calendar:family', JSON.stringify(calendar));
+
+		// A stand-in for the feed and for the webhook receiver, which checks the signature like a real one would
+		vi.stubGlobal('fetch', async (url, init = {}) => {
+			if (url === FEED_URL) return new Response(feedBody(feed));
+			const [, timestamp] = init.headers['X-Stucal-Signature'].match(/^t=(\d+),/);
+			const signed = init.headers['X-Stucal-Signature'] === (await signPayload(SECRET, init.body, timestamp));
+			received.push({ signed, payload: JSON.parse(init.body) });
+			return new Response(null, { status: receiverStatus });
+		});
+	});
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('records a snapshot first, then posts signed changes', async () => {
+		expect(await runWebhooks(env, { parse })).toEqual({ calendars: 1, deliveries: 0, delivered: 0 });
+		expect(received).toHaveLength(0);
+
+		feed = [event('standup', { start: '2026-10-20T10:00:00.000Z', sequence: 1 }), event('school run')];
+		expect(await runWebhooks(env, { parse })).toEqual({ calendars: 1, deliveries: 1, delivered: 1 });
+		expect(received).toHaveLength(1);
+		expect(received[0].signed).toBe(true);
+		expect(received[0].payload).toMatchObject({ type: 'calendar.changed', calendar: { id: 'family', label: 'Family' } });
+		expect(received[0].payload.changes.map(change => [change.type, change.uid])).toEqual([
+			['updated', 'standup'],
+			['added', 'school run'],
+			['removed', 'dentist']
+		]);
+
+		await runWebhooks(env, { parse });
+		expect(received).toHaveLength(1);
+	});
+
+	it('keeps failed deliveries for a later run', async () => {
+		const sleep = async () => {};
+		const now = Date.parse('2026-10-19T08:00:00Z');
+		await runWebhooks(env, { parse, now, sleep });
+		feed = [event('standup')];
+		receiverStatus = 503;
+		expect(await runWebhooks(env, { parse, now, sleep })).toEqual({ calendars: 1, deliveries: 1, delivered: 0 });
+		expect(received).toHaveLength(3);
+
+		// Not yet due: nothing is sent
+		receiverStatus = 200;
+		await runWebhooks(env, { parse, now: now + 60000, sleep });
+		expect(received).toHaveLength(3);
+
+		expect(await runWebhooks(env, { parse, now: now + 5 * 60000, sleep })).toEqual({ calendars: 1, deliveries: 1, delivered: 1 });
+		expect(received[3].payload.changes).toMatchObject([{ type: 'removed', uid: 'dentist' }]);
+		expect((await env.CALENDARS.list({ prefix: 'webhook-pending:' })).keys).toEqual([]);
+	});
+});
@@ -4,7 +4,12 @@ export default defineWorkersConfig({
 	test: {
 		poolOptions: {
 			workers: {
-				wrangler: { configPath: './wrangler.json' },
+				wrangler: { configPath: './wrangler.toml' },
+				// Bindings wrangler.toml ships commented out, so the tests can drive the worker with them
+				miniflare: {
+					durableObjects: { RATE_LIMITER: { className: 'RateLimiter', useSQLite: true } },
+					kvNamespaces: ['CALENDARS', 'USAGE'],
+				},
 			},
 		},
 	},